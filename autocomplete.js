@@ -0,0 +1,247 @@
+// autocomplete.js - Expands ;;shortcut tokens typed into editable fields on any page
+// Runs as a content script after site-adapters.js and insert-text.js, which provides insertTextIntoPage
+(() => {
+  'use strict';
+
+  const TRIGGER = ';;';
+  const MAX_SUGGESTIONS = 8;
+  // The trigger must start the field or follow whitespace, so "a;;b" in code is left alone
+  const TOKEN_PATTERN = new RegExp(`(?:^|\\s)${TRIGGER.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([\\w-]*)$`);
+
+  let prompts = [];
+  let suggestions = [];
+  let selectedIndex = 0;
+  let activeToken = null;
+  let host = null;
+  let list = null;
+
+  // Keep the same cached prompt list the popup renders
+  chrome.storage.local.get(['prompts'], (result) => {
+    prompts = result.prompts || [];
+  });
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.prompts) {
+      prompts = changes.prompts.newValue || [];
+    }
+  });
+
+  document.addEventListener('input', handleInput, true);
+  document.addEventListener('keydown', handleKeydown, true);
+  document.addEventListener('focusout', () => setTimeout(hideSuggestions, 150), true);
+  window.addEventListener('scroll', hideSuggestions, true);
+
+  function handleInput(e) {
+    const element = e.target;
+    if (!isEditable(element)) return;
+
+    const token = findToken(element);
+    if (!token) {
+      hideSuggestions();
+      return;
+    }
+
+    suggestions = matchPrompts(token.query);
+    if (!suggestions.length) {
+      hideSuggestions();
+      return;
+    }
+
+    activeToken = token;
+    selectedIndex = 0;
+    showSuggestions(element);
+  }
+
+  function handleKeydown(e) {
+    if (!activeToken || !host) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      e.stopPropagation();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      selectedIndex = (selectedIndex + step + suggestions.length) % suggestions.length;
+      renderSuggestions();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      e.stopPropagation();
+      accept(suggestions[selectedIndex]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      hideSuggestions();
+    }
+  }
+
+  function isEditable(element) {
+    if (!element || (host && host.contains(element))) return false;
+    if (element.isContentEditable) return true;
+    if (element.tagName === 'TEXTAREA') return !element.readOnly && !element.disabled;
+    if (element.tagName === 'INPUT') {
+      const type = (element.type || 'text').toLowerCase();
+      return ['text', 'search', 'url', 'email'].includes(type) && !element.readOnly && !element.disabled;
+    }
+    return false;
+  }
+
+  // Find the trigger token right before the caret, remembering where it starts and ends
+  function findToken(element) {
+    if ('value' in element && !element.isContentEditable) {
+      const end = element.selectionStart;
+      if (end === null || end !== element.selectionEnd) return null;
+
+      const match = element.value.slice(0, end).match(TOKEN_PATTERN);
+      if (!match) return null;
+      return { element, query: match[1].toLowerCase(), start: end - TRIGGER.length - match[1].length, end };
+    }
+
+    const selection = window.getSelection();
+    if (!selection || !selection.isCollapsed || !selection.anchorNode) return null;
+
+    const node = selection.anchorNode;
+    if (node.nodeType !== Node.TEXT_NODE) return null;
+
+    const end = selection.anchorOffset;
+    const match = node.textContent.slice(0, end).match(TOKEN_PATTERN);
+    if (!match) return null;
+    return { element, node, query: match[1].toLowerCase(), start: end - TRIGGER.length - match[1].length, end };
+  }
+
+  // Prompts with a matching shortcut come first, then prompts whose name matches
+  function matchPrompts(query) {
+    const byShortcut = prompts.filter(p => p.shortcut && p.shortcut.startsWith(query));
+    const byName = prompts.filter(p =>
+      !byShortcut.includes(p) && query && (p.name || '').toLowerCase().includes(query)
+    );
+
+    byShortcut.sort((a, b) => (a.shortcut === query ? -1 : 0) - (b.shortcut === query ? -1 : 0));
+    return [...byShortcut, ...byName].slice(0, MAX_SUGGESTIONS);
+  }
+
+  function showSuggestions(element) {
+    if (!host) {
+      host = document.createElement('div');
+      host.id = 'prompt-stash-autocomplete';
+      const shadow = host.attachShadow({ mode: 'closed' });
+      shadow.innerHTML = `
+        <style>
+          ul {
+            position: fixed;
+            z-index: 2147483647;
+            margin: 0;
+            padding: 6px;
+            list-style: none;
+            min-width: 240px;
+            max-width: 400px;
+            background: #ffffff;
+            border: 1px solid #dadce0;
+            border-radius: 12px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          }
+          li {
+            padding: 8px 10px;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 13px;
+            color: #202124;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+          }
+          li[aria-selected="true"] {
+            background: #e8f0fe;
+          }
+          .shortcut {
+            color: #1a73e8;
+            font-weight: 600;
+            margin-right: 8px;
+          }
+        </style>
+        <ul role="listbox" aria-label="Prompt Stash suggestions"></ul>
+      `;
+      list = shadow.querySelector('ul');
+      // mousedown keeps focus in the field being edited
+      list.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        const item = e.target.closest('li[data-index]');
+        if (item) {
+          accept(suggestions[Number(item.dataset.index)]);
+        }
+      });
+      document.documentElement.appendChild(host);
+    }
+
+    // Anchor the dropdown under the field; caret coordinates aren't available for textareas
+    const rect = element.getBoundingClientRect();
+    const top = rect.bottom + 4 + 240 > window.innerHeight ? Math.max(8, rect.top - 244) : rect.bottom + 4;
+    list.style.left = `${Math.max(8, rect.left)}px`;
+    list.style.top = `${top}px`;
+    renderSuggestions();
+  }
+
+  function renderSuggestions() {
+    if (!list) return;
+    list.textContent = '';
+
+    suggestions.forEach((prompt, index) => {
+      const item = document.createElement('li');
+      item.dataset.index = String(index);
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(index === selectedIndex));
+
+      if (prompt.shortcut) {
+        const shortcut = document.createElement('span');
+        shortcut.className = 'shortcut';
+        shortcut.textContent = TRIGGER + prompt.shortcut;
+        item.appendChild(shortcut);
+      }
+      item.appendChild(document.createTextNode(prompt.name));
+      list.appendChild(item);
+    });
+  }
+
+  function hideSuggestions() {
+    if (host) {
+      host.remove();
+      host = null;
+      list = null;
+    }
+    activeToken = null;
+    suggestions = [];
+  }
+
+  async function accept(prompt) {
+    const token = activeToken;
+    hideSuggestions();
+    if (!prompt || !token) return;
+
+    let text = prompt.text;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'renderPrompt', text });
+      if (response && response.success) {
+        text = response.text;
+      }
+    } catch (error) {
+      console.error('Prompt Stash: failed to fill template variables:', error);
+    }
+
+    // Select the typed token so insertTextIntoPage replaces it with the prompt
+    const { element } = token;
+    element.focus();
+    if (token.node) {
+      const range = document.createRange();
+      range.setStart(token.node, token.start);
+      range.setEnd(token.node, token.end);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    } else {
+      element.setSelectionRange(token.start, token.end);
+    }
+
+    const result = insertTextIntoPage(text);
+    if (result.success) {
+      chrome.runtime.sendMessage({ action: 'recordUsage', promptId: prompt.id })
+        .catch(error => console.error('Prompt Stash: failed to record prompt usage:', error));
+    }
+  }
+})();
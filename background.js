@@ -1,36 +1,109 @@
 // background.js - Service worker for Prompt Stash extension
 'use strict';
 
+import './settings.js';
+import './schema.js';
+import './storage-providers.js';
+import './drive-api.js';
+import './encryption.js';
+import './sync-engine.js';
+import './outbox.js';
+import './template-engine.js';
+import './history.js';
+import './libraries.js';
+import './usage.js';
+import './backups.js';
+
 // Constants
 const STORAGE_KEYS = {
-  PENDING_INSERT: 'pendingInsert',
+  ARMED_PROMPTS: 'armedPrompts',
   PROMPTS: 'prompts',
-  LAST_SYNC: 'lastSync'
+  LAST_SYNC: 'lastSync',
+  SYNC_STATUS: 'syncStatus',
+  SYNC_BASE: 'syncBase',
+  // The Google account the cached prompts were synced with: { id, email, name }
+  ACCOUNT: 'googleAccount'
+};
+
+const SYNC_ALARM = 'prompt-stash-sync';
+const RETRY_ALARM = 'prompt-stash-retry';
+const RETRY_DELAY_MINUTES = 1;
+// Failed syncs in a row double the delay, up to this
+const MAX_RETRY_DELAY_MINUTES = 60;
+
+// Each insert command fires the prompt armed in its slot
+const SHORTCUT_SLOTS = {
+  'insert-prompt': 1,
+  'insert-prompt-2': 2,
+  'insert-prompt-3': 3
 };
+const PALETTE_COMMAND = 'open-palette';
+
+// Context menu items; the insert submenu gets one item per prompt, with the prompt ID after the prefix
+const CONTEXT_MENU_IDS = {
+  SAVE_SELECTION: 'save-selection',
+  INSERT: 'insert-prompt-menu',
+  INSERT_EMPTY: 'insert-prompt-none',
+  INSERT_SEPARATOR: 'insert-prompt-separator'
+};
+const INSERT_MENU_PREFIX = 'insert-prompt:';
+const MAX_MENU_PROMPTS = 10;
+// A selection saved from the context menu waits here until the popup opens its save dialog
+const PENDING_CAPTURE_KEY = 'pendingCapture';
+
+// Injected before any insertion; site adapters have to load before the generic inserter
+const INSERTION_SCRIPTS = ['site-adapters.js', 'insert-text.js'];
+
+// The service worker owns all storage access; the popup talks to it through messages.
+// Personal prompts live on the backend picked in settings, shared libraries always on Google Drive.
+const driveAPI = new DriveAPI();
+const storageSettings = new StorageSettings();
+const settings = new ExtensionSettings();
+const encryption = new PromptEncryption();
+const syncEngine = new SyncEngine(driveAPI);
+const outbox = new Outbox();
+const templateEngine = new TemplateEngine();
+const promptHistory = new PromptHistory();
+const libraries = new LibraryManager();
+const usageTracker = new UsageTracker();
+const backups = new BackupManager();
+let storageReady = useConfiguredStorage();
+// Account checked against ACCOUNT since the service worker started, so it's read once per run
+let googleAccount = null;
 
 // Command handler for keyboard shortcuts
 chrome.commands.onCommand.addListener(async (command) => {
-  if (command !== 'insert-prompt') return;
+  if (command === PALETTE_COMMAND) {
+    await openPaletteInActiveTab();
+    return;
+  }
+
+  const slot = SHORTCUT_SLOTS[command];
+  if (!slot) return;
 
   try {
-    const result = await chrome.storage.local.get([STORAGE_KEYS.PENDING_INSERT]);
-    const text = result[STORAGE_KEYS.PENDING_INSERT];
+    const prompt = await getArmedPrompt(slot);
     
-    if (!text) {
-      // No prompt selected to insert
-      await showNotification('Prompt Stash', 'No prompt selected to insert.');
+    if (!prompt) {
+      // No prompt armed for this shortcut
+      await showNotification('Prompt Stash', `No prompt armed for shortcut ${slot}. Pin one from its card in the popup.`);
       return;
     }
 
-    await insertPromptIntoActiveTab(text);
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    const text = await renderWithDefaults(prompt.text, tabs && tabs[0]);
+    const { success } = await insertPromptIntoActiveTab(text);
+    if (success) {
+      await recordUse(prompt.id);
+    }
   } catch (error) {
     console.error('Error handling command:', error);
     await showNotification('Prompt Stash', 'Failed to insert prompt.');
   }
 });
 
-// Insert prompt into the active tab
-async function insertPromptIntoActiveTab(text) {
+// Inject the command palette overlay; running it again while open closes it
+async function openPaletteInActiveTab() {
   try {
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     const tab = tabs && tabs[0];
@@ -42,128 +115,112 @@ async function insertPromptIntoActiveTab(text) {
 
     await chrome.scripting.executeScript({
       target: { tabId: tab.id },
-      func: insertTextIntoPage,
-      args: [text]
+      files: [...INSERTION_SCRIPTS, 'palette.js']
     });
   } catch (error) {
-    console.error('Failed to insert prompt into active tab:', error);
-    await showNotification('Prompt Stash', 'Failed to insert prompt into page.');
+    console.error('Failed to open command palette:', error);
+    await showNotification('Prompt Stash', 'The command palette is not available on this page.');
   }
 }
 
-// Function to be injected into the page context
-function insertTextIntoPage(insertText) {
-  'use strict';
+// Look up the prompt armed in a shortcut slot from the cached prompt list
+async function getArmedPrompt(slot) {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.ARMED_PROMPTS, STORAGE_KEYS.PROMPTS]);
+  const armedPrompts = result[STORAGE_KEYS.ARMED_PROMPTS] || {};
+  const prompts = result[STORAGE_KEYS.PROMPTS] || [];
+  const promptId = armedPrompts[slot];
   
-  function tryInsert(targetEl) {
-    if (!targetEl) return false;
-    
-    // Handle contenteditable elements
-    if (targetEl.isContentEditable) {
-      targetEl.focus();
-      if (window.getSelection && window.getSelection().rangeCount > 0) {
-        const selection = window.getSelection();
-        const range = selection.getRangeAt(0);
-        range.deleteContents();
-        range.insertNode(document.createTextNode(insertText));
-        range.collapse(false);
-        selection.removeAllRanges();
-        selection.addRange(range);
-      } else {
-        targetEl.innerText = (targetEl.innerText || '') + insertText;
-      }
-      return true;
-    }
-    
-    // Handle input and textarea elements
-    if ('value' in targetEl) {
-      targetEl.focus();
-      const start = targetEl.selectionStart || 0;
-      const end = targetEl.selectionEnd || 0;
-      const currentValue = targetEl.value || '';
-      
-      const newValue = currentValue.substring(0, start) + insertText + currentValue.substring(end);
-      targetEl.value = newValue;
-      
-      targetEl.selectionStart = targetEl.selectionEnd = start + insertText.length;
-      
-      // Trigger input event for React/Vue components
-      targetEl.dispatchEvent(new Event('input', { bubbles: true }));
-      targetEl.dispatchEvent(new Event('change', { bubbles: true }));
-      return true;
+  if (promptId === undefined) return null;
+  return prompts.find(p => p.id === promptId) || null;
+}
+
+// Arm a prompt for a shortcut slot (slot 0 disarms it); a prompt lives in at most one slot
+async function armPrompt(promptId, slot) {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.ARMED_PROMPTS]);
+  const armedPrompts = result[STORAGE_KEYS.ARMED_PROMPTS] || {};
+  
+  for (const key of Object.keys(armedPrompts)) {
+    if (armedPrompts[key] === promptId) {
+      delete armedPrompts[key];
     }
-    
-    return false;
   }
-  
-  // Try to insert into the currently focused element first
-  const activeElement = document.activeElement;
-  if (activeElement && tryInsert(activeElement)) {
-    return { success: true, method: 'active-element' };
+  if (slot) {
+    armedPrompts[slot] = promptId;
   }
   
-  // Look for common input selectors in order of preference
-  const selectors = [
-    // AI Chat applications
-    'textarea[placeholder*="chat"], textarea[placeholder*="message"], textarea[placeholder*="prompt"]',
-    'div[contenteditable="true"][placeholder*="chat"], div[contenteditable="true"][placeholder*="message"]',
-    'input[placeholder*="chat"], input[placeholder*="message"], input[placeholder*="prompt"]',
-    
-    // Document editors
-    'div[contenteditable="true"]',
-    'textarea',
-    'input[type="text"], input[type="search"]',
-    
-    // Generic contenteditable
-    '[contenteditable="true"]'
-  ];
+  await chrome.storage.local.set({ [STORAGE_KEYS.ARMED_PROMPTS]: armedPrompts });
+  return { armedPrompts };
+}
+
+// Shortcuts and the palette can't show the variables form, so variables fall back to their defaults
+async function renderWithDefaults(text, tab) {
+  if (!templateEngine.hasVariables(text)) return text;
   
-  for (const selector of selectors) {
-    const elements = document.querySelectorAll(selector);
-    for (const element of elements) {
-      // Check if element is visible and not disabled
-      if (element.offsetParent !== null && !element.disabled && !element.readOnly) {
-        if (tryInsert(element)) {
-          return { success: true, method: 'selector', selector };
-        }
-      }
+  const values = {};
+  for (const variable of templateEngine.getBuiltInVariables(text)) {
+    switch (variable.name.toLowerCase()) {
+      case 'date':
+        values[variable.name] = new Date().toLocaleDateString();
+        break;
+      case 'url':
+        values[variable.name] = tab?.url || '';
+        break;
+      case 'selection':
+        values[variable.name] = tab ? await getPageSelection(tab.id) : '';
+        break;
+      // The clipboard can't be read from the service worker
     }
   }
   
-  // Last resort: copy to clipboard
-  if (navigator.clipboard && navigator.clipboard.writeText) {
-    navigator.clipboard.writeText(insertText).then(() => {
-      // Show a notification that text was copied
-      const notification = document.createElement('div');
-      notification.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        background: #4CAF50;
-        color: white;
-        padding: 12px 20px;
-        border-radius: 4px;
-        z-index: 10000;
-        font-family: Arial, sans-serif;
-        font-size: 14px;
-        box-shadow: 0 2px 10px rgba(0,0,0,0.2);
-      `;
-      notification.textContent = 'Prompt copied to clipboard!';
-      document.body.appendChild(notification);
-      
-      setTimeout(() => {
-        if (notification.parentNode) {
-          notification.parentNode.removeChild(notification);
-        }
-      }, 3000);
-    }).catch(() => {
-      alert('Prompt copied to clipboard. Please paste it manually.');
+  return templateEngine.render(text, values);
+}
+
+async function getPageSelection(tabId, frameId) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: frameId ? { tabId, frameIds: [frameId] } : { tabId },
+      func: () => window.getSelection ? window.getSelection().toString() : ''
     });
-  } else {
-    alert('Prompt copied to clipboard. Please paste it manually.');
+    return (results && results[0] && results[0].result) || '';
+  } catch (error) {
+    console.error('Failed to read page selection:', error);
+    return '';
   }
+}
+
+// Insert prompt into the active tab; options.submit also sends it on chat apps with an adapter
+async function insertPromptIntoActiveTab(text, options = {}) {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  const tab = tabs && tabs[0];
   
-  return { success: false, method: 'clipboard' };
+  if (!tab) {
+    console.error('No active tab found');
+    return { success: false };
+  }
+  return insertPromptIntoTab(tab.id, text, options);
+}
+
+// Insert into the focused field of a tab, or of one frame in it. Resolves to the page's
+// { success, method } result; success is false when the text was only copied to the clipboard
+// or the page couldn't be scripted.
+async function insertPromptIntoTab(tabId, text, options = {}, frameId) {
+  const target = frameId ? { tabId, frameIds: [frameId] } : { tabId };
+  try {
+    await chrome.scripting.executeScript({
+      target,
+      files: INSERTION_SCRIPTS
+    });
+    const results = await chrome.scripting.executeScript({
+      target,
+      func: (insertText, insertOptions) => insertTextIntoPage(insertText, insertOptions),
+      args: [text, options]
+    });
+    return (results && results[0] && results[0].result) || { success: false };
+  } catch (error) {
+    console.error('Failed to insert prompt into active tab:', error);
+    await showNotification('Prompt Stash', 'Failed to insert prompt into page.');
+    return { success: false, error: error.message };
+  }
 }
 
 // Show notification
@@ -183,40 +240,603 @@ async function showNotification(title, message) {
 }
 
 // Background sync functionality
-let syncInterval;
+let syncInProgress = null;
+let nextSync = null;
+
+// Schedule periodic sync; alarms survive the service worker being suspended
+async function scheduleSync() {
+  const { syncIntervalMinutes } = await settings.load();
+  chrome.alarms.create(SYNC_ALARM, { periodInMinutes: syncIntervalMinutes });
+}
 
-// Start background sync when service worker starts
-async function startBackgroundSync() {
-  // Clear any existing interval
-  if (syncInterval) {
-    clearInterval(syncInterval);
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== SYNC_ALARM && alarm.name !== RETRY_ALARM) return;
+
+  try {
+    await performSync();
+  } catch (error) {
+    console.error('Background sync failed:', error);
   }
-  
-  // Sync every 15 minutes in the background
-  syncInterval = setInterval(async () => {
+});
+
+// Replay queued changes, then run a three-way sync with the storage backend
+async function performSync() {
+  // A sync that's already running may have read the local state before the caller's change, so
+  // the caller gets a fresh run after it; callers arriving in the meantime share that run
+  if (syncInProgress) {
+    if (!nextSync) {
+      nextSync = syncInProgress.catch(() => {}).then(() => {
+        nextSync = null;
+        return performSync();
+      });
+    }
+    return nextSync;
+  }
+
+  syncInProgress = (async () => {
     try {
-      await performMaintenance();
+      await storageReady;
+      const account = await checkAccount();
+      const { remaining } = await outbox.replay(resolveStorage);
+      await flushUsage();
+      const { prompts, folders, conflicts, localEdits, quarantined } = await syncEngine.sync();
+      await syncHistory(prompts, localEdits);
+      await backUp([...prompts, ...folders]);
+      const libraryState = await libraries.refreshAll(await outbox.getPending());
+
+      if (remaining > 0) {
+        scheduleRetry();
+      }
+
+      const state = { prompts, folders, conflicts, pending: remaining, quarantined, account, ...libraryState };
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.SYNC_STATUS]: { ok: true, at: Date.now() }
+      });
+      broadcast({ action: 'syncCompleted', ...state });
+      return state;
     } catch (error) {
-      console.error('Background maintenance failed:', error);
+      const { [STORAGE_KEYS.SYNC_STATUS]: previous } = await chrome.storage.local.get([STORAGE_KEYS.SYNC_STATUS]);
+      const failures = (previous && !previous.ok ? previous.failures || 1 : 0) + 1;
+      const retryMinutes = getRetryDelay(error, failures);
+      // Passed on to the popup, which says when the next attempt is
+      error.retryAt = retryMinutes ? Date.now() + retryMinutes * 60000 : null;
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.SYNC_STATUS]: {
+          ok: false,
+          at: Date.now(),
+          error: error.message,
+          errorName: error.name,
+          failures,
+          retryAt: error.retryAt
+        }
+      });
+      if (retryMinutes) {
+        scheduleRetry(retryMinutes);
+      }
+      throw error;
     }
-  }, 15 * 60 * 1000); // 15 minutes
+  })();
+
+  try {
+    return await syncInProgress;
+  } finally {
+    syncInProgress = null;
+  }
 }
 
-// Perform background maintenance tasks
-async function performMaintenance() {
+// Record edits made here that haven't been recorded yet and merge history.json; a failure here
+// shouldn't fail the prompt sync itself
+async function syncHistory(prompts, localEdits) {
   try {
-    // Get cached prompts and last sync time
-    const result = await chrome.storage.local.get([STORAGE_KEYS.PROMPTS, STORAGE_KEYS.LAST_SYNC]);
-    const cachedPrompts = result[STORAGE_KEYS.PROMPTS] || [];
-    const lastSync = result[STORAGE_KEYS.LAST_SYNC] || 0;
-    
-    // If we have prompts and it's been more than 24 hours since last sync, 
-    // we could potentially trigger a sync, but for now we'll just log
-    if (cachedPrompts.length > 0 && (Date.now() - lastSync) > 24 * 60 * 60 * 1000) {
-      console.log('Background maintenance: prompts cached for more than 24 hours');
+    await promptHistory.recordAll(localEdits);
+    await promptHistory.sync(await storageReady, prompts.map(p => p.id));
+  } catch (error) {
+    console.error('Failed to sync prompt history:', error);
+  }
+}
+
+// Snapshot what was just synced, and write the dated copy of the day; a failed backup shouldn't
+// fail the sync itself
+async function backUp(records) {
+  try {
+    await backups.snapshot(records);
+    await backups.writeDailyCopy(await storageReady, records);
+  } catch (error) {
+    console.error('Failed to back up prompts:', error);
+  }
+}
+
+// Use counts are written once per sync rather than on every use; if the write fails they stay
+// pending for the next sync
+async function flushUsage() {
+  try {
+    await usageTracker.flush(await storageReady);
+  } catch (error) {
+    console.error('Failed to sync prompt usage:', error);
+  }
+}
+
+// Counting a use shouldn't get in the way of the insert itself
+async function recordUse(promptId, libraryId = null) {
+  try {
+    return await usageTracker.record(promptId, libraryId);
+  } catch (error) {
+    console.error('Failed to record prompt usage:', error);
+    return null;
+  }
+}
+
+// Try again soon instead of waiting for the next periodic alarm
+function scheduleRetry(delayMinutes = RETRY_DELAY_MINUTES) {
+  chrome.alarms.create(RETRY_ALARM, { delayInMinutes: delayMinutes });
+}
+
+// Minutes until a failed sync is tried again, or null if retrying can't help until the user signs
+// in, unlocks or updates the extension. The delay doubles with every failure in a row, and a
+// server asking to wait longer gets its way.
+function getRetryDelay(error, failures) {
+  if (error instanceof AuthError || error instanceof EncryptionLockedError || error instanceof SchemaVersionError) {
+    return null;
+  }
+  // A full Drive or a damaged file needs the user too, but is checked again now and then
+  const backoff = error instanceof StorageError && !error.transient
+    ? MAX_RETRY_DELAY_MINUTES
+    : Math.min(RETRY_DELAY_MINUTES * 2 ** (failures - 1), MAX_RETRY_DELAY_MINUTES);
+  return Math.max(backoff, (error.retryAfter || 0) / 60000);
+}
+
+// Queue a Drive write and try to flush the outbox straight away
+async function pushChange(operation) {
+  // Shared libraries have no local sync state or history; the outbox is all they need
+  if (operation.libraryId) {
+    // Checked here so a read-only library never gets an operation stuck in the outbox
+    const drive = await libraries.getDriveById(operation.libraryId);
+    if (drive.readOnly) {
+      throw new Error('This library is read-only');
+    }
+  } else if (operation.type === 'delete') {
+    await syncEngine.recordDeletion(operation.promptId);
+  } else if (operation.type === 'deleteMany') {
+    await syncEngine.recordDeletions(operation.promptIds);
+  } else if (operation.type === 'layout') {
+    // Moves have no revisions; deleted folders need tombstones like deleted prompts
+    if (operation.deletedFolderIds?.length) {
+      await syncEngine.recordDeletions(operation.deletedFolderIds);
+    }
+  } else if (operation.type === 'updateMany') {
+    for (const promptId of Object.keys(operation.updates)) {
+      await recordRevision(Number(promptId));
+    }
+  } else {
+    await recordRevision(operation.promptId);
+  }
+  await outbox.enqueue(operation);
+
+  let remaining;
+  let failed = 0;
+  try {
+    await checkAccount();
+    ({ remaining, failed } = await outbox.replay(resolveStorage));
+  } catch (error) {
+    console.error('Failed to replay outbox:', error);
+    remaining = await outbox.count();
+  }
+
+  if (remaining > 0) {
+    scheduleRetry();
+  }
+  // failed counts changes set aside as impossible, this one or another replayed with it
+  return { synced: remaining === 0 && !failed, pending: remaining, failed };
+}
+
+// Changes set aside as failed get another go, e.g. after the user repaired the file
+async function retryFailedChanges() {
+  await outbox.retryFailed();
+  const state = await performSync();
+  return { ...state, failed: await outbox.getFailed() };
+}
+
+// Outbox operations go to the personal library unless they name a shared one
+function resolveStorage(operation) {
+  return operation.libraryId ? libraries.getDriveById(operation.libraryId) : storageReady;
+}
+
+// Point the sync engine at the backend picked in settings, encrypting what it stores if turned on
+async function useConfiguredStorage() {
+  let backend;
+  try {
+    backend = storageSettings.create(await storageSettings.load(), driveAPI);
+  } catch (error) {
+    console.error('Invalid storage settings, using Google Drive:', error);
+    backend = driveAPI;
+  }
+  syncEngine.storage = new EncryptedStorageProvider(backend, encryption);
+  const userSettings = await settings.load();
+  syncEngine.storage.applySettings(userSettings);
+  backups.applySettings(userSettings);
+  return syncEngine.storage;
+}
+
+// The last synced state belongs to the old backend; merging the new one against it would read
+// everything missing there as deleted, so the first sync after a switch merges without a base
+async function switchStorage() {
+  if (syncInProgress) {
+    await syncInProgress.catch(() => {});
+  }
+  await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_BASE]: {} });
+  // The new place gets its own dated copy today
+  await chrome.storage.local.remove(backups.LAST_COPY_KEY);
+  return useConfiguredStorage();
+}
+
+settings.onChange((next, previous) => {
+  if (next.syncIntervalMinutes !== previous.syncIntervalMinutes) {
+    scheduleSync().catch(error => console.error('Failed to reschedule sync:', error));
+  }
+
+  // A new folder or file name is a new place to sync with, just like another backend
+  if (!settings.movesStorage(next, previous)) {
+    storageReady = useConfiguredStorage();
+    return;
+  }
+  storageReady = switchStorage();
+  storageReady
+    .then(() => performSync())
+    .catch(error => console.error('Sync after moving storage failed:', error));
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[storageSettings.STORAGE_KEY]) return;
+
+  storageReady = switchStorage();
+  storageReady
+    .then(() => performSync())
+    .catch(error => console.error('Sync after switching storage failed:', error));
+});
+
+// The Google account personal prompts sync with, or null on other backends. Prompts cached here
+// belong to the account they were synced with: if Chrome is now signed in to another one, they
+// are cleared before anything is written, instead of merged into the other account's Drive.
+async function checkAccount() {
+  if ((await storageReady).inner !== driveAPI) return null;
+  if (googleAccount) return googleAccount;
+
+  const account = await driveAPI.getAccount();
+  const { [STORAGE_KEYS.ACCOUNT]: previous } = await chrome.storage.local.get([STORAGE_KEYS.ACCOUNT]);
+  if (previous && previous.id !== account.id) {
+    console.log('Google account changed, clearing prompts synced with the previous one');
+    await clearAccountData();
+  }
+  await chrome.storage.local.set({ [STORAGE_KEYS.ACCOUNT]: account });
+  googleAccount = account;
+  return account;
+}
+
+// Sign in from the popup and sync with the account picked
+async function connectAccount() {
+  await driveAPI.signIn();
+  googleAccount = null;
+  return performSync();
+}
+
+// Sign out of Google and remove the account's prompts from this browser; they stay on Drive
+async function disconnectAccount() {
+  if (syncInProgress) {
+    await syncInProgress.catch(() => {});
+  }
+  await driveAPI.signOut();
+  await clearAccountData();
+  googleAccount = null;
+  await chrome.alarms.clear(RETRY_ALARM);
+  return {
+    prompts: [],
+    folders: [],
+    conflicts: [],
+    pending: 0,
+    quarantined: 0,
+    account: null,
+    libraries: [],
+    libraryPrompts: {}
+  };
+}
+
+// Forget everything synced with a Google account. The prompts cached here are backed up first,
+// so changes that never reached Drive can still be restored from the backups.
+async function clearAccountData() {
+  const local = await syncEngine.loadLocalState();
+  const records = [...local.prompts, ...local.folders];
+  if (records.length) {
+    await backups.snapshot(records);
+  }
+
+  await chrome.storage.local.remove([
+    ...Object.values(syncEngine.STORAGE_KEYS),
+    ...Object.values(libraries.STORAGE_KEYS),
+    ...Object.values(usageTracker.STORAGE_KEYS),
+    outbox.STORAGE_KEY,
+    outbox.FAILED_KEY,
+    promptHistory.STORAGE_KEY,
+    backups.LAST_COPY_KEY,
+    STORAGE_KEYS.SYNC_STATUS,
+    STORAGE_KEYS.ACCOUNT
+  ]);
+  await encryption.reset();
+  driveAPI.clearCache();
+  libraries.drives.clear();
+}
+
+async function attachLibrary(details) {
+  await libraries.attach(details);
+  return libraries.refreshAll(await outbox.getPending());
+}
+
+async function detachLibrary(libraryId) {
+  await libraries.detach(libraryId);
+  await outbox.discard(operation => operation.libraryId === libraryId);
+  await usageTracker.forgetLibrary(libraryId);
+  return {
+    libraries: await libraries.getLibraries(),
+    libraryPrompts: await libraries.getLibraryPrompts(),
+    pending: await outbox.count()
+  };
+}
+
+// Snapshots in this browser and dated copies on the backend, newest first. Snapshots are listed
+// even when the backend can't be reached.
+async function listBackups() {
+  const snapshots = (await backups.listSnapshots()).map(snapshot => ({ ...snapshot, source: 'local' }));
+  let copies = [];
+  let copiesError = null;
+  try {
+    copies = ((await backups.listCopies(await storageReady)) || []).map(copy => ({ ...copy, source: 'remote' }));
+  } catch (error) {
+    console.error('Failed to list backup copies:', error);
+    copiesError = error.message;
+  }
+
+  const all = [...snapshots, ...copies].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return { backups: all, copiesError };
+}
+
+async function getBackup(source, backupId) {
+  return source === 'remote'
+    ? backups.getCopy(await storageReady, backupId)
+    : backups.getSnapshot(backupId);
+}
+
+// Bring back a whole backup, or some of its prompts. Changes made here go out first, which also
+// snapshots the prompts as they were, so a restore can be undone from the backups as well.
+async function restoreBackup(source, backupId, promptIds = null) {
+  const backup = await getBackup(source, backupId);
+  await performSync();
+
+  const storage = await storageReady;
+  await storage.updateRecords(current => backups.applyRestore(current, backup.records, promptIds));
+  return performSync();
+}
+
+// Every save gets a revision; the popup has already written the prompt to storage
+async function recordRevision(promptId) {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.PROMPTS]);
+    const prompt = (result[STORAGE_KEYS.PROMPTS] || []).find(p => p.id === promptId);
+    if (prompt) {
+      await promptHistory.record(prompt);
     }
   } catch (error) {
-    console.error('Background maintenance error:', error);
+    console.error('Failed to record prompt revision:', error);
+  }
+}
+
+// Turn encryption on. If another device already encrypted the files, join it with its key
+// instead of starting over with a new one.
+async function enableEncryption(passphrase) {
+  const storage = await storageReady;
+  const remoteEnvelope = await storage.getRemoteEnvelope();
+  if (remoteEnvelope) {
+    await encryption.unlock(passphrase, remoteEnvelope);
+  } else {
+    await encryption.enable(passphrase);
+  }
+  return syncAfterEncryptionChange();
+}
+
+// Offline, unlocking checks the passphrase against the key this device last used
+async function unlockEncryption(passphrase) {
+  const storage = await storageReady;
+  let remoteEnvelope = null;
+  try {
+    remoteEnvelope = await storage.getRemoteEnvelope();
+  } catch (error) {
+    if (!(error instanceof NetworkError)) throw error;
+    console.warn('Could not read the server copy, unlocking offline:', error.message);
+  }
+  await encryption.unlock(passphrase, remoteEnvelope);
+  return syncAfterEncryptionChange();
+}
+
+async function changePassphrase(currentPassphrase, newPassphrase) {
+  const storage = await storageReady;
+  await encryption.changePassphrase(currentPassphrase, newPassphrase, await storage.getRemoteEnvelope());
+  return syncAfterEncryptionChange();
+}
+
+// Reading a file that isn't encrypted with the current key re-encrypts it, so a sync is all it
+// takes. If it fails, the key is still set and the next sync catches up.
+async function syncAfterEncryptionChange() {
+  let state = {};
+  try {
+    state = await performSync();
+  } catch (error) {
+    console.error('Sync after encryption change failed:', error);
+  }
+  return { ...state, encryption: await encryption.getStatus() };
+}
+
+async function resolveConflict(promptId, choice) {
+  await syncEngine.resolveConflict(promptId, choice);
+
+  // Push the resolution to Google Drive right away, falling back to the local state
+  try {
+    return { synced: true, ...(await performSync()) };
+  } catch (error) {
+    console.error('Failed to sync conflict resolution:', error);
+    const { prompts, folders } = await syncEngine.loadLocalState();
+    return {
+      synced: false,
+      prompts,
+      folders,
+      conflicts: await syncEngine.getConflicts(),
+      pending: await outbox.count()
+    };
+  }
+}
+
+// Tell any open popup about new data; nobody listening is not an error
+function broadcast(message) {
+  chrome.runtime.sendMessage(message).catch(() => {});
+}
+
+// Context menus: save the selection as a prompt, and insert favorite or recent prompts into a field.
+// Menus can't be filled in when they open, so the insert submenu is rebuilt when prompts change.
+let contextMenusUpdate = Promise.resolve();
+let contextMenusTimer = null;
+
+function updateContextMenus() {
+  contextMenusUpdate = contextMenusUpdate
+    .then(buildContextMenus)
+    .catch(error => console.error('Failed to update context menus:', error));
+  return contextMenusUpdate;
+}
+
+async function buildContextMenus() {
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_IDS.SAVE_SELECTION,
+    title: 'Save selection to Prompt Stash',
+    contexts: ['selection']
+  });
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_IDS.INSERT,
+    title: 'Insert prompt',
+    contexts: ['editable']
+  });
+
+  const { favorites, recent } = await getMenuPrompts();
+  if (!favorites.length && !recent.length) {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_IDS.INSERT_EMPTY,
+      parentId: CONTEXT_MENU_IDS.INSERT,
+      title: 'Star prompts or use them to list them here',
+      contexts: ['editable'],
+      enabled: false
+    });
+    return;
+  }
+
+  const addItem = prompt => chrome.contextMenus.create({
+    id: `${INSERT_MENU_PREFIX}${prompt.id}`,
+    parentId: CONTEXT_MENU_IDS.INSERT,
+    // A single & marks an access key in menu titles
+    title: prompt.name.replace(/&/g, '&&'),
+    contexts: ['editable']
+  });
+  favorites.forEach(addItem);
+  if (favorites.length && recent.length) {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_IDS.INSERT_SEPARATOR,
+      parentId: CONTEXT_MENU_IDS.INSERT,
+      type: 'separator',
+      contexts: ['editable']
+    });
+  }
+  recent.forEach(addItem);
+}
+
+// Favorites by name, then the most recently used of the rest
+async function getMenuPrompts() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.PROMPTS]);
+  const usage = await usageTracker.load();
+  const prompts = result[STORAGE_KEYS.PROMPTS] || [];
+
+  const favorites = prompts
+    .filter(prompt => prompt.favorite)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, MAX_MENU_PROMPTS);
+  const lastUsed = prompt => usageTracker.getUsage(prompt, usage).lastUsedAt;
+  const recent = prompts
+    .filter(prompt => !prompt.favorite && lastUsed(prompt))
+    .sort((a, b) => new Date(lastUsed(b)) - new Date(lastUsed(a)))
+    .slice(0, MAX_MENU_PROMPTS - favorites.length);
+  return { favorites, recent };
+}
+
+// Prompts, favorites and uses change in bursts during a sync; rebuild once it settles
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !(changes[STORAGE_KEYS.PROMPTS] || changes[usageTracker.STORAGE_KEYS.PENDING])) return;
+
+  clearTimeout(contextMenusTimer);
+  contextMenusTimer = setTimeout(updateContextMenus, 1000);
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const menuItemId = String(info.menuItemId);
+  if (menuItemId === CONTEXT_MENU_IDS.SAVE_SELECTION) {
+    saveSelection(info, tab).catch(async (error) => {
+      console.error('Failed to save selection:', error);
+      await showNotification('Prompt Stash', 'Failed to save the selection.');
+    });
+  } else if (menuItemId.startsWith(INSERT_MENU_PREFIX)) {
+    insertFromContextMenu(menuItemId.slice(INSERT_MENU_PREFIX.length), info, tab).catch(async (error) => {
+      console.error('Failed to insert prompt from context menu:', error);
+      await showNotification('Prompt Stash', 'Failed to insert prompt.');
+    });
+  }
+});
+
+// Keep the selection with the page it came from and open the save dialog, prefilled, in the popup
+async function saveSelection(info, tab) {
+  // Read from the page, since info.selectionText loses line breaks
+  const selection = tab ? await getPageSelection(tab.id, info.frameId) : '';
+  const text = (selection || info.selectionText || '').trim();
+  if (!text) return;
+
+  await chrome.storage.session.set({
+    [PENDING_CAPTURE_KEY]: {
+      text,
+      source: { title: tab?.title || '', url: info.pageUrl || tab?.url || '' },
+      capturedAt: new Date().toISOString()
+    }
+  });
+  await openCaptureDialog();
+}
+
+// The toolbar popup where the browser can open it from here, a small window otherwise
+async function openCaptureDialog() {
+  if (chrome.action.openPopup) {
+    try {
+      await chrome.action.openPopup();
+      return;
+    } catch (error) {
+      console.warn('Could not open the popup, opening a window instead:', error.message);
+    }
+  }
+  await chrome.windows.create({ url: 'popup.html?capture=1', type: 'popup', width: 440, height: 640 });
+}
+
+async function insertFromContextMenu(promptId, info, tab) {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.PROMPTS]);
+  const prompt = (result[STORAGE_KEYS.PROMPTS] || []).find(p => String(p.id) === promptId);
+  if (!prompt || !tab) {
+    await showNotification('Prompt Stash', 'That prompt no longer exists.');
+    return;
+  }
+
+  const text = await renderWithDefaults(prompt.text, tab);
+  // Into the frame that was right-clicked, whose field has the focus
+  const { success } = await insertPromptIntoTab(tab.id, text, {}, info.frameId);
+  if (success) {
+    await recordUse(prompt.id);
   }
 }
 
@@ -232,33 +852,114 @@ chrome.runtime.onInstalled.addListener((details) => {
     console.log('Extension updated from version:', details.previousVersion);
   }
   
-  startBackgroundSync();
+  scheduleSync().catch(error => console.error('Failed to schedule sync:', error));
+  // Menus are kept across restarts, but not across updates
+  updateContextMenus();
 });
 
 // Handle extension startup
 chrome.runtime.onStartup.addListener(() => {
   console.log('Prompt Stash extension started');
-  startBackgroundSync();
+  scheduleSync().catch(error => console.error('Failed to schedule sync:', error));
+  performSync().catch(error => console.error('Startup sync failed:', error));
 });
 
+// Content scripts run inside web pages, so they may only ask for what the palette and
+// autocomplete need; everything else has to come from the extension's own pages
+const CONTENT_SCRIPT_ACTIONS = ['renderPrompt', 'recordUsage'];
+
+function isAllowedSender(sender, action) {
+  if (sender.id !== chrome.runtime.id) return false;
+  if (sender.url && sender.url.startsWith(chrome.runtime.getURL(''))) return true;
+  return CONTENT_SCRIPT_ACTIONS.includes(action);
+}
+
 // Handle messages from popup or content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (!request || !isAllowedSender(sender, request.action)) {
+    console.warn('Ignoring message from', sender.url || sender.id, request && request.action);
+    sendResponse({ success: false, error: 'Not allowed' });
+    return;
+  }
+
   if (request.action === 'getStatus') {
     // Return extension status
     sendResponse({ status: 'active', timestamp: Date.now() });
-  } else if (request.action === 'setPendingInsert') {
-    // Set pending insert text
-    chrome.storage.local.set({ [STORAGE_KEYS.PENDING_INSERT]: request.text }, () => {
-      sendResponse({ success: true });
-    });
+  } else if (request.action === 'armPrompt') {
+    // Arm a prompt for a keyboard shortcut slot
+    respondWith(sendResponse, armPrompt(request.promptId, request.slot));
     return true; // Indicates async response
+  } else if (request.action === 'insertText') {
+    // Insert text from the popup; inserted is false when it only reached the clipboard
+    respondWith(sendResponse, insertPromptIntoActiveTab(request.text, request.options)
+      .then(({ success, method }) => ({ inserted: Boolean(success), method })));
+    return true;
+  } else if (request.action === 'renderPrompt') {
+    // Fill template variables for text a content script is about to insert
+    respondWith(sendResponse, renderWithDefaults(request.text, sender.tab).then(text => ({ text })));
+    return true;
+  } else if (request.action === 'recordUsage') {
+    // A copy or insert from the popup, or an insert from a content script that went through
+    respondWith(sendResponse, usageTracker.record(request.promptId, request.libraryId || null).then(usage => ({ usage })));
+    return true;
+  } else if (request.action === 'sync') {
+    respondWith(sendResponse, performSync());
+    return true;
+  } else if (request.action === 'pushChange') {
+    respondWith(sendResponse, pushChange(request.operation));
+    return true;
+  } else if (request.action === 'retryFailedChanges') {
+    respondWith(sendResponse, retryFailedChanges());
+    return true;
+  } else if (request.action === 'discardFailedChanges') {
+    respondWith(sendResponse, outbox.discardFailed().then(() => ({})));
+    return true;
+  } else if (request.action === 'resolveConflict') {
+    respondWith(sendResponse, resolveConflict(request.promptId, request.choice));
+    return true;
+  } else if (request.action === 'getEncryptionStatus') {
+    respondWith(sendResponse, encryption.getStatus());
+    return true;
+  } else if (request.action === 'enableEncryption') {
+    respondWith(sendResponse, enableEncryption(request.passphrase));
+    return true;
+  } else if (request.action === 'unlockEncryption') {
+    respondWith(sendResponse, unlockEncryption(request.passphrase));
+    return true;
+  } else if (request.action === 'changePassphrase') {
+    respondWith(sendResponse, changePassphrase(request.currentPassphrase, request.newPassphrase));
+    return true;
+  } else if (request.action === 'lockEncryption') {
+    respondWith(sendResponse, encryption.lock().then(() => encryption.getStatus()));
+    return true;
+  } else if (request.action === 'listBackups') {
+    respondWith(sendResponse, listBackups());
+    return true;
+  } else if (request.action === 'getBackup') {
+    respondWith(sendResponse, getBackup(request.source, request.backupId).then(backup => ({ backup })));
+    return true;
+  } else if (request.action === 'restoreBackup') {
+    respondWith(sendResponse, restoreBackup(request.source, request.backupId, request.promptIds || null));
+    return true;
+  } else if (request.action === 'connectAccount') {
+    respondWith(sendResponse, connectAccount());
+    return true;
+  } else if (request.action === 'disconnectAccount') {
+    respondWith(sendResponse, disconnectAccount());
+    return true;
+  } else if (request.action === 'attachLibrary') {
+    respondWith(sendResponse, attachLibrary(request.library));
+    return true;
+  } else if (request.action === 'detachLibrary') {
+    respondWith(sendResponse, detachLibrary(request.libraryId));
+    return true;
   }
 });
 
-// Clean up when service worker is terminated
-self.addEventListener('beforeunload', () => {
-  if (syncInterval) {
-    clearInterval(syncInterval);
-  }
-});
+// Reply to a message with the outcome of an async operation
+function respondWith(sendResponse, promise) {
+  promise
+    .then(result => sendResponse({ success: true, ...result }))
+    .catch(error => sendResponse({ success: false, error: error.message, errorName: error.name, retryAt: error.retryAt }));
+}
   
\ No newline at end of file
@@ -0,0 +1,232 @@
+// backups.js - Rolling snapshots of the prompts in IndexedDB, plus daily copies next to prompts.json
+'use strict';
+
+// A snapshot is taken after every successful sync that changed something, and one dated copy a
+// day is written to the storage backend if it can list its documents (Google Drive). Both are
+// kept for the retention period in settings; the newest one of each is never dropped.
+class BackupManager {
+  constructor() {
+    this.DB_NAME = 'prompt-stash-backups';
+    this.DB_VERSION = 1;
+    this.STORE = 'snapshots';
+    // Date, counts and a hash of the content of each snapshot, so listing, pruning and comparing
+    // with the last one don't load the records of every snapshot
+    this.SUMMARY_STORE = 'snapshotSummaries';
+    // Date of the last dated copy, so the backend isn't listed on every sync
+    this.LAST_COPY_KEY = 'lastBackupCopy';
+    // Snapshots of prompts edited every few minutes would otherwise pile up within the period
+    this.MAX_SNAPSHOTS = 500;
+    this.DAY = 24 * 60 * 60 * 1000;
+    this.retentionDays = 30;
+    this.db = null;
+  }
+
+  // Take the retention period from the user's settings (see ExtensionSettings)
+  applySettings(settings) {
+    this.retentionDays = settings.backupRetentionDays;
+  }
+
+  // Save prompts and folders as a new snapshot, unless they are what the last one holds.
+  // Use counts change with every use and don't count as a change.
+  async snapshot(records) {
+    const saved = records.filter(record => !record.deleted);
+    const contentHash = await this.hash(this.contentKey(saved));
+    const latest = (await this.listSnapshots())[0];
+    if (latest && latest.contentHash === contentHash) {
+      return null;
+    }
+
+    const summary = {
+      createdAt: new Date().toISOString(),
+      ...this.count(saved),
+      contentHash
+    };
+    summary.id = await this.run('readwrite', (snapshots, summaries) => {
+      const request = snapshots.add({ ...summary, records: saved });
+      request.onsuccess = () => summaries.add({ ...summary, id: request.result });
+      return request;
+    });
+    await this.pruneSnapshots();
+    return { ...summary, records: saved };
+  }
+
+  // Every snapshot without its records, newest first
+  async listSnapshots() {
+    const summaries = await this.run('readonly', (snapshots, summaries) => summaries.getAll());
+    return summaries.reverse();
+  }
+
+  async getSnapshot(id) {
+    const snapshot = await this.run('readonly', snapshots => snapshots.get(id));
+    if (!snapshot) {
+      throw new Error('That backup no longer exists');
+    }
+    return snapshot;
+  }
+
+  async pruneSnapshots() {
+    const snapshots = await this.listSnapshots();
+    const expired = snapshots.filter((snapshot, index) =>
+      index > 0 && (index >= this.MAX_SNAPSHOTS || this.isExpired(snapshot.createdAt))
+    );
+    if (!expired.length) return;
+
+    await this.run('readwrite', (snapshots, summaries) => {
+      expired.forEach(snapshot => {
+        snapshots.delete(snapshot.id);
+        summaries.delete(snapshot.id);
+      });
+    });
+  }
+
+  // Write today's copy, once a day. storage has to support listDocuments, otherwise nothing
+  // is written. Copies past the retention period are removed once a new one is written.
+  async writeDailyCopy(storage, records) {
+    const today = new Date().toISOString().slice(0, 10);
+    const result = await chrome.storage.local.get([this.LAST_COPY_KEY]);
+    if (result[this.LAST_COPY_KEY] === today) return false;
+
+    const copies = await this.listCopies(storage);
+    if (!copies) return false;
+
+    const name = this.copyName(storage, today);
+    if (!copies.some(copy => copy.id === name)) {
+      await storage.writeDocument(name, storage.schema.createDocument(records.filter(record => !record.deleted)));
+    }
+
+    const expired = copies.filter(copy => copy.id !== name && this.isExpired(copy.createdAt));
+    for (const copy of expired) {
+      await storage.deleteDocument(copy.id);
+    }
+    await chrome.storage.local.set({ [this.LAST_COPY_KEY]: today });
+    return true;
+  }
+
+  // The dated copies on the backend, newest first, or null if it can't keep any
+  async listCopies(storage) {
+    const names = await storage.listDocuments(this.copyName(storage, ''));
+    if (!names) return null;
+
+    return names
+      .map(name => ({ id: name, createdAt: this.copyDate(storage, name) }))
+      .filter(copy => copy.createdAt)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Records of a dated copy, upgraded from an older format if needed
+  async getCopy(storage, name) {
+    const { content } = await storage.readDocument(name, null);
+    if (!content) {
+      throw new NotFoundError('That backup no longer exists');
+    }
+    const records = storage.schema.upgrade(content).records.filter(record => !record.deleted);
+    return { id: name, createdAt: this.copyDate(storage, name), ...this.count(records), records };
+  }
+
+  // prompts.json -> prompts-backup-2024-05-01.json, next to it; without a date, the common prefix
+  copyName(storage, date) {
+    return `${storage.FILE_NAME.replace(/\.json$/, '')}-backup-${date}${date ? '.json' : ''}`;
+  }
+
+  // The day a copy was written, as an ISO date, or null for a name that isn't a dated copy
+  copyDate(storage, name) {
+    const prefix = this.copyName(storage, '');
+    const date = name.startsWith(prefix) ? name.slice(prefix.length, -'.json'.length) : '';
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00.000Z` : null;
+  }
+
+  // Records of prompts.json after restoring a backup. Without promptIds everything is restored and
+  // whatever was added since is deleted; with promptIds only those prompts come back, along with
+  // any folder they were in that is gone now. Use counts stay as they are.
+  applyRestore(current, backupRecords, promptIds = null) {
+    const currentMap = new Map(current.map(record => [String(record.id), record]));
+    const backupMap = new Map(backupRecords.map(record => [String(record.id), record]));
+    const isLive = id => currentMap.has(id) && !currentMap.get(id).deleted;
+
+    let restored = backupRecords;
+    if (promptIds) {
+      const ids = new Set(promptIds.map(String));
+      restored = backupRecords.filter(record => ids.has(String(record.id)));
+      // Walk up from each prompt and bring back missing folders, stopping at one that still exists
+      restored.slice().forEach(prompt => {
+        let folder = backupMap.get(String(prompt.folderId));
+        while (folder && !isLive(String(folder.id)) && !ids.has(String(folder.id))) {
+          ids.add(String(folder.id));
+          restored.push(folder);
+          folder = backupMap.get(String(folder.parentId));
+        }
+      });
+    }
+
+    const restoredIds = new Set(restored.map(record => String(record.id)));
+    const deletedAt = new Date().toISOString();
+    const kept = current
+      .filter(record => !restoredIds.has(String(record.id)))
+      .map(record => (promptIds || record.deleted ? record : { id: record.id, deleted: true, deletedAt }));
+
+    return [...restored.map(record => this.withUsageOf(record, currentMap.get(String(record.id)))), ...kept];
+  }
+
+  // A restored record with the use counts of the record it replaces
+  withUsageOf(record, current) {
+    if (!current || current.deleted) return record;
+
+    const { useCount, lastUsedAt, ...content } = record;
+    const restored = { ...content };
+    if (current.useCount) restored.useCount = current.useCount;
+    if (current.lastUsedAt) restored.lastUsedAt = current.lastUsedAt;
+    return restored;
+  }
+
+  count(records) {
+    const folderCount = records.filter(record => record.kind === 'folder').length;
+    return { promptCount: records.length - folderCount, folderCount };
+  }
+
+  contentKey(records) {
+    return JSON.stringify(records.map(({ useCount, lastUsedAt, ...content }) => content));
+  }
+
+  async hash(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  isExpired(createdAt) {
+    return Date.now() - new Date(createdAt).getTime() > this.retentionDays * this.DAY;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.STORE, { keyPath: 'id', autoIncrement: true });
+        request.result.createObjectStore(this.SUMMARY_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.db;
+  }
+
+  // Run one request, or several queued by operation, in a transaction over the snapshots and their
+  // summaries; resolves with the result of the request operation returns once the transaction has
+  // completed
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.STORE, this.SUMMARY_STORE], mode);
+      const request = operation(transaction.objectStore(this.STORE), transaction.objectStore(this.SUMMARY_STORE));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Backup transaction aborted'));
+    });
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.BackupManager = BackupManager;
+}
@@ -1,24 +1,47 @@
 // drive-api.js - Google Drive API integration
 'use strict';
 
-class DriveAPI {
-  constructor() {
+// The Google Drive storage backend; also used on its own for shared libraries
+class DriveAPI extends StorageProvider {
+  // By default the personal library: a "Prompt Stash" folder found by name. A shared library passes
+  // { folderId } or { fileId } (files shared with you included) and readOnly for view-only access;
+  // { shared: true } can look up shared files without being a library yet.
+  constructor(location = {}) {
+    super();
+    this.location = location;
+    this.readOnly = Boolean(location.readOnly);
+    // The personal library only needs the files this extension created (drive.file, the scope in
+    // manifest.json). Shared libraries were created by someone else and need all of Drive, which
+    // is only asked for when the first one is attached.
+    this.SHARED_SCOPES = ['https://www.googleapis.com/auth/drive'];
+    this.scopes = location.shared || location.folderId || location.fileId ? this.SHARED_SCOPES : null;
     this.API_BASE = 'https://www.googleapis.com/drive/v3';
     this.UPLOAD_BASE = 'https://www.googleapis.com/upload/drive/v3';
+    this.REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
     this.FOLDER_NAME = 'Prompt Stash';
-    this.FILE_NAME = 'prompts.json';
-    this.folderId = null;
-    this.fileId = null;
-    this.maxRetries = 3;
-    this.retryDelay = 1000;
+    this.folderId = location.folderId || null;
+    this.fileId = location.fileId || null;
+    this.historyFileId = null;
   }
 
-  // Get OAuth2 token with retry logic
-  async getAuthToken() {
+  // The folder name is a setting too; a new name means a different folder
+  applySettings(settings) {
+    super.applySettings(settings);
+    this.FOLDER_NAME = settings.driveFolderName;
+    this.clearCache();
+  }
+
+  // OAuth token of the Google account the user connected. Only a click in the popup passes
+  // interactive; background syncs never open a sign-in window and fail with an AuthError instead.
+  async getAuthToken(interactive = false) {
+    const details = this.scopes ? { interactive, scopes: this.scopes } : { interactive };
     return new Promise((resolve, reject) => {
-      chrome.identity.getAuthToken({ interactive: true }, (token) => {
+      chrome.identity.getAuthToken(details, (token) => {
         if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
+          const message = chrome.runtime.lastError.message;
+          reject(navigator.onLine === false
+            ? new NetworkError('You are offline')
+            : new AuthError(`Google sign-in failed: ${message}`));
         } else {
           resolve(token);
         }
@@ -26,18 +49,56 @@ class DriveAPI {
     });
   }
 
-  // Retry wrapper for API calls
-  async retryOperation(operation, retries = this.maxRetries) {
-    for (let i = 0; i < retries; i++) {
+  // Ask the user to sign in and grant access to Drive
+  async signIn() {
+    return this.getAuthToken(true);
+  }
+
+  // Drop every token from Chrome's cache and revoke the current one, so the next sign-in asks
+  // again and can pick another account
+  async signOut() {
+    const token = await this.getAuthToken().catch(() => null);
+    if (token) {
+      await chrome.identity.removeCachedAuthToken({ token });
+      // A token that can't be revoked while offline still expires within the hour
       try {
-        return await operation();
+        await fetch(`${this.REVOKE_URL}?token=${encodeURIComponent(token)}`, { method: 'POST' });
       } catch (error) {
-        if (i === retries - 1) throw error;
-        
-        // Wait before retrying
-        await new Promise(resolve => setTimeout(resolve, this.retryDelay * (i + 1)));
+        console.warn('Failed to revoke Google token:', error);
+      }
+    }
+    await chrome.identity.clearAllCachedAuthTokens();
+    this.clearCache();
+  }
+
+  // The signed-in account: { id, email, name }. id is the same for the account on every device.
+  async getAccount() {
+    const response = await this.request(`${this.API_BASE}/about?fields=user(displayName,emailAddress,permissionId)`);
+    if (!response.ok) {
+      throw await this.createResponseError(response, 'Failed to read your Google account');
+    }
+    const { user } = await response.json();
+    return { id: user.permissionId, email: user.emailAddress, name: user.displayName };
+  }
+
+  // Authorized request to the Drive API. A token Drive rejects is dropped from Chrome's cache and
+  // the request sent once more with a new one.
+  async request(url, options = {}, renewToken = true) {
+    const token = await this.getAuthToken();
+    const response = await this.fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...options.headers
       }
+    });
+
+    if (response.status === 401 && renewToken) {
+      await chrome.identity.removeCachedAuthToken({ token });
+      return this.request(url, options, false);
     }
+    return response;
   }
 
   // Find or create the Prompt Stash folder
@@ -45,21 +106,13 @@ class DriveAPI {
     if (this.folderId) return this.folderId;
 
     return this.retryOperation(async () => {
-      const token = await this.getAuthToken();
-      
-      // First, try to find existing folder
-      const searchResponse = await fetch(
-        `${this.API_BASE}/files?q=name='${encodeURIComponent(this.FOLDER_NAME)}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
+      // First, try to find existing folder; only our own, never a shared library with the same name
+      const searchResponse = await this.request(
+        `${this.API_BASE}/files?q=name='${encodeURIComponent(this.FOLDER_NAME)}' and mimeType='application/vnd.google-apps.folder' and 'me' in owners and trashed=false`
       );
 
       if (!searchResponse.ok) {
-        throw new Error(`Failed to search for folder: ${searchResponse.status} ${searchResponse.statusText}`);
+        throw await this.createResponseError(searchResponse, 'Failed to search for folder');
       }
 
       const searchData = await searchResponse.json();
@@ -70,12 +123,8 @@ class DriveAPI {
       }
 
       // Create new folder if not found
-      const createResponse = await fetch(`${this.API_BASE}/files`, {
+      const createResponse = await this.request(`${this.API_BASE}/files`, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
         body: JSON.stringify({
           name: this.FOLDER_NAME,
           mimeType: 'application/vnd.google-apps.folder'
@@ -83,7 +132,7 @@ class DriveAPI {
       });
 
       if (!createResponse.ok) {
-        throw new Error(`Failed to create folder: ${createResponse.status} ${createResponse.statusText}`);
+        throw await this.createResponseError(createResponse, 'Failed to create folder');
       }
 
       const folderData = await createResponse.json();
@@ -92,234 +141,256 @@ class DriveAPI {
     });
   }
 
-  // Find or create the prompts.json file
+  // Find or create the prompts.json file. A new file gets a lineage of its own, so the next sync
+  // doesn't read the prompts missing from it as deleted and uploads them instead.
   async findOrCreateFile() {
-    if (this.fileId) return this.fileId;
+    if (!this.fileId) {
+      const initialContent = this.schema.createDocument([], [], this.schema.createLineage());
+      this.fileId = await this.findOrCreateNamedFile(this.FILE_NAME, initialContent);
+    }
+    return this.fileId;
+  }
+
+  // Find the prompts.json file without creating it; NotFoundError if the folder has none
+  async findFile() {
+    if (!this.fileId) {
+      this.fileId = await this.findNamedFile(this.FILE_NAME);
+    }
+    if (!this.fileId) {
+      throw new NotFoundError(`No ${this.FILE_NAME} in this folder`, { status: 404 });
+    }
+    return this.fileId;
+  }
+
+  // Find or create the history.json file next to prompts.json
+  async findOrCreateHistoryFile() {
+    if (!this.historyFileId) {
+      this.historyFileId = await this.findOrCreateNamedFile(this.HISTORY_FILE_NAME, {});
+    }
+    return this.historyFileId;
+  }
 
+  // ID of a file in the Prompt Stash folder, or null if there is none
+  async findNamedFile(fileName) {
     return this.retryOperation(async () => {
-      const token = await this.getAuthToken();
       const folderId = await this.findOrCreateFolder();
       
-      // Search for existing file
-      const searchResponse = await fetch(
-        `${this.API_BASE}/files?q=name='${encodeURIComponent(this.FILE_NAME)}' and '${folderId}' in parents and trashed=false`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
+      const searchResponse = await this.request(
+        `${this.API_BASE}/files?q=name='${encodeURIComponent(fileName)}' and '${folderId}' in parents and trashed=false&supportsAllDrives=true&includeItemsFromAllDrives=true`
       );
 
       if (!searchResponse.ok) {
-        throw new Error(`Failed to search for file: ${searchResponse.status} ${searchResponse.statusText}`);
+        throw await this.createResponseError(searchResponse, 'Failed to search for file');
       }
 
       const searchData = await searchResponse.json();
-      
-      if (searchData.files && searchData.files.length > 0) {
-        this.fileId = searchData.files[0].id;
-        return this.fileId;
-      }
+      return searchData.files && searchData.files.length > 0 ? searchData.files[0].id : null;
+    });
+  }
+
+  // Find a file in the Prompt Stash folder, creating it if it's missing; a new file gets
+  // initialContent if there is one, otherwise it stays empty until the first write
+  async findOrCreateNamedFile(fileName, initialContent) {
+    const existingId = await this.findNamedFile(fileName);
+    if (existingId) {
+      return existingId;
+    }
+
+    if (this.readOnly) {
+      throw new NotFoundError(`No ${fileName} in this library`);
+    }
+
+    return this.retryOperation(async () => {
+      const folderId = await this.findOrCreateFolder();
 
       // Create new file if not found
-      const createResponse = await fetch(`${this.API_BASE}/files`, {
+      const createResponse = await this.request(`${this.API_BASE}/files?supportsAllDrives=true`, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
         body: JSON.stringify({
-          name: this.FILE_NAME,
+          name: fileName,
           parents: [folderId],
           mimeType: 'application/json'
         })
       });
 
       if (!createResponse.ok) {
-        throw new Error(`Failed to create file: ${createResponse.status} ${createResponse.statusText}`);
+        throw await this.createResponseError(createResponse, 'Failed to create file');
       }
 
       const fileData = await createResponse.json();
-      this.fileId = fileData.id;
       
-      // Initialize with empty array
-      await this.updateFileContent([]);
-      return this.fileId;
+      // Initialize with empty content so the first read parses
+      if (initialContent !== undefined) {
+        await this.writeFile(fileData.id, initialContent);
+      }
+      return fileData.id;
     });
   }
 
-  // Get prompts from Google Drive
-  async getPrompts() {
-    try {
-      return await this.retryOperation(async () => {
-        const token = await this.getAuthToken();
-        const fileId = await this.findOrCreateFile();
-        
-        const response = await fetch(`${this.API_BASE}/files/${fileId}?alt=media`, {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
+  // Documents map to files in the Prompt Stash folder, created on first use. Only prompts.json and
+  // history.json are cached; other documents, like dated backups, are looked up every time.
+  async findDocument(name) {
+    if (name === this.FILE_NAME) return this.findOrCreateFile();
+    if (name === this.HISTORY_FILE_NAME) return this.findOrCreateHistoryFile();
+    return this.findOrCreateNamedFile(name);
+  }
+
+  // Files in the Prompt Stash folder whose names start with prefix
+  async listDocuments(prefix) {
+    // "contains" matches name prefixes; the exact check is done here
+    const files = await this.searchFolder(`name contains '${prefix}'`);
+    return files.map(file => file.name).filter(name => name.startsWith(prefix));
+  }
+
+  // Move a file of the Prompt Stash folder to the Drive trash, where it can still be recovered
+  async deleteDocument(name) {
+    if (this.readOnly) {
+      throw new Error('This library is read-only');
+    }
+
+    for (const file of await this.searchFolder(`name='${name}'`)) {
+      await this.retryOperation(async () => {
+        const response = await this.request(`${this.API_BASE}/files/${file.id}?supportsAllDrives=true`, {
+          method: 'PATCH',
+          body: JSON.stringify({ trashed: true })
         });
 
         if (!response.ok) {
-          if (response.status === 404) {
-            // File doesn't exist yet, return empty array
-            return [];
-          }
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          throw await this.createResponseError(response, 'Failed to delete file');
         }
-
-        const content = await response.text();
-        return content ? JSON.parse(content) : [];
       });
-    } catch (error) {
-      console.error('Error getting prompts:', error);
-      return [];
     }
   }
 
-  // Save prompts to Google Drive
-  async savePrompts(prompts) {
-    if (!Array.isArray(prompts)) {
-      throw new Error('Prompts must be an array');
-    }
-
+  // Files in the Prompt Stash folder matching a Drive query condition
+  async searchFolder(condition) {
+    const folderId = await this.findOrCreateFolder();
     return this.retryOperation(async () => {
-      const token = await this.getAuthToken();
-      const fileId = await this.findOrCreateFile();
-      
-      const response = await fetch(`${this.UPLOAD_BASE}/files/${fileId}?uploadType=media`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(prompts, null, 2)
-      });
+      const response = await this.request(
+        `${this.API_BASE}/files?q=${encodeURIComponent(`${condition} and '${folderId}' in parents and trashed=false`)}&fields=files(id,name)&pageSize=1000&supportsAllDrives=true&includeItemsFromAllDrives=true`
+      );
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw await this.createResponseError(response, 'Failed to list files');
       }
-
-      return true;
+      return (await response.json()).files || [];
     });
   }
 
+  // Reading a document other than prompts.json and history.json never creates it: a dated copy
+  // that isn't there reads as emptyValue, like a missing document on any other backend
+  async readDocument(name, emptyValue) {
+    if (name !== this.FILE_NAME && name !== this.HISTORY_FILE_NAME) {
+      const fileId = await this.findNamedFile(name);
+      return fileId ? this.readFile(fileId, emptyValue, name) : { content: emptyValue, revision: null };
+    }
+    return this.readFile(await this.findDocument(name), emptyValue, name);
+  }
+
+  async writeDocument(name, content, expectedRevision) {
+    return this.writeFile(await this.findDocument(name), content, expectedRevision);
+  }
+
   // Update file content
   async updateFileContent(content) {
+    return this.writeFile(await this.findOrCreateFile(), content);
+  }
+
+  // The file's current revision: headRevisionId changes with every content upload, version with any change
+  async getFileRevision(fileId) {
     return this.retryOperation(async () => {
-      const token = await this.getAuthToken();
-      const fileId = await this.findOrCreateFile();
-      
-      const response = await fetch(`${this.UPLOAD_BASE}/files/${fileId}?uploadType=media`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(content, null, 2)
-      });
+      const response = await this.request(`${this.API_BASE}/files/${fileId}?fields=version,headRevisionId&supportsAllDrives=true`);
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw await this.fileError(response, 'Failed to read file revision');
       }
 
-      return response.json();
+      const metadata = await response.json();
+      return metadata.headRevisionId || metadata.version || null;
     });
   }
 
-  // Add a new prompt
-  async addPrompt(prompt) {
-    if (!prompt || typeof prompt !== 'object') {
-      throw new Error('Invalid prompt object');
-    }
+  // Name, type and access of a file or folder, used to attach shared libraries
+  async getFileMetadata(fileId) {
+    return this.retryOperation(async () => {
+      const response = await this.request(`${this.API_BASE}/files/${encodeURIComponent(fileId)}?fields=id,name,mimeType,capabilities(canEdit)&supportsAllDrives=true`);
 
-    if (!prompt.name || !prompt.text) {
-      throw new Error('Prompt must have name and text properties');
-    }
+      if (!response.ok) {
+        if (response.status === 404) {
+          throw new NotFoundError('Drive file or folder not found, or not shared with you', { status: 404 });
+        }
+        throw await this.createResponseError(response, 'Failed to read file details');
+      }
 
-    return this.retryOperation(async () => {
-      const prompts = await this.getPrompts();
-      prompts.unshift(prompt);
-      await this.savePrompts(prompts);
-      return prompts;
+      return response.json();
     });
   }
 
-  // Delete a prompt
-  async deletePrompt(promptId) {
-    if (!promptId) {
-      throw new Error('Prompt ID is required');
+  // A file that was found before and is gone now was deleted or moved: forget where the files
+  // were, so the next attempt looks for them again
+  async fileError(response, message) {
+    if (response.status === 404) {
+      this.clearCache();
     }
-
-    return this.retryOperation(async () => {
-      const prompts = await this.getPrompts();
-      const filteredPrompts = prompts.filter(p => p.id !== promptId);
-      await this.savePrompts(filteredPrompts);
-      return filteredPrompts;
-    });
+    return this.createResponseError(response, message);
   }
 
-  // Update a prompt
-  async updatePrompt(promptId, updatedPrompt) {
-    if (!promptId) {
-      throw new Error('Prompt ID is required');
-    }
+  // Read a JSON file together with the revision it was read at
+  async readFile(fileId, emptyValue, name = 'The file') {
+    // Revision first: if the file changes before the download, the next conditional write fails
+    // and is retried instead of silently going through
+    const revision = await this.getFileRevision(fileId);
 
-    if (!updatedPrompt || typeof updatedPrompt !== 'object') {
-      throw new Error('Invalid updated prompt object');
-    }
+    const content = await this.retryOperation(async () => {
+      const response = await this.request(`${this.API_BASE}/files/${fileId}?alt=media&supportsAllDrives=true`);
 
-    return this.retryOperation(async () => {
-      const prompts = await this.getPrompts();
-      const index = prompts.findIndex(p => p.id === promptId);
-      if (index !== -1) {
-        prompts[index] = { ...prompts[index], ...updatedPrompt, updatedAt: new Date().toISOString() };
-        await this.savePrompts(prompts);
+      if (!response.ok) {
+        throw await this.fileError(response, `Failed to read ${name}`);
       }
-      return prompts;
-    });
-  }
 
-  // Validate prompt data
-  validatePrompt(prompt) {
-    if (!prompt || typeof prompt !== 'object') {
-      return 'Prompt must be an object';
-    }
+      return this.parseDocument(await response.text(), name, emptyValue);
+    });
 
-    if (!prompt.name || typeof prompt.name !== 'string' || prompt.name.trim().length === 0) {
-      return 'Prompt name is required and must be a non-empty string';
-    }
+    return { content, revision };
+  }
 
-    if (!prompt.text || typeof prompt.text !== 'string' || prompt.text.trim().length === 0) {
-      return 'Prompt text is required and must be a non-empty string';
+  // Replace the content of a file in the Prompt Stash folder. Drive v3 has no If-Match for uploads,
+  // so with expectedRevision the revision is checked right before the PATCH
+  async writeFile(fileId, content, expectedRevision) {
+    if (this.readOnly) {
+      throw new Error('This library is read-only');
     }
 
-    if (prompt.name.length > 200) {
-      return 'Prompt name must be less than 200 characters';
+    if (expectedRevision !== undefined) {
+      const currentRevision = await this.getFileRevision(fileId);
+      if (currentRevision !== expectedRevision) {
+        throw new RevisionMismatchError(expectedRevision, currentRevision);
+      }
     }
 
-    if (prompt.text.length > 10000) {
-      return 'Prompt text must be less than 10,000 characters';
-    }
+    return this.retryOperation(async () => {
+      const response = await this.request(`${this.UPLOAD_BASE}/files/${fileId}?uploadType=media&supportsAllDrives=true`, {
+        method: 'PATCH',
+        body: JSON.stringify(content, null, 2)
+      });
 
-    if (prompt.tags && (!Array.isArray(prompt.tags) || prompt.tags.some(tag => typeof tag !== 'string'))) {
-      return 'Tags must be an array of strings';
-    }
+      if (!response.ok) {
+        throw await this.fileError(response, 'Failed to save file');
+      }
 
-    return null;
+      return response.json();
+    });
   }
 
   // Clear cached IDs (useful for testing or when files are moved)
   clearCache() {
-    this.folderId = null;
-    this.fileId = null;
+    this.folderId = this.location.folderId || null;
+    this.fileId = this.location.fileId || null;
+    this.historyFileId = null;
   }
 }
 
-// Export for use in other files
-if (typeof window !== 'undefined') {
-  window.DriveAPI = DriveAPI;
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.DriveAPI = DriveAPI;
 }
@@ -0,0 +1,306 @@
+// encryption.js - Optional passphrase encryption of the synced prompt files
+'use strict';
+
+// Thrown when a synced file is encrypted and this session has no key for it
+class EncryptionLockedError extends Error {
+  constructor(message = 'Your synced prompts are encrypted. Unlock them with your passphrase to sync.') {
+    super(message);
+    this.name = 'EncryptionLockedError';
+  }
+}
+
+// Passphrase, salt and iteration count go through PBKDF2 to an AES-GCM key. The settings live in
+// chrome.storage.local, the derived keys only in chrome.storage.session, so they are gone when
+// the browser closes and every session starts locked.
+class PromptEncryption {
+  constructor() {
+    this.CONFIG_KEY = 'encryption';
+    this.SESSION_KEY = 'encryptionKeys';
+    this.FORMAT = 'prompt-stash-encrypted';
+    this.ITERATIONS = 600000;
+    this.MIN_PASSPHRASE_LENGTH = 8;
+    // Encrypted copy kept locally, so a passphrase can be checked without reaching the server
+    this.CHECK_TEXT = 'prompt-stash';
+  }
+
+  isEnvelope(content) {
+    return Boolean(content) && !Array.isArray(content) && content.format === this.FORMAT;
+  }
+
+  async getStatus() {
+    const config = await this.getConfig();
+    return {
+      enabled: Boolean(config.enabled),
+      unlocked: Boolean(config.enabled && await this.getCurrentKey())
+    };
+  }
+
+  validatePassphrase(passphrase) {
+    if (!passphrase || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+      return `Passphrase must be at least ${this.MIN_PASSPHRASE_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  // Turn encryption on; the next write of each file encrypts it
+  async enable(passphrase) {
+    const error = this.validatePassphrase(passphrase);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const kdf = this.createKdf();
+    await this.remember(await this.deriveKey(passphrase, kdf), kdf);
+  }
+
+  // Unlock with the key the server copy was written with, or offline with the last known one
+  async unlock(passphrase, remoteEnvelope = null) {
+    const config = await this.getConfig();
+    const kdf = remoteEnvelope ? remoteEnvelope.kdf : config.kdf;
+    if (!kdf) {
+      throw new Error('Encryption isn\'t set up on this device yet. Connect to the server to unlock.');
+    }
+
+    const key = await this.deriveKey(passphrase, kdf);
+    // Throws on a wrong passphrase
+    if (remoteEnvelope) {
+      await this.decrypt(remoteEnvelope, key);
+    } else if (await this.decrypt(config.check, key) !== this.CHECK_TEXT) {
+      throw new Error('Wrong passphrase');
+    }
+    await this.remember(key, kdf);
+  }
+
+  // New salt and key; the old key stays in the session so files still encrypted with it can be
+  // read and re-encrypted
+  async changePassphrase(currentPassphrase, newPassphrase, remoteEnvelope = null) {
+    const error = this.validatePassphrase(newPassphrase);
+    if (error) {
+      throw new Error(error);
+    }
+
+    await this.unlock(currentPassphrase, remoteEnvelope);
+    await this.enable(newPassphrase);
+  }
+
+  async lock() {
+    await chrome.storage.session.remove(this.SESSION_KEY);
+  }
+
+  // Forget the passphrase settings and keys, when the synced files now belong to another account
+  async reset() {
+    await this.lock();
+    await chrome.storage.local.remove(this.CONFIG_KEY);
+  }
+
+  // Make a key the one new writes use
+  async remember(key, kdf) {
+    const session = await this.getSession();
+    session.keys[kdf.salt] = this.toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+    session.current = kdf.salt;
+    await chrome.storage.session.set({ [this.SESSION_KEY]: session });
+
+    await this.saveConfig({
+      enabled: true,
+      kdf,
+      check: await this.encrypt(this.CHECK_TEXT, key, kdf)
+    });
+  }
+
+  // The key new writes are encrypted with, or null while locked
+  async getCurrentKey() {
+    const config = await this.getConfig();
+    const session = await this.getSession();
+    if (!config.kdf || session.current !== config.kdf.salt) return null;
+
+    const key = await this.getKey(config.kdf.salt);
+    return key ? { key, kdf: config.kdf } : null;
+  }
+
+  // A key of this session by the salt it was derived with
+  async getKey(salt) {
+    const raw = (await this.getSession()).keys[salt];
+    return raw ? crypto.subtle.importKey('raw', this.fromBase64(raw), 'AES-GCM', true, ['encrypt', 'decrypt']) : null;
+  }
+
+  createKdf() {
+    return {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: this.ITERATIONS,
+      salt: this.toBase64(crypto.getRandomValues(new Uint8Array(16)))
+    };
+  }
+
+  async deriveKey(passphrase, kdf) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: this.fromBase64(kdf.salt) },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Any JSON value to an envelope that says how to derive the key again
+  async encrypt(value, key, kdf) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+    return {
+      format: this.FORMAT,
+      version: 1,
+      kdf,
+      cipher: { name: 'AES-GCM', iv: this.toBase64(iv) },
+      data: this.toBase64(new Uint8Array(data))
+    };
+  }
+
+  async decrypt(envelope, key) {
+    let data;
+    try {
+      data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(envelope.cipher.iv) },
+        key,
+        this.fromBase64(envelope.data)
+      );
+    } catch (error) {
+      // AES-GCM can't tell a wrong key from tampered data
+      throw new Error('Wrong passphrase, or the encrypted file is damaged');
+    }
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  async getConfig() {
+    const result = await chrome.storage.local.get([this.CONFIG_KEY]);
+    return result[this.CONFIG_KEY] || {};
+  }
+
+  async saveConfig(config) {
+    await chrome.storage.local.set({ [this.CONFIG_KEY]: config });
+  }
+
+  async getSession() {
+    const result = await chrome.storage.session.get([this.SESSION_KEY]);
+    return result[this.SESSION_KEY] || { current: null, keys: {} };
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    // In chunks, so large files don't exceed the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+}
+
+// Wraps a storage backend so documents are encrypted before they are written and decrypted after
+// they are read. While encryption is off it only passes documents through.
+class EncryptedStorageProvider extends StorageProvider {
+  constructor(inner, encryption) {
+    super();
+    this.inner = inner;
+    this.encryption = encryption;
+    this.readOnly = inner.readOnly;
+    this.maxRetries = inner.maxRetries;
+  }
+
+  async readDocument(name, emptyValue, upgrade = true) {
+    const { content, revision } = await this.inner.readDocument(name, emptyValue);
+    const current = await this.encryption.getCurrentKey();
+
+    let plain = content;
+    if (this.encryption.isEnvelope(content)) {
+      const key = await this.encryption.getKey(content.kdf.salt);
+      if (!key) {
+        // Encrypted on another device, or with a passphrase changed there
+        throw new EncryptionLockedError();
+      }
+      plain = await this.encryption.decrypt(content, key);
+      // Already encrypted with the current key, or encryption is off here
+      if (!current || content.kdf.salt === current.kdf.salt) {
+        return { content: plain, revision };
+      }
+    } else if (revision === null || !(await this.encryption.getStatus()).enabled) {
+      return { content, revision };
+    } else if (!current) {
+      throw new EncryptionLockedError();
+    }
+
+    // Plain text or an old key while encryption is on: encrypt it now instead of waiting for a
+    // change, then read the new version
+    if (!upgrade || this.readOnly) {
+      return { content: plain, revision };
+    }
+    try {
+      await this.writeDocument(name, plain, revision);
+    } catch (error) {
+      if (!(error instanceof RevisionMismatchError)) throw error;
+    }
+    return this.readDocument(name, emptyValue, false);
+  }
+
+  applySettings(settings) {
+    super.applySettings(settings);
+    this.inner.applySettings(settings);
+  }
+
+  async writeDocument(name, content, expectedRevision) {
+    if (!(await this.encryption.getStatus()).enabled) {
+      return this.inner.writeDocument(name, content, expectedRevision);
+    }
+
+    const current = await this.encryption.getCurrentKey();
+    if (!current) {
+      throw new EncryptionLockedError();
+    }
+    return this.inner.writeDocument(name, await this.encryption.encrypt(content, current.key, current.kdf), expectedRevision);
+  }
+
+  // Envelope of the server copy of prompts.json, to unlock with the key it was written with;
+  // null if it isn't encrypted or doesn't exist. Any other failure is thrown: a server that can't
+  // be reached says nothing about whether its copy is encrypted.
+  async getRemoteEnvelope() {
+    try {
+      const { content } = await this.inner.readDocument(this.FILE_NAME, []);
+      return this.encryption.isEnvelope(content) ? content : null;
+    } catch (error) {
+      if (error instanceof NotFoundError) return null;
+      throw error;
+    }
+  }
+
+  async listDocuments(prefix) {
+    return this.inner.listDocuments(prefix);
+  }
+
+  async deleteDocument(name) {
+    return this.inner.deleteDocument(name);
+  }
+
+  clearCache() {
+    this.inner.clearCache();
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.EncryptionLockedError = EncryptionLockedError;
+  self.PromptEncryption = PromptEncryption;
+  self.EncryptedStorageProvider = EncryptedStorageProvider;
+}
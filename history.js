@@ -0,0 +1,146 @@
+// history.js - Per-prompt revision history, synced to history.json in Google Drive
+'use strict';
+
+class PromptHistory {
+  constructor() {
+    this.STORAGE_KEY = 'promptHistory';
+    // Oldest revisions are dropped once a prompt has this many
+    this.MAX_REVISIONS = 25;
+  }
+
+  // Record the saved state of a prompt unless it matches the latest revision
+  async record(prompt) {
+    return this.recordAll([prompt]);
+  }
+
+  async recordAll(prompts) {
+    const history = await this.load();
+    let changed = false;
+
+    prompts.forEach(prompt => {
+      if (!prompt || prompt.deleted || prompt.kind === 'folder') return;
+
+      const key = String(prompt.id);
+      const revisions = history[key] || [];
+      const revision = this.createRevision(prompt);
+      if (revisions.length && this.sameContent(revisions[0], revision)) return;
+
+      history[key] = [revision, ...revisions].slice(0, this.MAX_REVISIONS);
+      changed = true;
+    });
+
+    if (changed) {
+      await this.save(history);
+    }
+    return changed;
+  }
+
+  // Revisions of one prompt, newest first
+  async getRevisions(promptId) {
+    const history = await this.load();
+    return history[String(promptId)] || [];
+  }
+
+  // Merge the Drive copy with local revisions and drop the history of prompts that are gone
+  async sync(storage, promptIds) {
+    const liveIds = new Set(promptIds.map(String));
+
+    for (let attempt = 1; ; attempt++) {
+      const { history: remote, revision } = await storage.getHistoryWithRevision();
+      // Read local revisions after the download so ones recorded meanwhile aren't lost
+      const local = await this.load();
+      const merged = this.merge(local, remote, liveIds);
+
+      await this.save(merged);
+      if (JSON.stringify(merged) === JSON.stringify(remote)) {
+        return merged;
+      }
+
+      try {
+        // Only written if no other device saved history.json since it was read
+        await storage.saveHistory(merged, revision);
+        return merged;
+      } catch (error) {
+        if (!(error instanceof RevisionMismatchError) || attempt >= storage.maxRetries) throw error;
+      }
+    }
+  }
+
+  merge(local, remote, liveIds) {
+    const merged = {};
+    for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+      if (!liveIds.has(key)) continue;
+
+      const byId = new Map();
+      [...(remote[key] || []), ...(local[key] || [])].forEach(revision => {
+        byId.set(revision.revisionId, revision);
+      });
+      merged[key] = [...byId.values()]
+        .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))
+        .slice(0, this.MAX_REVISIONS);
+    }
+    return merged;
+  }
+
+  createRevision(prompt) {
+    return {
+      // Unique across devices, so merging two histories never drops a revision
+      revisionId: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: prompt.name,
+      text: prompt.text,
+      tags: prompt.tags || [],
+      savedAt: prompt.updatedAt || new Date().toISOString()
+    };
+  }
+
+  sameContent(a, b) {
+    return a.name === b.name && a.text === b.text && JSON.stringify(a.tags || []) === JSON.stringify(b.tags || []);
+  }
+
+  // Line diff of two texts: [{ type: 'same' | 'added' | 'removed', line }]
+  diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        diff.push({ type: 'same', line: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        diff.push({ type: 'removed', line: a[i++] });
+      } else {
+        diff.push({ type: 'added', line: b[j++] });
+      }
+    }
+    while (i < a.length) diff.push({ type: 'removed', line: a[i++] });
+    while (j < b.length) diff.push({ type: 'added', line: b[j++] });
+
+    return diff;
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return result[this.STORAGE_KEY] || {};
+  }
+
+  async save(history) {
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: history });
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.PromptHistory = PromptHistory;
+}
@@ -0,0 +1,250 @@
+// importer.js - Parse prompt files (JSON, CSV, Markdown) and detect duplicates before import
+'use strict';
+
+class PromptImporter {
+  constructor(validator) {
+    // Anything with a validatePrompt(prompt) method returning an error string or null, e.g. DriveAPI
+    this.validator = validator;
+  }
+
+  // Parse file contents into candidate prompts; the format comes from the extension, then the content
+  parse(content, fileName = '') {
+    const format = this.detectFormat(content, fileName);
+    switch (format) {
+      case 'json':
+        return this.parseJSON(content);
+      case 'csv':
+        return this.parseCSV(content);
+      case 'markdown':
+        return this.parseMarkdown(content);
+      default:
+        throw new Error('Unsupported file format. Use JSON, CSV or Markdown.');
+    }
+  }
+
+  detectFormat(content, fileName) {
+    const extension = fileName.toLowerCase().split('.').pop();
+    if (extension === 'json') return 'json';
+    if (extension === 'csv') return 'csv';
+    if (extension === 'md' || extension === 'markdown') return 'markdown';
+
+    const trimmed = content.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+    if (/^#{1,6}\s/m.test(trimmed)) return 'markdown';
+    if (/^name\s*,/i.test(trimmed)) return 'csv';
+    return null;
+  }
+
+  // Accepts the array written by Export JSON, or an object wrapping it in a "prompts" field
+  parseJSON(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const records = Array.isArray(data) ? data : data && Array.isArray(data.prompts) ? data.prompts : null;
+    if (!records) {
+      throw new Error('JSON file must contain an array of prompts');
+    }
+
+    return records
+      .filter(record => !(record && record.deleted))
+      .map(record => this.normalize(record));
+  }
+
+  // Columns: name,text,tags (header row required); tags are separated by commas or semicolons
+  parseCSV(content) {
+    const rows = this.parseCSVRows(content).filter(row => row.some(cell => cell.trim()));
+    if (!rows.length) return [];
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const nameIndex = header.indexOf('name');
+    const textIndex = header.indexOf('text');
+    const tagsIndex = header.indexOf('tags');
+    if (nameIndex === -1 || textIndex === -1) {
+      throw new Error('CSV file needs a header row with "name" and "text" columns');
+    }
+
+    return rows.slice(1).map(row => this.normalize({
+      name: row[nameIndex],
+      text: row[textIndex],
+      tags: tagsIndex === -1 ? [] : (row[tagsIndex] || '').split(/[,;]/)
+    }));
+  }
+
+  // RFC 4180 style: quoted cells may contain commas, newlines and doubled quotes
+  parseCSVRows(content) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // One heading per prompt; an optional "Tags: a, b" line right under it; the rest is the text
+  parseMarkdown(content) {
+    const prompts = [];
+    let current = null;
+    let inFence = false;
+
+    // Headings with nothing under them are document or section titles, not prompts
+    const finish = () => {
+      const text = current ? this.unwrapFence(current.lines.join('\n').trim()) : '';
+      if (text) {
+        prompts.push(this.normalize({ ...current, text }));
+      }
+    };
+
+    for (const line of content.split(/\r?\n/)) {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+      }
+
+      const heading = !inFence && line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        finish();
+        current = { name: heading[1], tags: [], lines: [] };
+        continue;
+      }
+      if (!current) continue;
+
+      const tagsLine = !current.lines.some(l => l.trim()) && line.match(/^\s*tags\s*:\s*(.*)$/i);
+      if (tagsLine) {
+        current.tags = tagsLine[1].split(/[,;]/);
+        continue;
+      }
+      current.lines.push(line);
+    }
+    finish();
+
+    return prompts;
+  }
+
+  // A body that is a single fenced code block is imported without the fence
+  unwrapFence(text) {
+    const match = text.match(/^(```|~~~)[^\n]*\n([\s\S]*?)\n\1$/);
+    return match ? match[2] : text;
+  }
+
+  normalize(record) {
+    const source = record && typeof record === 'object' ? record : {};
+    const prompt = {
+      ...source,
+      name: typeof source.name === 'string' ? source.name.trim() : source.name,
+      text: typeof source.text === 'string' ? source.text.trim() : source.text,
+      tags: Array.isArray(source.tags)
+        ? source.tags.map(tag => (typeof tag === 'string' ? tag.trim() : tag)).filter(Boolean)
+        : source.tags
+    };
+    delete prompt.lines;
+    return prompt;
+  }
+
+  // Validate each candidate and find the existing prompt it duplicates (same ID, name or text)
+  analyze(candidates, existingPrompts) {
+    const byId = new Map(existingPrompts.map(p => [String(p.id), p]));
+    const byName = new Map(existingPrompts.map(p => [p.name.trim().toLowerCase(), p]));
+    const byText = new Map(existingPrompts.map(p => [p.text.trim(), p]));
+
+    return candidates.map(prompt => {
+      const error = this.validator.validatePrompt(prompt);
+      if (error) {
+        return { prompt, error, duplicateOf: null };
+      }
+
+      const duplicateOf = (prompt.id !== undefined && byId.get(String(prompt.id))) ||
+        byName.get(prompt.name.toLowerCase()) ||
+        byText.get(prompt.text) ||
+        null;
+      return { prompt, error: null, duplicateOf };
+    });
+  }
+
+  // Apply the analyzed entries to the prompt list. decisions[i] is 'skip', 'overwrite' or 'keep-both'
+  // for duplicates; new prompts are always added. Returns the new list and what happened.
+  apply(entries, decisions, existingPrompts) {
+    const prompts = existingPrompts.map(p => ({ ...p }));
+    const summary = { added: 0, overwritten: 0, skipped: 0, invalid: 0 };
+    const now = new Date().toISOString();
+    let nextId = Date.now();
+
+    entries.forEach((entry, index) => {
+      if (entry.error) {
+        summary.invalid++;
+        return;
+      }
+
+      const decision = entry.duplicateOf ? decisions[index] || 'skip' : 'add';
+      const fields = {
+        name: entry.prompt.name,
+        text: entry.prompt.text,
+        tags: entry.prompt.tags || []
+      };
+      // Shortcuts must stay unique, so a clashing one is dropped rather than the prompt
+      const shortcut = entry.prompt.shortcut;
+      const targetId = decision === 'overwrite' ? entry.duplicateOf.id : null;
+      if (shortcut && !prompts.some(p => p.shortcut === shortcut && p.id !== targetId)) {
+        fields.shortcut = shortcut;
+      }
+
+      if (decision === 'skip') {
+        summary.skipped++;
+      } else if (decision === 'overwrite') {
+        const target = prompts.find(p => p.id === entry.duplicateOf.id);
+        Object.assign(target, fields, { updatedAt: now });
+        summary.overwritten++;
+      } else {
+        // Fresh IDs so imported prompts never collide with existing ones
+        prompts.unshift({
+          id: nextId++,
+          ...fields,
+          createdAt: entry.prompt.createdAt || now,
+          updatedAt: now
+        });
+        summary.added++;
+      }
+    });
+
+    return { prompts, summary };
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.PromptImporter = PromptImporter;
+}
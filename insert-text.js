@@ -0,0 +1,133 @@
+// insert-text.js - Text insertion into the focused field of a web page
+'use strict';
+
+// Injected into pages (after site-adapters.js) by the popup, the service worker,
+// the command palette and the autocomplete content script
+function insertTextIntoPage(insertText, options = {}) {
+  function tryInsert(targetEl) {
+    if (!targetEl) return false;
+    
+    // Handle contenteditable elements
+    if (targetEl.isContentEditable) {
+      targetEl.focus();
+      if (window.getSelection && window.getSelection().rangeCount > 0) {
+        const selection = window.getSelection();
+        const range = selection.getRangeAt(0);
+        range.deleteContents();
+        range.insertNode(document.createTextNode(insertText));
+        range.collapse(false);
+        selection.removeAllRanges();
+        selection.addRange(range);
+      } else {
+        targetEl.innerText = (targetEl.innerText || '') + insertText;
+      }
+      return true;
+    }
+    
+    // Handle input and textarea elements
+    if ('value' in targetEl) {
+      targetEl.focus();
+      const start = targetEl.selectionStart || 0;
+      const end = targetEl.selectionEnd || 0;
+      const currentValue = targetEl.value || '';
+      
+      const newValue = currentValue.substring(0, start) + insertText + currentValue.substring(end);
+      targetEl.value = newValue;
+      
+      targetEl.selectionStart = targetEl.selectionEnd = start + insertText.length;
+      
+      // Trigger input event for React/Vue components
+      targetEl.dispatchEvent(new Event('input', { bubbles: true }));
+      targetEl.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }
+    
+    return false;
+  }
+  
+  // Known chat apps get their own adapter, unless the user is focused on some other field
+  const adapter = self.PromptStashSiteAdapters ? self.PromptStashSiteAdapters.find(location.hostname) : null;
+  const activeElement = document.activeElement;
+  if (adapter) {
+    const composer = adapter.findComposer(document);
+    const focusedElsewhere = activeElement && activeElement !== document.body &&
+      (activeElement.isContentEditable || 'value' in activeElement) &&
+      !(composer && composer.contains(activeElement));
+    
+    if (composer && !focusedElsewhere && adapter.insert(document, insertText)) {
+      if (options.submit) {
+        // Give the editor a moment to enable its send button
+        setTimeout(() => adapter.submit(document), 150);
+      }
+      return { success: true, method: 'adapter', adapter: adapter.name };
+    }
+  }
+  
+  // Try to insert into the currently focused element first
+  if (activeElement && tryInsert(activeElement)) {
+    return { success: true, method: 'active-element' };
+  }
+  
+  // Look for common input selectors in order of preference
+  const selectors = [
+    // AI Chat applications
+    'textarea[placeholder*="chat"], textarea[placeholder*="message"], textarea[placeholder*="prompt"]',
+    'div[contenteditable="true"][placeholder*="chat"], div[contenteditable="true"][placeholder*="message"]',
+    'input[placeholder*="chat"], input[placeholder*="message"], input[placeholder*="prompt"]',
+    
+    // Document editors
+    'div[contenteditable="true"]',
+    'textarea',
+    'input[type="text"], input[type="search"]',
+    
+    // Generic contenteditable
+    '[contenteditable="true"]'
+  ];
+  
+  for (const selector of selectors) {
+    const elements = document.querySelectorAll(selector);
+    for (const element of elements) {
+      // Check if element is visible and not disabled
+      if (element.offsetParent !== null && !element.disabled && !element.readOnly) {
+        if (tryInsert(element)) {
+          return { success: true, method: 'selector', selector };
+        }
+      }
+    }
+  }
+  
+  // Last resort: copy to clipboard
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(insertText).then(() => {
+      // Show a notification that text was copied
+      const notification = document.createElement('div');
+      notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: #4CAF50;
+        color: white;
+        padding: 12px 20px;
+        border-radius: 4px;
+        z-index: 10000;
+        font-family: Arial, sans-serif;
+        font-size: 14px;
+        box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+      `;
+      notification.textContent = 'Prompt copied to clipboard!';
+      document.body.appendChild(notification);
+      
+      setTimeout(() => {
+        if (notification.parentNode) {
+          notification.parentNode.removeChild(notification);
+        }
+      }, 3000);
+    }).catch(() => {
+      alert('Prompt copied to clipboard. Please paste it manually.');
+    });
+  } else {
+    alert('Prompt copied to clipboard. Please paste it manually.');
+  }
+  
+  return { success: false, method: 'clipboard' };
+}
@@ -0,0 +1,182 @@
+// libraries.js - Shared prompt libraries attached by Drive folder or file ID
+'use strict';
+
+class LibraryManager {
+  constructor() {
+    this.STORAGE_KEYS = {
+      LIBRARIES: 'libraries',
+      PROMPTS: 'libraryPrompts'
+    };
+    this.MODES = ['read-only', 'read-write'];
+    this.FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+    // One DriveAPI per library, so each keeps its own cached file ID
+    this.drives = new Map();
+  }
+
+  async getLibraries() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEYS.LIBRARIES]);
+    return result[this.STORAGE_KEYS.LIBRARIES] || [];
+  }
+
+  async saveLibraries(libraries) {
+    await chrome.storage.local.set({ [this.STORAGE_KEYS.LIBRARIES]: libraries });
+  }
+
+  // Cached prompts of every library, keyed by library ID
+  async getLibraryPrompts() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEYS.PROMPTS]);
+    return result[this.STORAGE_KEYS.PROMPTS] || {};
+  }
+
+  // Accept a bare ID or a Drive link to a folder or file
+  parseDriveId(input) {
+    const value = (input || '').trim();
+    const match = value.match(/\/folders\/([\w-]+)/) || value.match(/\/d\/([\w-]+)/) || value.match(/[?&]id=([\w-]+)/);
+    const id = match ? match[1] : value;
+    if (!/^[\w-]{10,}$/.test(id)) {
+      throw new Error('Enter a Google Drive folder or file ID, or a link to one');
+    }
+    return id;
+  }
+
+  // Attach a library: a folder holding a prompts.json, or a prompts.json file itself. Asks for
+  // access to files shared with the user the first time, so this has to follow a click.
+  async attach({ name, driveId, mode }) {
+    if (!this.MODES.includes(mode)) {
+      throw new Error(`Unknown library mode: ${mode}`);
+    }
+
+    const id = this.parseDriveId(driveId);
+    const libraries = await this.getLibraries();
+    if (libraries.some(l => l.folderId === id || l.fileId === id)) {
+      throw new Error('This library is already attached');
+    }
+
+    const lookup = new DriveAPI({ shared: true });
+    await lookup.getAuthToken(true);
+    const metadata = await lookup.getFileMetadata(id);
+    if (mode === 'read-write' && !(metadata.capabilities && metadata.capabilities.canEdit)) {
+      throw new Error('You only have view access to this library; attach it read-only');
+    }
+
+    const library = {
+      id: `library-${Date.now()}`,
+      name: (name || '').trim() || metadata.name,
+      mode,
+      attachedAt: new Date().toISOString()
+    };
+    if (metadata.mimeType === this.FOLDER_MIME_TYPE) {
+      library.folderId = id;
+    } else {
+      library.fileId = id;
+    }
+
+    // Read it once before saving, so a library without prompts.json is never attached. The file is
+    // looked up first, so a wrong folder doesn't get an empty prompts.json written into it.
+    await this.getDrive(library).findFile();
+    const prompts = await this.fetchPrompts(library);
+    await this.saveLibraries([...libraries, { ...library, syncedAt: new Date().toISOString() }]);
+    await this.savePrompts(library.id, prompts);
+    return library;
+  }
+
+  async detach(libraryId) {
+    const libraries = await this.getLibraries();
+    await this.saveLibraries(libraries.filter(l => l.id !== libraryId));
+
+    const libraryPrompts = await this.getLibraryPrompts();
+    delete libraryPrompts[libraryId];
+    await chrome.storage.local.set({ [this.STORAGE_KEYS.PROMPTS]: libraryPrompts });
+    this.drives.delete(libraryId);
+  }
+
+  getDrive(library) {
+    if (!this.drives.has(library.id)) {
+      this.drives.set(library.id, new DriveAPI({
+        folderId: library.folderId,
+        fileId: library.fileId,
+        readOnly: library.mode !== 'read-write'
+      }));
+    }
+    return this.drives.get(library.id);
+  }
+
+  async getDriveById(libraryId) {
+    const library = (await this.getLibraries()).find(l => l.id === libraryId);
+    if (!library) {
+      // Set aside by the outbox instead of retried
+      throw new NotFoundError('Library is no longer attached');
+    }
+    return this.getDrive(library);
+  }
+
+  async fetchPrompts(library) {
+    const records = await this.getDrive(library).getRecords();
+    return records
+      .filter(record => !record.deleted && record.kind !== 'folder')
+      .map(prompt => ({ ...prompt, libraryId: library.id }));
+  }
+
+  async savePrompts(libraryId, prompts) {
+    const libraryPrompts = await this.getLibraryPrompts();
+    libraryPrompts[libraryId] = prompts;
+    await chrome.storage.local.set({ [this.STORAGE_KEYS.PROMPTS]: libraryPrompts });
+  }
+
+  // Re-read every library. Queued edits that haven't reached Drive yet are applied on top, so they
+  // don't disappear from the popup; a library that can't be read keeps its cached prompts.
+  async refreshAll(pendingOperations = []) {
+    const libraries = await this.getLibraries();
+    const libraryPrompts = await this.getLibraryPrompts();
+
+    for (const library of libraries) {
+      try {
+        const pending = pendingOperations.filter(op => op.libraryId === library.id);
+        libraryPrompts[library.id] = pending.reduce(
+          (prompts, operation) => this.applyOperation(prompts, operation),
+          await this.fetchPrompts(library)
+        );
+        library.syncedAt = new Date().toISOString();
+        delete library.error;
+      } catch (error) {
+        console.error(`Failed to refresh library "${library.name}":`, error);
+        library.error = error.message;
+      }
+    }
+
+    // Libraries attached or detached meanwhile win over this refresh
+    const refreshed = new Map(libraries.map(l => [l.id, l]));
+    const latest = (await this.getLibraries()).map(l => refreshed.get(l.id) || l);
+    const attachedIds = new Set(latest.map(l => l.id));
+    const attachedPrompts = Object.fromEntries(
+      Object.entries(libraryPrompts).filter(([id]) => attachedIds.has(id))
+    );
+
+    await this.saveLibraries(latest);
+    await chrome.storage.local.set({ [this.STORAGE_KEYS.PROMPTS]: attachedPrompts });
+    return { libraries: latest, libraryPrompts: attachedPrompts };
+  }
+
+  // Same effect as the outbox operation, applied to a cached prompt list
+  applyOperation(prompts, operation) {
+    switch (operation.type) {
+      case 'add':
+        return [{ ...operation.prompt, libraryId: operation.libraryId }, ...prompts.filter(p => p.id !== operation.promptId)];
+      case 'update':
+        return prompts.map(p => (p.id === operation.promptId ? { ...p, ...operation.changes } : p));
+      case 'delete':
+        return prompts.filter(p => p.id !== operation.promptId);
+      case 'updateMany':
+        return prompts.map(p => (operation.updates[p.id] ? { ...p, ...operation.updates[p.id] } : p));
+      case 'deleteMany':
+        return prompts.filter(p => !operation.promptIds.includes(p.id));
+      default:
+        return prompts;
+    }
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.LibraryManager = LibraryManager;
+}
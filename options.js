@@ -0,0 +1,162 @@
+// options.js - Settings page; the background service worker picks up changes from storage
+let storageSettings;
+let extensionSettings;
+
+// Text and number fields of the general settings, by setting name
+const NUMBER_FIELDS = ['syncIntervalMinutes', 'maxRetries', 'maxNameLength', 'maxPromptLength', 'backupRetentionDays'];
+const TEXT_FIELDS = ['theme', 'defaultAction', 'driveFolderName', 'fileName'];
+
+document.addEventListener('DOMContentLoaded', () => {
+  storageSettings = new StorageSettings();
+  extensionSettings = new ExtensionSettings();
+  bindUI();
+  loadGeneralSettings();
+  loadStorageSettings();
+});
+
+function bindUI() {
+  document.getElementById('generalForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveGeneralSettings();
+  });
+  document.getElementById('generalResetBtn')?.addEventListener('click', () => {
+    fillGeneralForm(extensionSettings.DEFAULTS);
+    showStatus('Defaults restored. Save to keep them.', 'generalStatus');
+  });
+  document.getElementById('theme')?.addEventListener('change', (e) => {
+    extensionSettings.applyTheme(e.target.value);
+  });
+
+  document.querySelectorAll('input[name="storageType"]').forEach(input => {
+    input.addEventListener('change', showStorageSettings);
+  });
+
+  document.getElementById('storageForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveStorageSettings();
+  });
+}
+
+async function loadGeneralSettings() {
+  try {
+    fillGeneralForm(await extensionSettings.load());
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+    showStatus('Failed to load settings', 'generalStatus');
+  }
+}
+
+function fillGeneralForm(settings) {
+  [...NUMBER_FIELDS, ...TEXT_FIELDS].forEach(key => setValue(key, String(settings[key])));
+  const closeAfterInsert = document.getElementById('closeAfterInsert');
+  if (closeAfterInsert) closeAfterInsert.checked = settings.closeAfterInsert;
+  extensionSettings.applyTheme(settings.theme);
+}
+
+function readGeneralForm() {
+  const settings = {
+    closeAfterInsert: Boolean(document.getElementById('closeAfterInsert')?.checked)
+  };
+  NUMBER_FIELDS.forEach(key => { settings[key] = Number(getValue(key)); });
+  TEXT_FIELDS.forEach(key => { settings[key] = getValue(key); });
+  return settings;
+}
+
+async function saveGeneralSettings() {
+  try {
+    await extensionSettings.save(readGeneralForm());
+    showStatus('Saved', 'generalStatus');
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    showStatus(error.message, 'generalStatus');
+  }
+}
+
+async function loadStorageSettings() {
+  try {
+    const config = await storageSettings.load();
+    const typeInput = document.querySelector(`input[name="storageType"][value="${config.type}"]`);
+    if (typeInput) typeInput.checked = true;
+
+    setValue('webdavUrl', config.webdav?.url);
+    setValue('webdavUsername', config.webdav?.username);
+    setValue('webdavPassword', config.webdav?.password);
+    setValue('restUrl', config.rest?.url);
+    setValue('restToken', config.rest?.token);
+    showStorageSettings();
+  } catch (error) {
+    console.error('Failed to load storage settings:', error);
+    showStatus('Failed to load settings');
+  }
+}
+
+// Only the fields of the selected backend are shown
+function showStorageSettings() {
+  const type = getSelectedType();
+  document.querySelectorAll('.storage-settings').forEach(section => {
+    section.hidden = section.dataset.type !== type;
+  });
+}
+
+function readStorageForm() {
+  return {
+    type: getSelectedType(),
+    webdav: {
+      url: getValue('webdavUrl'),
+      username: getValue('webdavUsername'),
+      password: document.getElementById('webdavPassword')?.value || ''
+    },
+    rest: {
+      url: getValue('restUrl'),
+      token: getValue('restToken')
+    }
+  };
+}
+
+async function saveStorageSettings() {
+  const config = readStorageForm();
+  const error = storageSettings.validate(config);
+  if (error) {
+    showStatus(error);
+    return;
+  }
+
+  // Host access to a self-hosted server is asked for while the click still counts as a user gesture
+  const origin = storageSettings.getOrigin(config);
+  const granted = origin ? await chrome.permissions.request({ origins: [origin] }) : true;
+  if (!granted) {
+    showStatus('Prompt Stash needs access to the server to sync with it');
+    return;
+  }
+
+  try {
+    if (!await storageSettings.save(config)) {
+      showStatus('No changes to save');
+      return;
+    }
+    showStatus(config.type === 'local'
+      ? 'Saved. Prompts are now kept in this browser only.'
+      : `Saved. Prompts now sync with ${storageSettings.label(config.type)}.`);
+  } catch (error) {
+    console.error('Failed to save storage settings:', error);
+    showStatus(`Failed to save settings: ${error.message}`);
+  }
+}
+
+function getSelectedType() {
+  return document.querySelector('input[name="storageType"]:checked')?.value || 'drive';
+}
+
+function getValue(id) {
+  return (document.getElementById(id)?.value || '').trim();
+}
+
+function setValue(id, value) {
+  const input = document.getElementById(id);
+  if (input) input.value = value || '';
+}
+
+function showStatus(message, id = 'storageStatus') {
+  const statusEl = document.getElementById(id);
+  if (statusEl) statusEl.textContent = message;
+}
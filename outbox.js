@@ -0,0 +1,162 @@
+// outbox.js - Persistent queue of Drive writes that failed or happened offline
+'use strict';
+
+class Outbox {
+  constructor() {
+    this.STORAGE_KEY = 'outbox';
+    // Operations that can never succeed, set aside so they don't hold up the ones behind them
+    this.FAILED_KEY = 'outboxFailed';
+    this.replaying = null;
+  }
+
+  // Queue an operation: { type: 'add' | 'update' | 'delete', promptId, prompt?, changes?, libraryId? },
+  // a batch that is written at once: { type: 'updateMany', updates } or { type: 'deleteMany', promptIds },
+  // or folder and order changes: { type: 'layout', folders, deletedFolderIds, prompts } (see updateLayout)
+  async enqueue(operation) {
+    if (!operation || !['add', 'update', 'delete', 'updateMany', 'deleteMany', 'layout'].includes(operation.type)) {
+      throw new Error('Invalid outbox operation');
+    }
+
+    const operations = await this.getPending();
+    operations.push({
+      ...operation,
+      queuedAt: new Date().toISOString(),
+      attempts: 0
+    });
+    await this.savePending(operations);
+    return operations.length;
+  }
+
+  async getPending() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return result[this.STORAGE_KEY] || [];
+  }
+
+  async count() {
+    const operations = await this.getPending();
+    return operations.length;
+  }
+
+  async savePending(operations) {
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: operations });
+  }
+
+  // Drop queued and failed operations that can never succeed, e.g. for a library that was detached
+  async discard(predicate) {
+    const operations = await this.getPending();
+    await this.savePending(operations.filter(operation => !predicate(operation)));
+    const failed = await this.getFailed();
+    await chrome.storage.local.set({ [this.FAILED_KEY]: failed.filter(operation => !predicate(operation)) });
+  }
+
+  async getFailed() {
+    const result = await chrome.storage.local.get([this.FAILED_KEY]);
+    return result[this.FAILED_KEY] || [];
+  }
+
+  // Queue the failed operations again, after the pending ones, e.g. once the file has been repaired
+  async retryFailed() {
+    const failed = await this.getFailed();
+    const operations = await this.getPending();
+    await this.savePending([
+      ...operations,
+      ...failed.map(({ failedAt, ...operation }) => ({ ...operation, attempts: 0 }))
+    ]);
+    await chrome.storage.local.set({ [this.FAILED_KEY]: [] });
+    return operations.length + failed.length;
+  }
+
+  async discardFailed() {
+    await chrome.storage.local.set({ [this.FAILED_KEY]: [] });
+  }
+
+  // Whether sending the operation again can't succeed: the file is damaged, storage is full, the
+  // server refused the request itself (a 4xx other than sign-in, timeout and rate limit) or the
+  // library is gone. Being offline, signed out, locked or rate limited only has to wait.
+  isPermanentFailure(error) {
+    if (error.name === 'ParseError' || error.name === 'NotFoundError') return true;
+    if (error.name === 'QuotaError') return !error.rateLimited;
+    return error.status >= 400 && error.status < 500 && ![401, 403, 408, 429].includes(error.status);
+  }
+
+  // Send queued operations to Drive in order. A failure that waiting can fix stops the replay so
+  // order is kept; one that can't is set aside in the failed list and the replay goes on.
+  // resolveStorage(operation) returns the storage provider of the library the operation belongs to.
+  async replay(resolveStorage) {
+    // Only one replay at a time, otherwise the same operation could be sent twice
+    if (this.replaying) return this.replaying;
+
+    this.replaying = (async () => {
+      let replayed = 0;
+      let failed = 0;
+
+      while (true) {
+        const operations = await this.getPending();
+        if (!operations.length) {
+          return { replayed, remaining: 0, failed };
+        }
+
+        const [operation, ...rest] = operations;
+        try {
+          await this.apply(await resolveStorage(operation), operation);
+        } catch (error) {
+          console.error('Outbox replay failed:', error);
+          operation.attempts = (operation.attempts || 0) + 1;
+          operation.lastError = error.message;
+          if (!this.isPermanentFailure(error)) {
+            await this.savePending([operation, ...rest]);
+            return { replayed, remaining: operations.length, failed };
+          }
+          await this.setAside(operation);
+          failed++;
+          continue;
+        }
+
+        // Re-read before removing so operations queued during the request are kept
+        const latest = await this.getPending();
+        await this.savePending(latest.slice(1));
+        replayed++;
+      }
+    })();
+
+    try {
+      return await this.replaying;
+    } finally {
+      this.replaying = null;
+    }
+  }
+
+  async setAside(operation) {
+    const failed = await this.getFailed();
+    await chrome.storage.local.set({
+      [this.FAILED_KEY]: [...failed, { ...operation, failedAt: new Date().toISOString() }]
+    });
+    // Re-read before removing so operations queued during the request are kept
+    const latest = await this.getPending();
+    await this.savePending(latest.slice(1));
+  }
+
+  async apply(storage, operation) {
+    switch (operation.type) {
+      case 'add':
+        return storage.addPrompt(operation.prompt);
+      case 'update':
+        return storage.updatePrompt(operation.promptId, operation.changes);
+      case 'delete':
+        return storage.deletePrompt(operation.promptId);
+      case 'updateMany':
+        return storage.updatePrompts(operation.updates);
+      case 'deleteMany':
+        return storage.deletePrompts(operation.promptIds);
+      case 'layout':
+        return storage.updateLayout(operation);
+      default:
+        throw new Error(`Unknown outbox operation: ${operation.type}`);
+    }
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.Outbox = Outbox;
+}
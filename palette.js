@@ -0,0 +1,293 @@
+// palette.js - In-page command palette for searching and inserting prompts
+// Injected by background.js after site-adapters.js and insert-text.js; wrapped so it can be injected repeatedly
+(() => {
+  'use strict';
+
+  const HOST_ID = 'prompt-stash-palette';
+  const MAX_RESULTS = 50;
+
+  // Running the command again while the palette is open closes it
+  if (typeof window.__promptStashClosePalette === 'function') {
+    window.__promptStashClosePalette();
+    return;
+  }
+
+  // Remember where the caret was so the prompt lands there and not in the palette
+  const previousElement = document.activeElement;
+  const selection = window.getSelection ? window.getSelection() : null;
+  const previousRange = selection && selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+
+  let prompts = [];
+  let results = [];
+  let selectedIndex = 0;
+
+  // A closed shadow root keeps page styles and scripts away from the palette
+  const host = document.createElement('div');
+  host.id = HOST_ID;
+  const shadow = host.attachShadow({ mode: 'closed' });
+  shadow.innerHTML = `
+    <style>
+      .backdrop {
+        position: fixed;
+        inset: 0;
+        z-index: 2147483647;
+        background: rgba(0, 0, 0, 0.3);
+        display: flex;
+        justify-content: center;
+        align-items: flex-start;
+        padding-top: 15vh;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      }
+      .palette {
+        width: 560px;
+        max-width: calc(100vw - 32px);
+        background: #ffffff;
+        border-radius: 16px;
+        box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.2), 0 10px 10px -5px rgba(0, 0, 0, 0.08);
+        overflow: hidden;
+        color: #202124;
+      }
+      input {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 16px 20px;
+        border: none;
+        border-bottom: 1px solid #e1e5e9;
+        font-size: 16px;
+        outline: none;
+        color: #202124;
+        background: #ffffff;
+      }
+      ul {
+        list-style: none;
+        margin: 0;
+        padding: 8px;
+        max-height: 360px;
+        overflow-y: auto;
+      }
+      li {
+        padding: 10px 12px;
+        border-radius: 10px;
+        cursor: pointer;
+      }
+      li[aria-selected="true"] {
+        background: #e8f0fe;
+      }
+      .name {
+        font-size: 14px;
+        font-weight: 600;
+      }
+      .snippet {
+        font-size: 12px;
+        color: #5f6368;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+      .tag {
+        display: inline-block;
+        margin-left: 6px;
+        padding: 1px 8px;
+        border-radius: 12px;
+        background: #e8f0fe;
+        color: #1a73e8;
+        font-size: 11px;
+        font-weight: 500;
+      }
+      .empty,
+      .hint {
+        padding: 12px 20px;
+        font-size: 12px;
+        color: #5f6368;
+      }
+      .hint {
+        border-top: 1px solid #e1e5e9;
+        background: #f8f9fa;
+      }
+    </style>
+    <div class="backdrop">
+      <div class="palette" role="dialog" aria-label="Prompt Stash">
+        <input type="text" placeholder="Search prompts..." aria-label="Search prompts" role="combobox" aria-expanded="true" />
+        <ul role="listbox"></ul>
+        <div class="hint">↑↓ to navigate · Enter to insert · Esc to close</div>
+      </div>
+    </div>
+  `;
+
+  const backdrop = shadow.querySelector('.backdrop');
+  const input = shadow.querySelector('input');
+  const list = shadow.querySelector('ul');
+
+  document.documentElement.appendChild(host);
+  window.__promptStashClosePalette = () => close();
+  input.focus();
+
+  input.addEventListener('input', () => search(input.value));
+  input.addEventListener('keydown', (e) => {
+    // Keep the page's own shortcuts from reacting while the palette is open
+    e.stopPropagation();
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      select(selectedIndex + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      select(selectedIndex - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[selectedIndex]) {
+        choose(results[selectedIndex]);
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    }
+  });
+  backdrop.addEventListener('mousedown', (e) => {
+    if (e.target === backdrop) {
+      close();
+    }
+  });
+  list.addEventListener('click', (e) => {
+    const item = e.target.closest('li[data-index]');
+    if (item) {
+      choose(results[Number(item.dataset.index)]);
+    }
+  });
+
+  // Same cached prompt list the popup renders
+  chrome.storage.local.get(['prompts'], (result) => {
+    prompts = result.prompts || [];
+    search(input.value);
+  });
+
+  function search(query) {
+    const term = query.toLowerCase().trim();
+
+    if (!term) {
+      results = prompts.slice(0, MAX_RESULTS);
+    } else {
+      results = prompts
+        .map(prompt => ({ prompt, score: scorePrompt(term, prompt) }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_RESULTS)
+        .map(entry => entry.prompt);
+    }
+
+    selectedIndex = 0;
+    render();
+  }
+
+  // Name matches count most, then tags, then the prompt body
+  function scorePrompt(term, prompt) {
+    const nameScore = fuzzyScore(term, prompt.name) * 3;
+    const tagScore = Math.max(0, ...(prompt.tags || []).map(tag => fuzzyScore(term, tag))) * 2;
+    const textScore = (prompt.text || '').toLowerCase().includes(term) ? 10 : 0;
+    return nameScore + tagScore + textScore;
+  }
+
+  // Substring matches win; otherwise the letters must appear in order, with bonuses for runs and word starts
+  function fuzzyScore(term, target) {
+    if (!target) return 0;
+    const text = target.toLowerCase();
+
+    const index = text.indexOf(term);
+    if (index !== -1) {
+      return 100 - Math.min(index, 50) + (index === 0 ? 50 : 0);
+    }
+
+    let score = 0;
+    let position = 0;
+    let streak = 0;
+    for (const char of term) {
+      const found = text.indexOf(char, position);
+      if (found === -1) return 0;
+
+      streak = found === position ? streak + 1 : 0;
+      const wordStart = found === 0 || /\W/.test(text[found - 1]);
+      score += 1 + streak * 2 + (wordStart ? 3 : 0);
+      position = found + 1;
+    }
+    return score;
+  }
+
+  function render() {
+    list.textContent = '';
+
+    if (!results.length) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = prompts.length ? 'No matching prompts' : 'No prompts saved yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    results.forEach((prompt, index) => {
+      const item = document.createElement('li');
+      item.dataset.index = String(index);
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(index === selectedIndex));
+
+      const name = document.createElement('div');
+      name.className = 'name';
+      name.textContent = prompt.name;
+      (prompt.tags || []).slice(0, 3).forEach(tag => {
+        const tagEl = document.createElement('span');
+        tagEl.className = 'tag';
+        tagEl.textContent = tag;
+        name.appendChild(tagEl);
+      });
+
+      const snippet = document.createElement('div');
+      snippet.className = 'snippet';
+      snippet.textContent = (prompt.text || '').replace(/\s+/g, ' ').slice(0, 120);
+
+      item.appendChild(name);
+      item.appendChild(snippet);
+      list.appendChild(item);
+    });
+  }
+
+  function select(index) {
+    if (!results.length) return;
+    selectedIndex = (index + results.length) % results.length;
+    list.querySelectorAll('li[data-index]').forEach((item, i) => {
+      item.setAttribute('aria-selected', String(i === selectedIndex));
+    });
+    list.children[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+  }
+
+  async function choose(prompt) {
+    close();
+
+    let text = prompt.text;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'renderPrompt', text });
+      if (response && response.success) {
+        text = response.text;
+      }
+    } catch (error) {
+      console.error('Prompt Stash: failed to fill template variables:', error);
+    }
+
+    const result = insertTextIntoPage(text);
+    if (result.success) {
+      chrome.runtime.sendMessage({ action: 'recordUsage', promptId: prompt.id })
+        .catch(error => console.error('Prompt Stash: failed to record prompt usage:', error));
+    }
+  }
+
+  function close() {
+    host.remove();
+    delete window.__promptStashClosePalette;
+
+    if (!previousElement || typeof previousElement.focus !== 'function') return;
+
+    previousElement.focus();
+    if (previousRange && previousElement.isContentEditable && selection) {
+      selection.removeAllRanges();
+      selection.addRange(previousRange);
+    }
+  }
+})();
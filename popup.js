@@ -1,18 +1,79 @@
-// popup.js - Google Drive integration with persistent storage
-let driveAPI;
+// popup.js - Prompt list UI; Google Drive sync runs in the background service worker
+let templateEngine;
+let importer;
+let promptHistory;
 let currentPrompts = [];
+let currentFolders = [];
+let currentFolderId = null;
+let dragState = null;
+// IDs of the prompts checked in select mode, or null outside it
+let selectedIds = null;
+// Personal prompts the list shows right now, for selecting all of them
+let listedPrompts = [];
 let isInitialized = false;
+let editingPromptId = null;
+let pendingTemplate = null;
+let currentConflicts = [];
+let armedPrompts = {};
+let shortcutLabels = {};
+let pendingImport = null;
+let historyState = null;
+// Backup open in the restore screen: { source, id, backup }
+let backupState = null;
+let attachedLibraries = [];
+let libraryPrompts = {};
+let currentLibraryId = null;
+let editingLibraryId = null;
+let encryptionStatus = { enabled: false, unlocked: false };
+// Storage backend from the settings and how the popup names it
+let storageType = 'drive';
+let storageLabel = 'Google Drive';
+// What the button of the sync banner does for the current error
+let syncBannerAction = null;
+let failedChanges = [];
+// Google account prompts sync with ({ email, name }), or null while not connected
+let googleAccount = null;
+let usageTracker;
+let usageState = { pending: {}, libraries: {} };
+let sortMode = 'manual';
+let searchIndex;
+// Words and phrases each search result matched, for highlighting
+let searchHighlights = new Map();
+// Page a selection saved from the context menu came from, until it's saved as a prompt
+let pendingSource = null;
+// Opened as a window by the context menu, because the browser couldn't open the popup
+const isCaptureWindow = new URLSearchParams(location.search).has('capture');
+const extensionSettings = new ExtensionSettings();
+// Defaults until the stored settings are loaded
+let userSettings = { ...extensionSettings.DEFAULTS };
 
 // Constants
 const STORAGE_KEYS = {
   PROMPTS: 'prompts',
+  FOLDERS: 'folders',
   LAST_SYNC: 'lastSync',
-  PENDING_INSERT: 'pendingInsert'
+  ARMED_PROMPTS: 'armedPrompts',
+  CONFLICTS: 'syncConflicts',
+  OUTBOX: 'outbox',
+  OUTBOX_FAILED: 'outboxFailed',
+  LIBRARIES: 'libraries',
+  LIBRARY_PROMPTS: 'libraryPrompts',
+  SORT_MODE: 'sortMode',
+  // In chrome.storage.session, written by the context menu in background.js
+  PENDING_CAPTURE: 'pendingCapture'
 };
 
-const SYNC_INTERVAL = 5 * 60 * 1000; // 5 minutes
-const MAX_PROMPT_LENGTH = 10000;
-const MAX_NAME_LENGTH = 200;
+const SORT_MODES = ['manual', 'recent', 'used', 'name'];
+
+const SHORTCUT_PATTERN = /^[a-z0-9_-]*$/;
+const AUTOCOMPLETE_TRIGGER = ';;';
+
+// Keyboard commands from manifest.json and the shortcut slot each one fires
+const SHORTCUT_SLOTS = {
+  'insert-prompt': 1,
+  'insert-prompt-2': 2,
+  'insert-prompt-3': 3
+};
 
 document.addEventListener('DOMContentLoaded', () => {
   initializeApp();
@@ -20,8 +81,36 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 async function initializeApp() {
+  templateEngine = new TemplateEngine();
+  promptHistory = new PromptHistory();
+  usageTracker = new UsageTracker();
+  searchIndex = new SearchIndex();
+  
+  try {
+    userSettings = await extensionSettings.load();
+  } catch (error) {
+    console.error('Failed to load settings, using defaults:', error);
+  }
+  extensionSettings.applyTheme(userSettings.theme);
+  
+  // Imported records go through the same checks as Drive writes
+  const validator = new DriveAPI();
+  validator.applySettings(userSettings);
+  importer = new PromptImporter(validator);
+  
   try {
+    await labelStorageBackend();
     showAuthStatus('loading');
+    await loadArmedPrompts();
+    
+    // Folders first, so cached prompts render inside them
+    const folderState = await chrome.storage.local.get([STORAGE_KEYS.FOLDERS]);
+    currentFolders = folderState[STORAGE_KEYS.FOLDERS] || [];
+    const libraryState = await chrome.storage.local.get([STORAGE_KEYS.LIBRARIES, STORAGE_KEYS.LIBRARY_PROMPTS]);
+    attachedLibraries = libraryState[STORAGE_KEYS.LIBRARIES] || [];
+    libraryPrompts = libraryState[STORAGE_KEYS.LIBRARY_PROMPTS] || {};
+    await loadSortMode();
+    usageState = await usageTracker.load();
     
     // First, try to load from local storage
     const cachedPrompts = await loadFromStorage();
@@ -32,15 +121,23 @@ async function initializeApp() {
       console.log('Loaded prompts from cache:', cachedPrompts.length);
     }
     
-    // Initialize Drive API and sync in background
-    await initializeDriveAPI();
+    // Show what is still waiting from earlier sessions before the first sync finishes
+    const syncState = await chrome.storage.local.get([STORAGE_KEYS.CONFLICTS, STORAGE_KEYS.OUTBOX, STORAGE_KEYS.OUTBOX_FAILED]);
+    renderConflicts(syncState[STORAGE_KEYS.CONFLICTS] || []);
+    updatePendingCount((syncState[STORAGE_KEYS.OUTBOX] || []).length);
+    updateFailedChanges(syncState[STORAGE_KEYS.OUTBOX_FAILED] || []);
+    await loadEncryptionStatus();
+    await openPendingCapture();
+    
+    // Ask the service worker to sync with Google Drive
+    await initializeSync();
     
   } catch (error) {
     console.error('Failed to initialize app:', error);
     // If we have cached data, don't show error
     if (currentPrompts.length === 0) {
       showAuthStatus('error');
-      showToast('Failed to connect to Google Drive. Please check your authentication.');
+      showToast(`Failed to connect to ${storageLabel}. Please check your authentication.`);
     } else {
       showAuthStatus('success');
       showToast('Using cached prompts. Some features may be limited.');
@@ -48,42 +145,91 @@ async function initializeApp() {
   }
 }
 
-async function initializeDriveAPI() {
+async function initializeSync() {
+  // Pick up syncs the service worker runs while the popup is open
+  listenForBackgroundSync();
+  
   try {
-    driveAPI = new DriveAPI();
-    
-    // Test authentication by trying to get prompts
-    const drivePrompts = await driveAPI.getPrompts();
-    
-    // Merge with cached prompts (prefer drive version if timestamps are available)
-    if (drivePrompts && drivePrompts.length > 0) {
-      const mergedPrompts = mergePrompts(currentPrompts, drivePrompts);
-      if (JSON.stringify(mergedPrompts) !== JSON.stringify(currentPrompts)) {
-        currentPrompts = mergedPrompts;
-        await saveToStorage(currentPrompts);
-        handleSearch(); // Re-render with merged data
-        console.log('Synced prompts from Google Drive:', drivePrompts.length);
-      }
+    // Test authentication by running a first sync
+    if (await syncPrompts()) {
+      console.log('Synced prompts from Google Drive:', currentPrompts.length);
     }
     
     showAuthStatus('success');
     
-    // Set up periodic sync only if we successfully connected
-    setupBackgroundSync();
-    
   } catch (error) {
-    console.error('Failed to initialize Drive API:', error);
-    // Don't show error if we have cached data
-    if (currentPrompts.length === 0) {
+    console.error('Failed to sync with Google Drive:', error);
+    handleSyncError(error);
+  }
+}
+
+// Explain a failed sync and offer what can fix it. The cached prompts stay usable either way,
+// and nothing is written to the backend until a read succeeds again.
+function handleSyncError(error) {
+  if (error.name === 'EncryptionLockedError') {
+    showEncryptionLocked();
+    return;
+  }
+  
+  const retry = error.retryAt ? ` Trying again ${formatRetryTime(error.retryAt)}.` : '';
+  const openSettings = () => chrome.runtime.openOptionsPage();
+  showAuthStatus(currentPrompts.length ? 'success' : 'error');
+  
+  switch (error.name) {
+    case 'AuthError':
       showAuthStatus('error');
-      showToast('Failed to connect to Google Drive. Please check your authentication.');
-    } else {
-      showAuthStatus('success');
-      showToast('Using cached prompts. Sync will be retried when connection is restored.');
-    }
+      if (storageType === 'drive') {
+        renderAccount(null);
+        showSyncBanner('Connect your Google account to sync your prompts with Google Drive.', 'Connect', connectAccount);
+      } else {
+        showSyncBanner(`${storageLabel} didn't accept the sign-in details. Check them in Settings.`, 'Settings', openSettings);
+      }
+      break;
+    case 'NetworkError':
+      showAuthStatus('offline');
+      showSyncBanner(`${storageLabel} can't be reached. Your changes are kept here and sync once it's back.${retry}`, 'Retry', refreshPrompts);
+      break;
+    case 'QuotaError':
+      showSyncBanner(`${storageLabel} is over its quota: too many requests, or no storage space left.${retry}`, 'Retry', refreshPrompts);
+      break;
+    case 'NotFoundError':
+      showSyncBanner(`Your prompts file in ${storageLabel} was moved or deleted. Retry to find it again, or to start a new one with the prompts saved in this browser.`, 'Retry', refreshPrompts);
+      break;
+    case 'ParseError':
+      showSyncBanner(`Your prompts file in ${storageLabel} is damaged, so nothing was synced. Restore an earlier version of it to sync again.`, 'Retry', refreshPrompts);
+      break;
+    case 'SchemaVersionError':
+      showSyncBanner(error.message, 'Settings', openSettings);
+      break;
+    default:
+      showToast(currentPrompts.length
+        ? 'Using cached prompts. Sync will be retried when connection is restored.'
+        : `Failed to connect to ${storageLabel}. Please check your authentication.`);
   }
 }
 
+// Show why syncing stopped, with one button that can fix it
+function showSyncBanner(message, actionLabel, action) {
+  const banner = document.getElementById('syncBanner');
+  if (!banner) return;
+  
+  document.getElementById('syncBannerText').textContent = message;
+  document.getElementById('syncBannerBtn').textContent = actionLabel;
+  syncBannerAction = action;
+  banner.style.display = 'flex';
+}
+
+function hideSyncBanner() {
+  const banner = document.getElementById('syncBanner');
+  if (banner) banner.style.display = 'none';
+  syncBannerAction = null;
+}
+
+function formatRetryTime(retryAt) {
+  const minutes = Math.max(1, Math.round((retryAt - Date.now()) / 60000));
+  return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
 async function loadFromStorage() {
   return new Promise((resolve) => {
     chrome.storage.local.get([STORAGE_KEYS.PROMPTS], (result) => {
@@ -109,69 +255,163 @@ async function saveToStorage(prompts) {
   });
 }
 
-function mergePrompts(cachedPrompts, drivePrompts) {
-  if (!cachedPrompts || cachedPrompts.length === 0) {
-    return drivePrompts;
+// Ask the service worker to do something; it owns all Google Drive access
+async function sendToBackground(action, payload = {}) {
+  const response = await chrome.runtime.sendMessage({ action, ...payload });
+  if (!response) {
+    throw new Error('No response from background service worker');
+  }
+  if (!response.success) {
+    const error = new Error(response.error || 'Background request failed');
+    // Keeps errors like EncryptionLockedError recognizable across the message boundary
+    if (response.errorName) error.name = response.errorName;
+    if (response.retryAt) error.retryAt = response.retryAt;
+    throw error;
+  }
+  return response;
+}
+
+// Run a three-way sync with Google Drive and re-render if anything changed
+async function syncPrompts() {
+  return applySyncResult(await sendToBackground('sync'));
+}
+
+function applySyncResult(result) {
+  // Whatever stopped the last sync is over once one goes through
+  if (result.synced !== false) {
+    hideSyncBanner();
   }
+  const folders = result.folders || [];
+  const changed = JSON.stringify(result.prompts) !== JSON.stringify(currentPrompts) ||
+    JSON.stringify(folders) !== JSON.stringify(currentFolders);
+  // Library state is only part of the result once libraries have been refreshed
+  const librariesChanged = result.libraries !== undefined && (
+    JSON.stringify(result.libraries) !== JSON.stringify(attachedLibraries) ||
+    JSON.stringify(result.libraryPrompts) !== JSON.stringify(libraryPrompts)
+  );
   
-  if (!drivePrompts || drivePrompts.length === 0) {
-    return cachedPrompts;
+  if (changed || librariesChanged) {
+    currentPrompts = result.prompts;
+    currentFolders = folders;
+    if (librariesChanged) {
+      attachedLibraries = result.libraries;
+      libraryPrompts = result.libraryPrompts || {};
+    }
+    handleSearch();
+  }
+  renderConflicts(result.conflicts);
+  updatePendingCount(result.pending);
+  if (result.quarantined !== undefined) {
+    updateQuarantineCount(result.quarantined);
+  }
+  if (result.account !== undefined) {
+    renderAccount(result.account);
   }
   
-  // Create a map of cached prompts by ID
-  const cachedMap = new Map(cachedPrompts.map(p => [p.id, p]));
-  const driveMap = new Map(drivePrompts.map(p => [p.id, p]));
+  return changed || librariesChanged;
+}
+
+function listenForBackgroundSync() {
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === 'syncCompleted') {
+      showAuthStatus('success');
+      if (applySyncResult(request)) {
+        console.log('Background sync completed:', currentPrompts.length, 'prompts');
+      }
+    }
+  });
   
-  // Merge prompts, preferring drive version if it exists
-  const mergedPrompts = [];
-  const allIds = new Set([...cachedMap.keys(), ...driveMap.keys()]);
+  // Uses counted by shortcuts and the palette, and pending counts cleared by a sync; the list is
+  // re-sorted on the next render rather than jumping around while it's being used
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    const { PENDING, LIBRARIES } = usageTracker.STORAGE_KEYS;
+    if (changes[PENDING]) usageState.pending = changes[PENDING].newValue || {};
+    if (changes[LIBRARIES]) usageState.libraries = changes[LIBRARIES].newValue || {};
+    if (changes[STORAGE_KEYS.OUTBOX_FAILED]) updateFailedChanges(changes[STORAGE_KEYS.OUTBOX_FAILED].newValue || []);
+  });
   
-  for (const id of allIds) {
-    const drivePrompt = driveMap.get(id);
-    const cachedPrompt = cachedMap.get(id);
-    
-    if (drivePrompt) {
-      mergedPrompts.push(drivePrompt);
-    } else if (cachedPrompt) {
-      mergedPrompts.push(cachedPrompt);
+  // Replay queued changes as soon as the connection comes back; until then changes only queue up
+  window.addEventListener('online', async () => {
+    try {
+      await syncPrompts();
+      showAuthStatus('success');
+    } catch (error) {
+      console.error('Sync after reconnect failed:', error);
+      handleSyncError(error);
+    }
+  });
+  window.addEventListener('offline', () => showAuthStatus('offline'));
+}
+
+// Hand a Drive write to the service worker's outbox. Resolves to true once it reached the backend
+// and false while it waits in the outbox; if it couldn't be queued, or was set aside as failed,
+// that's shown here and it resolves to null.
+async function pushToDrive(operation) {
+  try {
+    const result = await sendToBackground('pushChange', { operation });
+    updatePendingCount(result.pending);
+    if (result.failed) {
+      showToast(`Saved in this browser, but ${storageLabel} refused a change. See "failed" at the top.`);
+      return null;
     }
+    return result.synced;
+  } catch (error) {
+    console.error('Failed to queue Drive change:', error);
+    showToast(`Saved in this browser only. The change couldn't be queued for ${storageLabel}: ${error.message}`);
+    return null;
   }
+}
+
+function updatePendingCount(count) {
+  const pendingEl = document.getElementById('pending-count');
+  if (!pendingEl) return;
   
-  // Sort by ID (which is timestamp-based) to maintain order
-  return mergedPrompts.sort((a, b) => b.id - a.id);
+  pendingEl.textContent = `${count} pending`;
+  pendingEl.title = `${count} change${count === 1 ? '' : 's'} waiting to sync to ${storageLabel}`;
+  pendingEl.style.display = count > 0 ? 'inline-flex' : 'none';
 }
 
-function setupBackgroundSync() {
-  // Only sync if we have a driveAPI instance and it's been more than 5 minutes since last sync
-  const syncInterval = setInterval(async () => {
-    if (!driveAPI) return;
-    
-    try {
-      // Check if it's been more than 5 minutes since last sync
-      const result = await chrome.storage.local.get([STORAGE_KEYS.LAST_SYNC]);
-      const timeSinceLastSync = Date.now() - (result[STORAGE_KEYS.LAST_SYNC] || 0);
-      
-      if (timeSinceLastSync > SYNC_INTERVAL) {
-        const drivePrompts = await driveAPI.getPrompts();
-        if (drivePrompts && drivePrompts.length > 0) {
-          const mergedPrompts = mergePrompts(currentPrompts, drivePrompts);
-          if (JSON.stringify(mergedPrompts) !== JSON.stringify(currentPrompts)) {
-            currentPrompts = mergedPrompts;
-            await saveToStorage(currentPrompts);
-            handleSearch(); // Re-render if data changed
-            console.log('Background sync completed:', mergedPrompts.length, 'prompts');
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Background sync failed:', error);
+// Changes the outbox set aside because sending them again can't succeed, e.g. to a damaged file
+function updateFailedChanges(failed) {
+  failedChanges = failed;
+  const failedEl = document.getElementById('failed-count');
+  if (!failedEl) return;
+  
+  const count = failed.length;
+  failedEl.textContent = `${count} failed`;
+  failedEl.title = `${count} change${count === 1 ? '' : 's'} couldn't be saved to ${storageLabel}. Click to try again or discard.`;
+  failedEl.style.display = count > 0 ? 'inline-flex' : 'none';
+}
+
+async function reviewFailedChanges() {
+  const count = `${failedChanges.length} change${failedChanges.length === 1 ? '' : 's'}`;
+  const reasons = [...new Set(failedChanges.map(operation => `- ${operation.lastError}`))].join('\n');
+  try {
+    if (confirm(`${count} couldn't be saved to ${storageLabel}:\n${reasons}\n\nTry again now?`)) {
+      const result = await sendToBackground('retryFailedChanges');
+      applySyncResult(result);
+      updateFailedChanges(result.failed);
+      showToast(failedChanges.length ? `Still couldn't save ${count}` : `Saved ${count} to ${storageLabel}`);
+    } else if (confirm(`Stop trying to save the ${count}? Nothing in this browser is changed.`)) {
+      await sendToBackground('discardFailedChanges');
+      updateFailedChanges([]);
     }
-  }, SYNC_INTERVAL);
+  } catch (error) {
+    console.error('Failed to retry failed changes:', error);
+    handleSyncError(error);
+  }
+}
+
+// Records of prompts.json that failed validation; they stay in the file's quarantine list
+function updateQuarantineCount(count) {
+  const quarantineEl = document.getElementById('quarantine-count');
+  if (!quarantineEl) return;
   
-  // Clean up interval when popup closes
-  window.addEventListener('beforeunload', () => {
-    clearInterval(syncInterval);
-  });
+  quarantineEl.textContent = `${count} unreadable`;
+  quarantineEl.title = `${count} record${count === 1 ? '' : 's'} in the prompts file couldn't be read and ${count === 1 ? 'was' : 'were'} set aside. ` +
+    'They are kept in the file\'s "quarantine" list and can be fixed there.';
+  quarantineEl.style.display = count > 0 ? 'inline-flex' : 'none';
 }
 
 function bindUI() {
@@ -185,17 +425,40 @@ function bindUI() {
   }
 
   // Button event listeners
-  document.getElementById('addPromptBtn')?.addEventListener('click', openModal);
-  document.getElementById('saveBtn')?.addEventListener('click', savePrompt);
+  document.getElementById('addPromptBtn')?.addEventListener('click', () => openModal());
   document.getElementById('cancelBtn')?.addEventListener('click', closeModal);
   document.getElementById('exportBtn')?.addEventListener('click', exportPrompts);
+  document.getElementById('importBtn')?.addEventListener('click', () => document.getElementById('importFile')?.click());
+  document.getElementById('importFile')?.addEventListener('change', handleImportFile);
   document.getElementById('refreshBtn')?.addEventListener('click', refreshPrompts);
+  document.getElementById('librariesBtn')?.addEventListener('click', openLibrariesModal);
+  document.getElementById('backupsBtn')?.addEventListener('click', openBackupsModal);
+  document.getElementById('encryptionBtn')?.addEventListener('click', openEncryptionModal);
+  document.getElementById('unlockBtn')?.addEventListener('click', openEncryptionModal);
+  document.getElementById('syncBannerBtn')?.addEventListener('click', () => syncBannerAction?.());
+  document.getElementById('accountBtn')?.addEventListener('click', () => (googleAccount ? disconnectAccount() : connectAccount()));
+  document.getElementById('settingsBtn')?.addEventListener('click', () => chrome.runtime.openOptionsPage());
   document.getElementById('list')?.addEventListener('click', listClickHandler);
+  document.getElementById('list')?.addEventListener('change', listChangeHandler);
+  document.getElementById('conflicts')?.addEventListener('click', conflictsClickHandler);
+  document.getElementById('failed-count')?.addEventListener('click', reviewFailedChanges);
+  document.getElementById('newFolderBtn')?.addEventListener('click', createFolder);
+  document.getElementById('selectModeBtn')?.addEventListener('click', () => toggleSelectMode());
+  document.getElementById('folders')?.addEventListener('click', foldersClickHandler);
+  document.getElementById('breadcrumb')?.addEventListener('click', breadcrumbClickHandler);
+  document.getElementById('sortMode')?.addEventListener('change', (e) => setSortMode(e.target.value));
+  
+  // Drag prompts onto folders or other cards, and folders onto folders
+  document.addEventListener('dragstart', handleDragStart);
+  document.addEventListener('dragover', handleDragOver);
+  document.addEventListener('drop', handleDrop);
+  document.addEventListener('dragend', handleDragEnd);
   
   // Search functionality
   const searchInput = document.getElementById('searchInput');
   if (searchInput) {
     searchInput.addEventListener('input', debounce(handleSearch, 300));
+    searchInput.addEventListener('keydown', handleSearchEnter);
   }
   
   // Close modal when clicking on X or outside the modal
@@ -209,10 +472,150 @@ function bindUI() {
     });
   }
   
+  // Template variables form
+  const variablesForm = document.getElementById('variablesForm');
+  if (variablesForm) {
+    variablesForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submitVariablesForm();
+    });
+  }
+  document.getElementById('variablesCancelBtn')?.addEventListener('click', closeVariablesModal);
+  document.querySelector('.close-variables')?.addEventListener('click', closeVariablesModal);
+  const variablesModal = document.getElementById('variablesModal');
+  if (variablesModal) {
+    variablesModal.addEventListener('click', (e) => {
+      if (e.target === variablesModal) {
+        closeVariablesModal();
+      }
+    });
+  }
+  
+  // Import preview
+  const importForm = document.getElementById('importForm');
+  if (importForm) {
+    importForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submitImport();
+    });
+  }
+  document.getElementById('importDuplicateMode')?.addEventListener('change', (e) => {
+    document.querySelectorAll('#importPreview select[data-index]').forEach(select => {
+      select.value = e.target.value;
+    });
+  });
+  document.getElementById('importCancelBtn')?.addEventListener('click', closeImportModal);
+  document.querySelector('.close-import')?.addEventListener('click', closeImportModal);
+  const importModal = document.getElementById('importModal');
+  if (importModal) {
+    importModal.addEventListener('click', (e) => {
+      if (e.target === importModal) {
+        closeImportModal();
+      }
+    });
+  }
+  
+  // Encryption
+  [
+    ['encryptionSetupForm', submitEncryptionSetup],
+    ['encryptionUnlockForm', submitEncryptionUnlock],
+    ['encryptionChangeForm', submitPassphraseChange]
+  ].forEach(([id, handler]) => {
+    document.getElementById(id)?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      handler();
+    });
+  });
+  document.getElementById('lockNowBtn')?.addEventListener('click', lockEncryption);
+  document.querySelector('.close-encryption')?.addEventListener('click', closeEncryptionModal);
+  const encryptionModal = document.getElementById('encryptionModal');
+  if (encryptionModal) {
+    encryptionModal.addEventListener('click', (e) => {
+      if (e.target === encryptionModal) {
+        closeEncryptionModal();
+      }
+    });
+  }
+  
+  // Shared libraries
+  const libraryForm = document.getElementById('libraryForm');
+  if (libraryForm) {
+    libraryForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submitLibraryForm();
+    });
+  }
+  document.getElementById('librariesList')?.addEventListener('click', librariesListClickHandler);
+  document.getElementById('libraryCancelBtn')?.addEventListener('click', closeLibrariesModal);
+  document.querySelector('.close-libraries')?.addEventListener('click', closeLibrariesModal);
+  const librariesModal = document.getElementById('librariesModal');
+  if (librariesModal) {
+    librariesModal.addEventListener('click', (e) => {
+      if (e.target === librariesModal) {
+        closeLibrariesModal();
+      }
+    });
+  }
+  
+  // Version history
+  document.getElementById('historyFrom')?.addEventListener('change', renderHistoryDiff);
+  document.getElementById('historyTo')?.addEventListener('change', renderHistoryDiff);
+  document.getElementById('historyList')?.addEventListener('click', historyListClickHandler);
+  document.querySelector('.close-history')?.addEventListener('click', closeHistoryModal);
+  const historyModal = document.getElementById('historyModal');
+  if (historyModal) {
+    historyModal.addEventListener('click', (e) => {
+      if (e.target === historyModal) {
+        closeHistoryModal();
+      }
+    });
+  }
+  
+  // Backups
+  document.getElementById('backupsList')?.addEventListener('click', backupsListClickHandler);
+  document.getElementById('backupPrompts')?.addEventListener('click', backupPromptsClickHandler);
+  document.getElementById('backupRestoreAllBtn')?.addEventListener('click', () => restoreBackup(null));
+  document.getElementById('backupBackBtn')?.addEventListener('click', showBackupsList);
+  document.querySelector('.close-backups')?.addEventListener('click', closeBackupsModal);
+  const backupsModal = document.getElementById('backupsModal');
+  if (backupsModal) {
+    backupsModal.addEventListener('click', (e) => {
+      if (e.target === backupsModal) {
+        closeBackupsModal();
+      }
+    });
+  }
+  
+  // Select mode
+  document.getElementById('batchSelectAll')?.addEventListener('change', (e) => selectAllListed(e.target.checked));
+  document.getElementById('batchDoneBtn')?.addEventListener('click', () => toggleSelectMode(false));
+  document.getElementById('batchDeleteBtn')?.addEventListener('click', batchDelete);
+  document.getElementById('batchExportBtn')?.addEventListener('click', batchExport);
+  document.getElementById('batchAddTagBtn')?.addEventListener('click', () => batchTag(true));
+  document.getElementById('batchRemoveTagBtn')?.addEventListener('click', () => batchTag(false));
+  document.getElementById('batchFolder')?.addEventListener('change', (e) => {
+    if (e.target.value) batchMove(e.target.value === 'top' ? null : Number(e.target.value));
+  });
+  
   // Close modal with Escape key
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && modal?.style.display === 'block') {
+    if (e.key !== 'Escape') return;
+    if (historyModal?.style.display === 'block') {
+      closeHistoryModal();
+    } else if (backupsModal?.style.display === 'block') {
+      closeBackupsModal();
+    } else if (encryptionModal?.style.display === 'block') {
+      closeEncryptionModal();
+    } else if (librariesModal?.style.display === 'block') {
+      closeLibrariesModal();
+    } else if (importModal?.style.display === 'block') {
+      closeImportModal();
+    } else if (variablesModal?.style.display === 'block') {
+      closeVariablesModal();
+    } else if (modal?.style.display === 'block') {
       closeModal();
+    } else if (selectedIds) {
+      toggleSelectMode(false);
     }
   });
 }
@@ -229,19 +632,93 @@ function debounce(func, wait) {
   };
 }
 
+// Name the configured storage backend in the connection status
+async function labelStorageBackend() {
+  const storageSettings = new StorageSettings();
+  const config = await storageSettings.load();
+  storageType = config.type;
+  if (config.type === 'drive') return;
+  
+  // Messages say where prompts are saved to and synced with
+  storageLabel = config.type === 'local' ? 'this browser' : storageSettings.label(config.type);
+  const label = config.type === 'local' ? 'local storage' : `your ${storageLabel}`;
+  document.getElementById('refreshBtn')?.setAttribute('aria-label', `Refresh prompts from ${storageLabel}`);
+  const loadingEl = document.getElementById('auth-loading');
+  const errorEl = document.getElementById('auth-error');
+  const successEl = document.getElementById('auth-success');
+  if (loadingEl) loadingEl.textContent = `Connecting to ${label}...`;
+  if (errorEl) errorEl.textContent = `Could not reach ${label}. Check the settings.`;
+  if (successEl) successEl.textContent = config.type === 'local' ? 'Stored in this browser' : `Connected to ${label}`;
+}
+
+// Connect or Disconnect in the header, and who is signed in; Google Drive only
+function renderAccount(account) {
+  googleAccount = account;
+  const button = document.getElementById('accountBtn');
+  if (!button || storageType !== 'drive') return;
+  
+  button.textContent = account ? 'Disconnect' : 'Connect';
+  button.title = account ? `Signed in as ${account.email}` : 'Sign in to Google Drive';
+  button.setAttribute('aria-label', account ? `Disconnect ${account.email}` : 'Connect your Google account');
+  button.style.display = 'inline-block';
+  const successEl = document.getElementById('auth-success');
+  const errorEl = document.getElementById('auth-error');
+  if (successEl) successEl.textContent = account ? `Connected as ${account.email}` : 'Connected to Google Drive';
+  if (errorEl && !account) errorEl.textContent = 'Not connected to Google Drive';
+}
+
+// Sign in from a click, which is the only time Chrome may open a sign-in window
+async function connectAccount() {
+  showAuthStatus('loading');
+  try {
+    applySyncResult(await sendToBackground('connectAccount'));
+    showAuthStatus('success');
+    if (googleAccount) {
+      showToast(`Signed in as ${googleAccount.email}`);
+    }
+  } catch (error) {
+    console.error('Failed to connect Google account:', error);
+    handleSyncError(error);
+  }
+}
+
+// Sign out; the prompts stay on Drive and are removed from this browser until the next connect
+async function disconnectAccount() {
+  const state = await chrome.storage.local.get([STORAGE_KEYS.OUTBOX]);
+  const pending = (state[STORAGE_KEYS.OUTBOX] || []).length;
+  const warning = pending
+    ? ` ${pending} change${pending === 1 ? ' hasn\'t' : 's haven\'t'} reached Google Drive yet and will only be kept in Backups.`
+    : '';
+  if (!confirm(`Disconnect ${googleAccount.email}? Your prompts stay in Google Drive and are removed from this browser.${warning}`)) return;
+  
+  try {
+    applySyncResult(await sendToBackground('disconnectAccount'));
+    showAuthStatus('error');
+    showSyncBanner('Connect a Google account to sync your prompts with Google Drive.', 'Connect', connectAccount);
+    showToast('Disconnected from Google Drive');
+  } catch (error) {
+    console.error('Failed to disconnect Google account:', error);
+    showToast(`Failed to disconnect: ${error.message}`);
+  }
+}
+
 function showAuthStatus(status) {
   const loadingEl = document.getElementById('auth-loading');
   const errorEl = document.getElementById('auth-error');
   const successEl = document.getElementById('auth-success');
   
+  const offlineEl = document.getElementById('auth-offline');
+  
   if (loadingEl) loadingEl.style.display = status === 'loading' ? 'block' : 'none';
   if (errorEl) errorEl.style.display = status === 'error' ? 'block' : 'none';
   if (successEl) successEl.style.display = status === 'success' ? 'block' : 'none';
+  if (offlineEl) offlineEl.style.display = status === 'offline' ? 'block' : 'none';
 }
 
-function openModal() {
+function openModal(prompt = null) {
   const modal = document.getElementById('promptModal');
   if (modal) {
+    setModalMode(prompt);
     modal.style.display = 'block';
     modal.setAttribute('aria-hidden', 'false');
     // Focus on the first input
@@ -255,6 +732,7 @@ function openModal() {
 function closeModal() {
   const modal = document.getElementById('promptModal');
   if (modal) {
+    const wasCapture = pendingSource !== null;
     modal.style.display = 'none';
     modal.setAttribute('aria-hidden', 'true');
     // Clear the form
@@ -262,6 +740,89 @@ function closeModal() {
     if (form) {
       form.reset();
     }
+    pendingSource = null;
+    setModalMode(null);
+    
+    // The capture window has done its job once the selection is saved or dismissed
+    if (wasCapture && isCaptureWindow) {
+      window.close();
+    }
+  }
+}
+
+// Open the save dialog prefilled with a selection saved from the context menu, if one is waiting
+async function openPendingCapture() {
+  const result = await chrome.storage.session.get([STORAGE_KEYS.PENDING_CAPTURE]);
+  const capture = result[STORAGE_KEYS.PENDING_CAPTURE];
+  if (!capture) return;
+  await chrome.storage.session.remove(STORAGE_KEYS.PENDING_CAPTURE);
+  
+  openModal();
+  pendingSource = capture.source;
+  renderPromptSource(pendingSource);
+  
+  const nameInput = document.getElementById('name');
+  const textInput = document.getElementById('text');
+  if (nameInput) nameInput.value = (capture.source.title || '').slice(0, userSettings.maxNameLength);
+  if (textInput) textInput.value = capture.text;
+  nameInput?.select();
+}
+
+// The page a prompt was saved from, as a link when it's a web page. The link is built with the
+// DOM so the URL can't end the attribute it's written into.
+function renderSourceHtml(source) {
+  const url = parseWebUrl(source.url);
+  if (!url) return escapeHtml(source.title || source.url);
+
+  const link = document.createElement('a');
+  link.href = url.href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.title = url.href;
+  link.textContent = source.title || source.url;
+  return link.outerHTML;
+}
+
+// An http(s) URL, or null for anything else (javascript:, data:, chrome: or no URL at all)
+function parseWebUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function renderPromptSource(source) {
+  const sourceEl = document.getElementById('promptSource');
+  if (!sourceEl) return;
+  
+  sourceEl.hidden = !source;
+  sourceEl.innerHTML = source ? `Source: ${renderSourceHtml(source)}` : '';
+}
+
+// Switch the prompt modal between add and edit mode, pre-filling the form when editing
+function setModalMode(prompt) {
+  const title = document.getElementById('modal-title');
+  const saveBtn = document.getElementById('saveBtn');
+  
+  editingPromptId = prompt ? prompt.id : null;
+  editingLibraryId = prompt ? prompt.libraryId || null : null;
+  
+  if (title) title.textContent = prompt ? 'Edit Prompt' : 'Add New Prompt';
+  if (saveBtn) saveBtn.textContent = prompt ? 'Update Prompt' : 'Save Prompt';
+  renderPromptSource(prompt ? prompt.source : null);
+  
+  if (prompt) {
+    const nameInput = document.getElementById('name');
+    const textInput = document.getElementById('text');
+    const tagsInput = document.getElementById('tags');
+    const shortcutInput = document.getElementById('shortcut');
+    
+    if (nameInput) nameInput.value = prompt.name || '';
+    if (textInput) textInput.value = prompt.text || '';
+    if (tagsInput) tagsInput.value = (prompt.tags || []).join(', ');
+    if (shortcutInput) shortcutInput.value = prompt.shortcut || '';
   }
 }
 
@@ -269,34 +830,111 @@ function handleSearch() {
   const searchInput = document.getElementById('searchInput');
   if (!searchInput) return;
   
+  // The open folder may have been deleted on another device
+  if (currentFolderId !== null && !findFolder(currentFolderId)) {
+    currentFolderId = null;
+  }
+  // ...and the open library detached
+  if (currentLibraryId !== null && !getLibrary(currentLibraryId)) {
+    currentLibraryId = null;
+  }
+  
+  // Searching looks through every folder and library, browsing shows the open one
   const searchTerm = searchInput.value.toLowerCase().trim();
-  const filteredPrompts = searchTerm 
-    ? currentPrompts.filter(prompt => 
-        prompt.name.toLowerCase().includes(searchTerm) ||
-        prompt.text.toLowerCase().includes(searchTerm) ||
-        (prompt.tags && prompt.tags.some(tag => tag.toLowerCase().includes(searchTerm)))
-      )
-    : currentPrompts;
+  let filteredPrompts;
+  let favorites = [];
+  if (searchTerm) {
+    filteredPrompts = searchPrompts(searchTerm);
+  } else if (currentLibraryId !== null) {
+    filteredPrompts = orderPrompts(getPromptList(currentLibraryId));
+  } else {
+    // Favorites are pinned above the list: all of them at the top level, a folder's own in a folder
+    const folderPrompts = orderPrompts(getFolderPrompts(currentFolderId));
+    favorites = currentFolderId === null
+      ? orderPrompts(currentPrompts.filter(p => p.favorite))
+      : folderPrompts.filter(p => p.favorite);
+    filteredPrompts = folderPrompts.filter(p => !p.favorite);
+  }
   
-  renderList(filteredPrompts);
+  renderFolders(Boolean(searchTerm));
+  renderList(filteredPrompts, favorites);
 }
 
-async function loadPrompts() {
-  if (!driveAPI) {
-    showToast('Google Drive not available. Using cached prompts.');
-    return;
+// Ranked search over every folder and library. The index only re-reads prompts that changed since
+// the last keystroke, so typing stays fast with thousands of prompts.
+function searchPrompts(query) {
+  searchIndex.update(getAllPrompts().map(prompt => ({
+    key: `${prompt.libraryId || ''}:${prompt.id}`,
+    prompt,
+    collections: getCollections(prompt)
+  })));
+  
+  const results = searchIndex.search(query);
+  searchHighlights = new Map(results.map(result => [result.prompt, result.needles]));
+  // Equal scores, which is all of them for a query of only filters, keep the order picked above the list
+  const position = new Map(orderPrompts(results.map(result => result.prompt)).map((prompt, index) => [prompt, index]));
+  return results
+    .sort((a, b) => b.score - a.score || position.get(a.prompt) - position.get(b.prompt))
+    .map(result => result.prompt);
+}
+
+// What in:name matches: the library a prompt belongs to, or every folder above it
+function getCollections(prompt) {
+  if (prompt.libraryId) {
+    const library = getLibrary(prompt.libraryId);
+    return library ? [library.name] : [];
   }
+  return getFolderPath(resolveFolderId(prompt.folderId)).map(folder => folder.name);
+}
+
+// Escaped HTML of text with the parts matching the search wrapped in <mark>
+function highlightMatches(text, needles) {
+  if (!needles || !needles.length) return escapeHtml(text);
+  
+  let html = '';
+  let last = 0;
+  searchIndex.getRanges(text, needles).forEach(([start, end]) => {
+    html += `${escapeHtml(text.slice(last, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    last = end;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+// For a match only in the prompt text, which is hidden until the card is expanded: a line of
+// the text around the first match
+function renderMatchSnippet(prompt, needles) {
+  if (!needles || searchIndex.getRanges(prompt.name, needles).length) return '';
+  
+  const text = prompt.text;
+  const [first] = searchIndex.getRanges(text, needles);
+  if (!first) return '';
+  
+  const start = Math.max(0, first[0] - 40);
+  const snippet = text.slice(start, first[1] + 80).replace(/\s+/g, ' ');
+  return `<div class="card-snippet">${start > 0 ? '…' : ''}${highlightMatches(snippet, needles)}…</div>`;
+}
+
+// Enter in the search box uses the first prompt in the list with the default action
+async function handleSearchEnter(e) {
+  if (e.key !== 'Enter' || e.isComposing) return;
+  e.preventDefault();
   
+  // The list may still show results from before the debounce
+  handleSearch();
+  const firstCard = document.querySelector('#list .card[data-id]');
+  if (!firstCard) return;
+  
+  const prompt = getPromptList(firstCard.dataset.libraryId || null).find(p => p.id === Number(firstCard.dataset.id));
+  if (prompt) {
+    await usePrompt(prompt, userSettings.defaultAction);
+  }
+}
+
+async function loadPrompts() {
   try {
     showAuthStatus('loading');
-    const drivePrompts = await driveAPI.getPrompts();
-    const mergedPrompts = mergePrompts(currentPrompts, drivePrompts);
-    
-    if (JSON.stringify(mergedPrompts) !== JSON.stringify(currentPrompts)) {
-      currentPrompts = mergedPrompts;
-      await saveToStorage(currentPrompts);
-      handleSearch(); // Re-render with merged data
-      showToast('Prompts refreshed from Google Drive');
+    if (await syncPrompts()) {
+      showToast(`Prompts refreshed from ${storageLabel}`);
     } else {
       showToast('Prompts are up to date');
     }
@@ -304,22 +942,30 @@ async function loadPrompts() {
     showAuthStatus('success');
   } catch (error) {
     console.error('Error loading prompts:', error);
-    showAuthStatus('error');
-    showToast('Failed to load prompts from Google Drive. Using cached data.');
+    handleSyncError(error);
   }
 }
 
-function validatePrompt(name, text) {
+function validatePrompt(name, text, shortcut = '') {
   if (!name || !text) {
     return 'Please provide both name and prompt text';
   }
   
-  if (name.length > MAX_NAME_LENGTH) {
-    return `Name must be less than ${MAX_NAME_LENGTH} characters`;
+  if (name.length > userSettings.maxNameLength) {
+    return `Name must be less than ${userSettings.maxNameLength} characters`;
+  }
+  
+  if (text.length > userSettings.maxPromptLength) {
+    return `Prompt text must be less than ${userSettings.maxPromptLength} characters`;
+  }
+  
+  if (!SHORTCUT_PATTERN.test(shortcut)) {
+    return 'Shortcut can only contain letters, numbers, dashes and underscores';
   }
   
-  if (text.length > MAX_PROMPT_LENGTH) {
-    return `Prompt text must be less than ${MAX_PROMPT_LENGTH} characters`;
+  // Shortcuts only expand for personal prompts
+  if (shortcut && editingLibraryId === null && currentPrompts.some(p => p.shortcut === shortcut && p.id !== editingPromptId)) {
+    return `Shortcut "${AUTOCOMPLETE_TRIGGER}${shortcut}" is already used by another prompt`;
   }
   
   return null;
@@ -335,39 +981,54 @@ async function savePrompt() {
   const name = nameInput.value.trim();
   const text = textInput.value.trim();
   const tags = (tagsInput?.value || '').split(',').map(s => s.trim()).filter(Boolean);
+  // Accept the shortcut with or without the trigger typed in front of it
+  const shortcut = (document.getElementById('shortcut')?.value || '')
+    .trim()
+    .toLowerCase()
+    .replace(new RegExp(`^${AUTOCOMPLETE_TRIGGER}`), '');
 
-  const validationError = validatePrompt(name, text);
+  const validationError = validatePrompt(name, text, shortcut);
   if (validationError) {
     showToast(validationError);
     return;
   }
 
+  if (editingPromptId !== null) {
+    await updateExistingPrompt(editingPromptId, { name, text, tags, shortcut }, editingLibraryId);
+    return;
+  }
+
+  // Prompts added while a writable library is open go to that library
+  const libraryId = currentLibraryId !== null && isWritable(currentLibraryId) ? currentLibraryId : null;
+
   try {
     const newPrompt = { 
       id: Date.now(), 
       name, 
       text, 
       tags,
+      shortcut,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
+    if (currentFolderId !== null && libraryId === null) {
+      newPrompt.folderId = currentFolderId;
+    }
+    if (pendingSource) {
+      newPrompt.source = pendingSource;
+    }
     
     // Add to local storage first for immediate feedback
-    currentPrompts.unshift(newPrompt);
-    await saveToStorage(currentPrompts);
+    getPromptList(libraryId).unshift(libraryId ? { ...newPrompt, libraryId } : newPrompt);
+    await savePromptList(libraryId);
     handleSearch();
     
-    // Then sync to Google Drive if available
-    if (driveAPI) {
-      try {
-        await driveAPI.addPrompt(newPrompt);
-        showToast('Prompt saved to Google Drive');
-      } catch (driveError) {
-        console.error('Failed to sync to Google Drive:', driveError);
-        showToast('Prompt saved locally. Google Drive sync failed.');
-      }
-    } else {
-      showToast('Prompt saved locally. Google Drive not available.');
+    // Then sync to Google Drive, queueing the change if it can't be reached
+    const synced = await pushToDrive({ type: 'add', promptId: newPrompt.id, prompt: newPrompt, ...libraryOperation(libraryId) });
+    if (synced) {
+      showToast(`Prompt saved to ${storageLabel}`);
+    } else if (synced === false) {
+      showToast(`Prompt saved locally. It will sync when ${storageLabel} is reachable.`);
     }
     
     // Clear form and close modal
@@ -378,63 +1039,92 @@ async function savePrompt() {
   }
 }
 
-function renderList(prompts) {
+async function updateExistingPrompt(id, changes, libraryId = null) {
+  const prompts = getPromptList(libraryId);
+  const index = prompts.findIndex(p => p.id === id);
+  if (index === -1) {
+    showToast('Prompt no longer exists');
+    closeModal();
+    return;
+  }
+
+  try {
+    // Update in place so the original id and createdAt are kept
+    prompts[index] = {
+      ...prompts[index],
+      ...changes,
+      updatedAt: new Date().toISOString()
+    };
+    await savePromptList(libraryId);
+    handleSearch();
+    
+    // Then sync to Google Drive, queueing the change if it can't be reached
+    const synced = await pushToDrive({ type: 'update', promptId: id, changes, ...libraryOperation(libraryId) });
+    if (synced) {
+      showToast(`Prompt updated in ${storageLabel}`);
+    } else if (synced === false) {
+      showToast(`Prompt updated locally. It will sync when ${storageLabel} is reachable.`);
+    }
+    
+    closeModal();
+  } catch (error) {
+    console.error('Error updating prompt:', error);
+    showToast('Failed to update prompt');
+  }
+}
+
+function renderList(prompts, favorites = []) {
   const container = document.getElementById('list');
   if (!container) return;
   
   const searchInput = document.getElementById('searchInput');
   const searchTerm = searchInput?.value.trim() || '';
   
-  if (!prompts.length) {
+  listedPrompts = [...favorites, ...prompts].filter(p => !p.libraryId);
+  renderBatchBar();
+  
+  if (!prompts.length && !favorites.length) {
     if (searchTerm) {
       container.innerHTML = `<div class="empty-state"><p>No prompts found matching "${escapeHtml(searchTerm)}"</p></div>`;
+    } else if (currentLibraryId !== null) {
+      container.innerHTML = `<div class="empty-state"><p>This library has no prompts yet</p></div>`;
+    } else if (currentFolderId !== null || currentFolders.length) {
+      container.innerHTML = `<div class="empty-state"><p>No prompts here yet</p><p>Add a prompt or drag one onto this folder's name above</p></div>`;
     } else {
       container.innerHTML = `<div class="empty-state"><p>No prompts saved yet</p><p>Click "Add New Prompt" to get started</p></div>`;
     }
     return;
   }
   
-  container.innerHTML = prompts.map(p => `
-    <div class="card" data-id="${p.id}">
-      <div class="card-header">
-        <h3 class="card-title">${escapeHtml(p.name)}</h3>
-        <button class="card-expand" aria-label="Expand prompt content">
-          <svg class="expand-icon" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-            <polyline points="6,9 12,15 18,9"></polyline>
-          </svg>
-        </button>
-      </div>
-      <div class="card-content" style="display: none;">
-        <pre>${escapeHtml(p.text)}</pre>
-        ${p.tags && p.tags.length ? `<div class="tags">${p.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
-      </div>
-      <div class="actions">
-        <button class="copy" aria-label="Copy prompt">
+  // The default action from the settings comes first
+  const copyButton = `<button class="copy${userSettings.defaultAction === 'copy' ? ' default-action' : ''}" aria-label="Copy prompt">
           <svg class="btn-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
             <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
           </svg>
           Copy
-        </button>
-        <button class="insert" aria-label="Insert prompt">
+        </button>`;
+  const insertButton = `<button class="insert${userSettings.defaultAction === 'insert' ? ' default-action' : ''}" aria-label="Insert prompt">
           <svg class="btn-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
             <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
           </svg>
           Insert
-        </button>
-        <button class="delete" aria-label="Delete prompt">
-          <svg class="btn-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-            <polyline points="3,6 5,6 21,6"></polyline>
-            <path d="M19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
-            <line x1="10" y1="11" x2="10" y2="17"></line>
-            <line x1="14" y1="11" x2="14" y2="17"></line>
-          </svg>
-          Delete
-        </button>
-      </div>
-    </div>
-  `).join('');
+        </button>`;
+  const useButtons = userSettings.defaultAction === 'copy'
+    ? `${copyButton}
+        ${insertButton}`
+    : `${insertButton}
+        ${copyButton}`;
+  
+  // Cards are only dragged into place in manual order, and the favorites section can't be reordered
+  const draggable = !searchTerm && sortMode === 'manual';
+  const favoritesSection = favorites.length ? `
+    <h2 class="list-section">Favorites</h2>
+    ${favorites.map(p => renderCard(p, { searchTerm, useButtons, pinned: true, draggable: false })).join('')}
+    ${prompts.length ? '<h2 class="list-section">Other prompts</h2>' : ''}
+  ` : '';
+  container.innerHTML = favoritesSection + prompts.map(p => renderCard(p, { searchTerm, useButtons, pinned: false, draggable })).join('');
   
   // Add event listeners for expand/collapse functionality
   container.querySelectorAll('.card-expand').forEach(button => {
@@ -457,18 +1147,963 @@ function renderList(prompts) {
   });
 }
 
-async function listClickHandler(e) {
-  const card = e.target.closest('.card');
-  if (!card) return;
-  
-  const id = Number(card.dataset.id);
-  const prompt = currentPrompts.find(x => x.id === id);
-  if (!prompt) return;
+// Library prompts can't be armed, starred, moved or edited here unless the library is writable
+function renderCard(p, { searchTerm, useButtons, pinned, draggable }) {
+  const libraryId = p.libraryId || null;
+  const usage = usageTracker.getUsage(p, usageState);
+  const needles = searchTerm ? searchHighlights.get(p) : null;
+  const selectable = selectedIds && !libraryId;
+  return `
+  <div class="card${!libraryId && getArmedSlot(p.id) ? ' armed' : ''}${pinned ? ' pinned' : ''}${selectable && selectedIds.has(p.id) ? ' selected' : ''}" data-id="${escapeAttribute(String(p.id))}"${libraryId ? ` data-library-id="${escapeAttribute(libraryId)}"` : ''} draggable="${draggable && !libraryId ? 'true' : 'false'}">
+    ${!libraryId && resolveFolderId(p.folderId) !== null && (searchTerm || (pinned && resolveFolderId(p.folderId) !== currentFolderId))
+      ? `<div class="card-folder">in ${escapeHtml(getFolderPath(p.folderId).map(f => f.name).join(' › '))}</div>`
+      : ''}
+    <div class="card-header">
+      ${selectable ? `<input type="checkbox" class="card-select" aria-label="Select ${escapeAttribute(p.name)}"${selectedIds.has(p.id) ? ' checked' : ''} />` : ''}
+      <h3 class="card-title">${highlightMatches(p.name, needles)}</h3>
+      ${renderLibraryBadge(libraryId)}
+      ${libraryId ? '' : `<button class="card-favorite${p.favorite ? ' active' : ''}" aria-pressed="${Boolean(p.favorite)}" aria-label="${p.favorite ? 'Remove from favorites' : 'Add to favorites'}">${p.favorite ? '★' : '☆'}</button>`}
+      ${libraryId ? '' : renderSlotPicker(p)}
+      <button class="card-expand" aria-label="Expand prompt content">
+        <svg class="expand-icon" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <polyline points="6,9 12,15 18,9"></polyline>
+        </svg>
+      </button>
+    </div>
+    ${renderMatchSnippet(p, needles)}
+    <div class="card-content" style="display: none;">
+      <pre>${highlightMatches(p.text, needles)}</pre>
+      ${p.tags && p.tags.length ? `<div class="tags">${p.tags.map(tag => `<span class="tag">${highlightMatches(tag, needles)}</span>`).join('')}</div>` : ''}
+      ${p.shortcut ? `<div class="card-shortcut">Type <code>${escapeHtml(AUTOCOMPLETE_TRIGGER + p.shortcut)}</code> on any page</div>` : ''}
+      ${p.source ? `<div class="card-source">From ${renderSourceHtml(p.source)}</div>` : ''}
+      ${usage.useCount ? `<div class="card-usage">${formatUsage(usage)}</div>` : ''}
+      ${libraryId ? '' : '<button class="card-history" aria-label="Show version history">History</button>'}
+    </div>
+    <div class="actions">
+      ${useButtons}
+      ${isWritable(libraryId) ? `<button class="edit" aria-label="Edit prompt">
+        <svg class="btn-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <path d="M12 20h9"></path>
+          <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+        </svg>
+        Edit
+      </button>
+      <button class="delete" aria-label="Delete prompt">
+        <svg class="btn-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <polyline points="3,6 5,6 21,6"></polyline>
+          <path d="M19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
+          <line x1="10" y1="11" x2="10" y2="17"></line>
+          <line x1="14" y1="11" x2="14" y2="17"></line>
+        </svg>
+        Delete
+      </button>` : ''}
+    </div>
+  </div>
+`;
+}
 
-  // Handle expand/collapse click
-  if (e.target.closest('.card-expand')) {
-    return; // This is handled separately in renderList
-  }
+function findFolder(id) {
+  return currentFolders.find(f => f.id === id) || null;
+}
+
+// Prompts pointing at a folder that no longer exists show at the top level
+function resolveFolderId(folderId) {
+  return folderId !== undefined && folderId !== null && findFolder(folderId) ? folderId : null;
+}
+
+// Same for folders, and for folders that ended up inside themselves after moves on two devices
+function getParentFolderId(folder) {
+  const seen = new Set([folder.id]);
+  let parent = findFolder(folder.parentId);
+  while (parent) {
+    if (seen.has(parent.id)) return null;
+    seen.add(parent.id);
+    parent = findFolder(parent.parentId);
+  }
+  return resolveFolderId(folder.parentId);
+}
+
+// Folders from the top level down to the given one
+function getFolderPath(folderId) {
+  const path = [];
+  let folder = findFolder(folderId);
+  while (folder) {
+    path.unshift(folder);
+    folder = findFolder(getParentFolderId(folder));
+  }
+  return path;
+}
+
+function getFolderPrompts(folderId) {
+  return currentPrompts.filter(p => resolveFolderId(p.folderId) === folderId);
+}
+
+function getChildFolders(parentId) {
+  return currentFolders
+    .filter(f => getParentFolderId(f) === parentId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Prompts dragged into place keep their order; the rest come first, newest on top
+function sortPrompts(prompts) {
+  return [...prompts].sort((a, b) => (a.order ?? -Infinity) - (b.order ?? -Infinity) || b.id - a.id);
+}
+
+// Sort by the mode picked above the list; ties, and prompts never used, keep the manual order
+function orderPrompts(prompts) {
+  const manual = sortPrompts(prompts);
+  if (sortMode === 'name') {
+    return manual.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  }
+  if (sortMode === 'manual') return manual;
+  
+  const usage = new Map(manual.map(p => [p, usageTracker.getUsage(p, usageState)]));
+  const lastUsed = p => usage.get(p).lastUsedAt ? new Date(usage.get(p).lastUsedAt).getTime() : 0;
+  return manual.sort((a, b) => sortMode === 'used'
+    ? usage.get(b).useCount - usage.get(a).useCount || lastUsed(b) - lastUsed(a)
+    : lastUsed(b) - lastUsed(a));
+}
+
+async function loadSortMode() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.SORT_MODE]);
+  sortMode = SORT_MODES.includes(result[STORAGE_KEYS.SORT_MODE]) ? result[STORAGE_KEYS.SORT_MODE] : 'manual';
+  const select = document.getElementById('sortMode');
+  if (select) select.value = sortMode;
+}
+
+// The sort mode is a view preference of this browser, so it isn't synced
+async function setSortMode(mode) {
+  if (!SORT_MODES.includes(mode)) return;
+  sortMode = mode;
+  handleSearch();
+  await chrome.storage.local.set({ [STORAGE_KEYS.SORT_MODE]: mode });
+}
+
+function formatUsage({ useCount, lastUsedAt }) {
+  const times = `Used ${useCount} time${useCount === 1 ? '' : 's'}`;
+  return lastUsedAt ? `${times}, last on ${new Date(lastUsedAt).toLocaleDateString()}` : times;
+}
+
+// The top level has an empty data-folder-id
+function parseFolderId(value) {
+  return value ? Number(value) : null;
+}
+
+function renderFolders(searching) {
+  const breadcrumb = document.getElementById('breadcrumb');
+  const container = document.getElementById('folders');
+  if (!breadcrumb || !container) return;
+  
+  const library = getLibrary(currentLibraryId);
+  const crumbs = [{ id: null, name: 'Prompts' }, ...(library ? [library] : getFolderPath(currentFolderId))];
+  breadcrumb.innerHTML = crumbs.map((crumb, index) => `
+    ${index ? '<span class="breadcrumb-separator" aria-hidden="true">›</span>' : ''}
+    <button type="button" ${crumb === library ? `data-library-id="${escapeAttribute(library.id)}"` : `data-folder-id="${escapeAttribute(String(crumb.id ?? ''))}"`}${index === crumbs.length - 1 && !searching ? ' aria-current="page"' : ''}>${escapeHtml(crumb.name)}</button>
+  `).join('');
+  
+  // Libraries have no folders of their own
+  const newFolderBtn = document.getElementById('newFolderBtn');
+  if (newFolderBtn) {
+    newFolderBtn.style.display = library ? 'none' : '';
+  }
+  
+  if (searching || library) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const libraryRows = currentFolderId !== null ? '' : attachedLibraries.map(l => `
+    <div class="folder library-row" role="listitem" data-library-id="${escapeAttribute(l.id)}"${l.error ? ` title="${escapeAttribute(l.error)}"` : ''}>
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+        <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
+        <circle cx="9" cy="7" r="4"></circle>
+        <path d="M23 21v-2a4 4 0 0 0-3-3.87"></path>
+        <path d="M16 3.13a4 4 0 0 1 0 7.75"></path>
+      </svg>
+      <span class="folder-name">${escapeHtml(l.name)}</span>
+      ${l.error ? '<span class="library-error">Sync failed</span>' : `<span class="library-mode">${l.mode === 'read-write' ? 'Read-write' : 'Read-only'}</span>`}
+      <span class="folder-count">${getPromptList(l.id).length}</span>
+    </div>
+  `).join('');
+  
+  container.innerHTML = libraryRows + getChildFolders(currentFolderId).map(folder => `
+    <div class="folder" role="listitem" draggable="true" data-folder-id="${escapeAttribute(String(folder.id))}">
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+        <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>
+      </svg>
+      <span class="folder-name">${escapeHtml(folder.name)}</span>
+      <span class="folder-count">${getFolderPrompts(folder.id).length}</span>
+      <span class="folder-actions">
+        <button type="button" class="rename-folder" aria-label="Rename folder ${escapeAttribute(folder.name)}">Rename</button>
+        <button type="button" class="delete-folder" aria-label="Delete folder ${escapeAttribute(folder.name)}">Delete</button>
+      </span>
+    </div>
+  `).join('');
+}
+
+function openFolder(folderId) {
+  currentFolderId = folderId;
+  currentLibraryId = null;
+  const searchInput = document.getElementById('searchInput');
+  if (searchInput) {
+    searchInput.value = '';
+  }
+  handleSearch();
+}
+
+function openLibrary(libraryId) {
+  currentLibraryId = libraryId;
+  currentFolderId = null;
+  const searchInput = document.getElementById('searchInput');
+  if (searchInput) {
+    searchInput.value = '';
+  }
+  handleSearch();
+}
+
+function breadcrumbClickHandler(e) {
+  const crumb = e.target.closest('button[data-folder-id]');
+  if (crumb) {
+    openFolder(parseFolderId(crumb.dataset.folderId));
+  }
+}
+
+async function foldersClickHandler(e) {
+  const libraryRow = e.target.closest('.library-row');
+  if (libraryRow) {
+    openLibrary(libraryRow.dataset.libraryId);
+    return;
+  }
+  
+  const row = e.target.closest('.folder');
+  if (!row) return;
+  
+  const folder = findFolder(Number(row.dataset.folderId));
+  if (!folder) return;
+  
+  if (e.target.closest('.rename-folder')) {
+    await renameFolder(folder);
+  } else if (e.target.closest('.delete-folder')) {
+    await deleteFolder(folder);
+  } else {
+    openFolder(folder.id);
+  }
+}
+
+function askFolderName(currentName = '') {
+  const name = (window.prompt('Folder name', currentName) || '').trim();
+  if (name.length > userSettings.maxNameLength) {
+    showToast(`Folder name must be less than ${userSettings.maxNameLength} characters`);
+    return '';
+  }
+  return name;
+}
+
+async function createFolder() {
+  const name = askFolderName();
+  if (!name) return;
+  
+  const now = new Date().toISOString();
+  currentFolders.push({
+    id: Date.now(),
+    kind: 'folder',
+    name,
+    parentId: currentFolderId,
+    createdAt: now,
+    updatedAt: now
+  });
+  await saveLayout(`Folder "${name}" created`);
+}
+
+async function renameFolder(folder) {
+  const name = askFolderName(folder.name);
+  if (!name || name === folder.name) return;
+  
+  folder.name = name;
+  folder.updatedAt = new Date().toISOString();
+  await saveLayout('Folder renamed');
+}
+
+// Deleting a folder keeps its contents: prompts and subfolders move up one level
+async function deleteFolder(folder) {
+  if (!confirm(`Delete the folder "${folder.name}"? Its prompts and subfolders will move up one level.`)) return;
+  
+  const parentId = getParentFolderId(folder);
+  currentPrompts.filter(p => p.folderId === folder.id).forEach(p => setPromptFolder(p, parentId));
+  currentFolders.filter(f => f.parentId === folder.id).forEach(f => { f.parentId = parentId; });
+  currentFolders = currentFolders.filter(f => f.id !== folder.id);
+  await saveLayout('Folder deleted');
+}
+
+function setPromptFolder(prompt, folderId) {
+  if (folderId === null) {
+    delete prompt.folderId;
+  } else {
+    prompt.folderId = folderId;
+  }
+}
+
+// Folder and order changes are saved locally, then queued for the backend like prompt edits
+async function saveLayout(successMessage = '') {
+  let operation;
+  try {
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.PROMPTS, STORAGE_KEYS.FOLDERS]);
+    operation = getLayoutChanges(stored[STORAGE_KEYS.PROMPTS] || [], stored[STORAGE_KEYS.FOLDERS] || []);
+    await saveToStorage(currentPrompts);
+    await chrome.storage.local.set({ [STORAGE_KEYS.FOLDERS]: currentFolders });
+    handleSearch();
+  } catch (error) {
+    console.error('Failed to save folders:', error);
+    showToast('Failed to save changes');
+    return;
+  }
+  
+  const synced = operation ? await pushToDrive(operation) : true;
+  if (synced) {
+    if (successMessage) showToast(successMessage);
+  } else if (synced === false) {
+    showToast(`Saved locally. Changes will sync when ${storageLabel} is reachable.`);
+  }
+}
+
+// The 'layout' outbox operation that turns the saved prompts and folders into the current ones,
+// or null if nothing moved
+function getLayoutChanges(savedPrompts, savedFolders) {
+  const savedFolderMap = new Map(savedFolders.map(f => [f.id, f]));
+  const folders = currentFolders.filter(f => JSON.stringify(f) !== JSON.stringify(savedFolderMap.get(f.id)));
+  const currentFolderIds = new Set(currentFolders.map(f => f.id));
+  const deletedFolderIds = savedFolders.filter(f => !currentFolderIds.has(f.id)).map(f => f.id);
+  
+  const savedPromptMap = new Map(savedPrompts.map(p => [p.id, p]));
+  const prompts = {};
+  currentPrompts.forEach(prompt => {
+    const saved = savedPromptMap.get(prompt.id);
+    if (saved && (saved.folderId !== prompt.folderId || saved.order !== prompt.order)) {
+      prompts[prompt.id] = { folderId: prompt.folderId ?? null, order: prompt.order ?? null };
+    }
+  });
+  
+  if (!folders.length && !deletedFolderIds.length && !Object.keys(prompts).length) return null;
+  return { type: 'layout', folders, deletedFolderIds, prompts };
+}
+
+function handleDragStart(e) {
+  const card = e.target.closest?.('#list .card[draggable="true"]');
+  const folder = e.target.closest?.('.folder[data-folder-id]');
+  if (card) {
+    dragState = { type: 'prompt', id: Number(card.dataset.id), element: card };
+  } else if (folder) {
+    dragState = { type: 'folder', id: Number(folder.dataset.folderId), element: folder };
+  } else {
+    return;
+  }
+  
+  dragState.element.classList.add('dragging');
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', String(dragState.id));
+}
+
+// A folder row or breadcrumb moves the dragged item into that folder; a card reorders before it
+function getDropTarget(e) {
+  if (!dragState || !e.target.closest) return null;
+  
+  const folderEl = e.target.closest('#breadcrumb button[data-folder-id]') || e.target.closest('.folder[data-folder-id]');
+  if (folderEl) {
+    const folderId = parseFolderId(folderEl.dataset.folderId);
+    // A folder can't go into itself or one of its subfolders
+    if (dragState.type === 'folder' && getFolderPath(folderId).some(f => f.id === dragState.id)) {
+      return null;
+    }
+    return { element: folderEl, className: 'drop-target', folderId };
+  }
+  
+  const card = e.target.closest('#list .card[data-id]:not(.pinned)');
+  if (card && dragState.type === 'prompt' && Number(card.dataset.id) !== dragState.id) {
+    return { element: card, className: 'drop-before', beforeId: Number(card.dataset.id) };
+  }
+  return null;
+}
+
+function clearDropHighlight() {
+  document.querySelectorAll('.drop-target, .drop-before').forEach(el => {
+    el.classList.remove('drop-target', 'drop-before');
+  });
+}
+
+function handleDragOver(e) {
+  const target = getDropTarget(e);
+  clearDropHighlight();
+  if (!target) return;
+  
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'move';
+  target.element.classList.add(target.className);
+}
+
+async function handleDrop(e) {
+  const target = getDropTarget(e);
+  const drag = dragState;
+  clearDropHighlight();
+  if (!target) return;
+  
+  e.preventDefault();
+  if (target.beforeId !== undefined) {
+    await reorderPrompt(drag.id, target.beforeId);
+  } else if (drag.type === 'prompt') {
+    await movePromptToFolder(drag.id, target.folderId);
+  } else {
+    await moveFolder(drag.id, target.folderId);
+  }
+}
+
+function handleDragEnd() {
+  if (dragState) {
+    dragState.element.classList.remove('dragging');
+    dragState = null;
+  }
+  clearDropHighlight();
+}
+
+// Put a prompt right before another one and renumber the folder so the order syncs
+async function reorderPrompt(promptId, beforeId) {
+  const moved = currentPrompts.find(p => p.id === promptId);
+  const before = currentPrompts.find(p => p.id === beforeId);
+  if (!moved || !before) return;
+  
+  const folderId = resolveFolderId(before.folderId);
+  const ordered = sortPrompts(getFolderPrompts(folderId)).filter(p => p.id !== promptId);
+  ordered.splice(ordered.indexOf(before), 0, moved);
+  
+  setPromptFolder(moved, folderId);
+  ordered.forEach((p, index) => { p.order = index; });
+  await saveLayout();
+}
+
+async function movePromptToFolder(promptId, folderId) {
+  const prompt = currentPrompts.find(p => p.id === promptId);
+  if (!prompt || resolveFolderId(prompt.folderId) === folderId) return;
+  
+  // Like new prompts, moved ones stay unordered until they're dragged into place
+  setPromptFolder(prompt, folderId);
+  delete prompt.order;
+  await saveLayout(`Moved to ${folderId === null ? 'the top level' : `"${findFolder(folderId).name}"`}`);
+}
+
+async function moveFolder(folderId, parentId) {
+  const folder = findFolder(folderId);
+  if (!folder || getParentFolderId(folder) === parentId) return;
+  
+  folder.parentId = parentId;
+  await saveLayout(`Moved to ${parentId === null ? 'the top level' : `"${findFolder(parentId).name}"`}`);
+}
+
+// Select mode puts a checkbox on every personal prompt and shows a bar of actions for the checked
+// ones. Every action is one write to Google Drive, however many prompts are checked.
+function toggleSelectMode(on = selectedIds === null) {
+  selectedIds = on ? new Set() : null;
+  const button = document.getElementById('selectModeBtn');
+  if (button) {
+    button.textContent = on ? 'Cancel' : 'Select';
+    button.setAttribute('aria-pressed', String(on));
+  }
+  handleSearch();
+}
+
+function setSelected(promptId, selected) {
+  if (!selectedIds) return;
+  
+  if (selected) {
+    selectedIds.add(promptId);
+  } else {
+    selectedIds.delete(promptId);
+  }
+  // A favorite can be listed twice while searching
+  document.querySelectorAll(`#list .card[data-id="${CSS.escape(String(promptId))}"]:not([data-library-id])`).forEach(card => {
+    card.classList.toggle('selected', selected);
+    card.querySelector('.card-select').checked = selected;
+  });
+  renderBatchBar();
+}
+
+// Check or clear everything the list shows: the open folder, or every result of a search
+function selectAllListed(selected) {
+  if (!selectedIds) return;
+  
+  listedPrompts.forEach(p => {
+    if (selected) {
+      selectedIds.add(p.id);
+    } else {
+      selectedIds.delete(p.id);
+    }
+  });
+  handleSearch();
+}
+
+function getSelectedPrompts() {
+  return selectedIds ? currentPrompts.filter(p => selectedIds.has(p.id)) : [];
+}
+
+function renderBatchBar() {
+  const bar = document.getElementById('batchBar');
+  if (!bar) return;
+  
+  bar.style.display = selectedIds ? 'block' : 'none';
+  if (!selectedIds) return;
+  
+  // Prompts deleted on another device drop out of the selection
+  const selected = getSelectedPrompts();
+  selectedIds = new Set(selected.map(p => p.id));
+  document.getElementById('batchCount').textContent = `${selected.length} selected`;
+  
+  const listedCount = listedPrompts.filter(p => selectedIds.has(p.id)).length;
+  const selectAll = document.getElementById('batchSelectAll');
+  selectAll.disabled = !listedPrompts.length;
+  selectAll.checked = listedPrompts.length > 0 && listedCount === listedPrompts.length;
+  selectAll.indeterminate = listedCount > 0 && listedCount < listedPrompts.length;
+  
+  const folderOptions = currentFolders
+    .map(folder => ({ id: folder.id, path: getFolderPath(folder.id).map(f => f.name).join(' › ') }))
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .map(folder => `<option value="${folder.id}">${escapeHtml(folder.path)}</option>`);
+  document.getElementById('batchFolder').innerHTML = [
+    '<option value="">Move to folder…</option>',
+    '<option value="top">Top level</option>',
+    ...folderOptions
+  ].join('');
+  
+  bar.querySelectorAll('#batchExportBtn, #batchDeleteBtn, #batchAddTagBtn, #batchRemoveTagBtn, #batchFolder').forEach(control => {
+    control.disabled = !selected.length;
+  });
+}
+
+async function batchDelete() {
+  const selected = getSelectedPrompts();
+  if (!selected.length) return;
+  if (!confirm(`Delete ${selected.length} prompt${selected.length === 1 ? '' : 's'}?`)) return;
+  
+  const promptIds = selected.map(p => p.id);
+  const count = `${promptIds.length} prompt${promptIds.length === 1 ? '' : 's'}`;
+  try {
+    // Remove from local storage first
+    currentPrompts = currentPrompts.filter(p => !promptIds.includes(p.id));
+    await saveToStorage(currentPrompts);
+    for (const promptId of promptIds) {
+      if (getArmedSlot(promptId)) {
+        await setArmedSlot(promptId, 0);
+      }
+    }
+    selectedIds.clear();
+    handleSearch();
+    
+    // Then remove them from Google Drive in one write, queueing it if Drive can't be reached
+    const synced = await pushToDrive({ type: 'deleteMany', promptIds });
+    if (synced) {
+      showToast(`Deleted ${count} from ${storageLabel}`);
+    } else if (synced === false) {
+      showToast(`Deleted ${count} locally. They will sync when ${storageLabel} is reachable.`);
+    }
+  } catch (error) {
+    console.error('Error deleting prompts:', error);
+    showToast('Failed to delete prompts');
+  }
+}
+
+// Add a tag to every selected prompt, or remove it from them
+async function batchTag(add) {
+  const input = document.getElementById('batchTag');
+  const tag = (input?.value || '').replace(/,/g, ' ').trim();
+  if (!tag) {
+    showToast('Enter a tag first');
+    input?.focus();
+    return;
+  }
+  
+  const updates = {};
+  getSelectedPrompts().forEach(prompt => {
+    const tags = prompt.tags || [];
+    const hasTag = tags.some(t => t.toLowerCase() === tag.toLowerCase());
+    if (add !== hasTag) {
+      updates[prompt.id] = { tags: add ? [...tags, tag] : tags.filter(t => t.toLowerCase() !== tag.toLowerCase()) };
+    }
+  });
+  
+  const changed = Object.keys(updates).length;
+  if (!changed) {
+    showToast(add ? `Every selected prompt is already tagged "${tag}"` : `No selected prompt is tagged "${tag}"`);
+    return;
+  }
+  
+  const count = `${changed} prompt${changed === 1 ? '' : 's'}`;
+  try {
+    const updatedAt = new Date().toISOString();
+    currentPrompts = currentPrompts.map(p => (updates[p.id] ? { ...p, ...updates[p.id], updatedAt } : p));
+    await saveToStorage(currentPrompts);
+    input.value = '';
+    handleSearch();
+    
+    // One write updates every prompt on Google Drive
+    const synced = await pushToDrive({ type: 'updateMany', updates });
+    if (synced) {
+      showToast(`${add ? 'Tagged' : 'Untagged'} ${count} in ${storageLabel}`);
+    } else if (synced === false) {
+      showToast(`${add ? 'Tagged' : 'Untagged'} ${count} locally. They will sync when ${storageLabel} is reachable.`);
+    }
+  } catch (error) {
+    console.error('Error updating tags:', error);
+    showToast('Failed to update tags');
+  }
+}
+
+async function batchMove(folderId) {
+  const moved = getSelectedPrompts().filter(prompt => resolveFolderId(prompt.folderId) !== folderId);
+  // Like single moves, they stay unordered until they're dragged into place
+  moved.forEach(prompt => {
+    setPromptFolder(prompt, folderId);
+    delete prompt.order;
+  });
+  
+  if (!moved.length) {
+    renderBatchBar();
+    return;
+  }
+  await saveLayout(`Moved ${moved.length} prompt${moved.length === 1 ? '' : 's'} to ${folderId === null ? 'the top level' : `"${findFolder(folderId).name}"`}`);
+}
+
+function batchExport() {
+  const selected = getSelectedPrompts();
+  if (!selected.length) return;
+  downloadPrompts(selected, `Exported ${selected.length} prompt${selected.length === 1 ? '' : 's'}`);
+}
+
+async function loadEncryptionStatus() {
+  try {
+    encryptionStatus = await sendToBackground('getEncryptionStatus');
+  } catch (error) {
+    console.error('Failed to load encryption status:', error);
+  }
+  renderLockBanner();
+}
+
+function renderLockBanner() {
+  const banner = document.getElementById('lockBanner');
+  if (banner) {
+    banner.style.display = encryptionStatus.enabled && !encryptionStatus.unlocked ? 'flex' : 'none';
+  }
+}
+
+// The synced copy is encrypted and this session has no key for it; the cache stays usable
+function showEncryptionLocked() {
+  encryptionStatus = { ...encryptionStatus, enabled: true, unlocked: false };
+  renderLockBanner();
+  showAuthStatus('success');
+}
+
+// Show the form that fits: set up, unlock, or change the passphrase
+function openEncryptionModal() {
+  const modal = document.getElementById('encryptionModal');
+  if (!modal) return;
+  
+  const mode = !encryptionStatus.enabled ? 'Setup' : encryptionStatus.unlocked ? 'Change' : 'Unlock';
+  ['Setup', 'Unlock', 'Change'].forEach(name => {
+    const form = document.getElementById(`encryption${name}Form`);
+    if (form) form.style.display = name === mode ? 'block' : 'none';
+  });
+  
+  modal.style.display = 'block';
+  modal.setAttribute('aria-hidden', 'false');
+  document.querySelector(`#encryption${mode}Form input`)?.focus();
+}
+
+function closeEncryptionModal() {
+  const modal = document.getElementById('encryptionModal');
+  if (!modal) return;
+  
+  modal.style.display = 'none';
+  modal.setAttribute('aria-hidden', 'true');
+  // Never leave passphrases sitting in the DOM
+  modal.querySelectorAll('form').forEach(form => form.reset());
+}
+
+// Send an encryption action; the background syncs right after, so apply what it returns
+async function runEncryptionAction(action, payload, successMessage) {
+  const submitButtons = document.querySelectorAll('#encryptionModal button[type="submit"]');
+  submitButtons.forEach(button => { button.disabled = true; });
+  try {
+    const result = await sendToBackground(action, payload);
+    encryptionStatus = result.encryption || encryptionStatus;
+    if (result.prompts) {
+      applySyncResult(result);
+    }
+    renderLockBanner();
+    closeEncryptionModal();
+    showToast(successMessage);
+  } catch (error) {
+    console.error(`Encryption action ${action} failed:`, error);
+    showToast(error.message);
+  } finally {
+    submitButtons.forEach(button => { button.disabled = false; });
+  }
+}
+
+async function submitEncryptionSetup() {
+  const passphrase = document.getElementById('setupPassphrase')?.value || '';
+  if (passphrase !== document.getElementById('setupPassphraseConfirm')?.value) {
+    showToast('The passphrases don\'t match');
+    return;
+  }
+  await runEncryptionAction('enableEncryption', { passphrase }, 'Encryption is on');
+}
+
+async function submitEncryptionUnlock() {
+  const passphrase = document.getElementById('unlockPassphrase')?.value || '';
+  await runEncryptionAction('unlockEncryption', { passphrase }, 'Unlocked for this session');
+}
+
+async function submitPassphraseChange() {
+  const currentPassphrase = document.getElementById('currentPassphrase')?.value || '';
+  const newPassphrase = document.getElementById('newPassphrase')?.value || '';
+  if (newPassphrase !== document.getElementById('newPassphraseConfirm')?.value) {
+    showToast('The new passphrases don\'t match');
+    return;
+  }
+  await runEncryptionAction('changePassphrase', { currentPassphrase, newPassphrase }, 'Passphrase changed');
+}
+
+async function lockEncryption() {
+  try {
+    encryptionStatus = await sendToBackground('lockEncryption');
+    renderLockBanner();
+    closeEncryptionModal();
+    showToast('Locked. Sync pauses until you unlock again.');
+  } catch (error) {
+    console.error('Failed to lock encryption:', error);
+    showToast('Failed to lock');
+  }
+}
+
+function getLibrary(id) {
+  return attachedLibraries.find(l => l.id === id) || null;
+}
+
+// The personal collection (null) is always writable
+function isWritable(libraryId) {
+  return !libraryId || getLibrary(libraryId)?.mode === 'read-write';
+}
+
+function getPromptList(libraryId) {
+  if (!libraryId) return currentPrompts;
+  if (!libraryPrompts[libraryId]) libraryPrompts[libraryId] = [];
+  return libraryPrompts[libraryId];
+}
+
+function setPromptList(libraryId, prompts) {
+  if (libraryId) {
+    libraryPrompts[libraryId] = prompts;
+  } else {
+    currentPrompts = prompts;
+  }
+}
+
+async function savePromptList(libraryId) {
+  if (libraryId) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.LIBRARY_PROMPTS]: libraryPrompts });
+  } else {
+    await saveToStorage(currentPrompts);
+  }
+}
+
+// Personal prompts followed by every attached library's
+function getAllPrompts() {
+  return [...currentPrompts, ...attachedLibraries.flatMap(l => getPromptList(l.id))];
+}
+
+// Extra outbox fields that send an operation to a library's Drive file
+function libraryOperation(libraryId) {
+  return libraryId ? { libraryId } : {};
+}
+
+// Badges only show once there is more than one place a prompt can come from
+function renderLibraryBadge(libraryId) {
+  if (!attachedLibraries.length) return '';
+  const library = getLibrary(libraryId);
+  return library
+    ? `<span class="library-badge shared" title="Shared library">${escapeHtml(library.name)}</span>`
+    : '<span class="library-badge">Personal</span>';
+}
+
+function openLibrariesModal() {
+  const modal = document.getElementById('librariesModal');
+  if (!modal) return;
+  
+  renderLibrariesList();
+  modal.style.display = 'block';
+  modal.setAttribute('aria-hidden', 'false');
+  document.getElementById('libraryDriveId')?.focus();
+}
+
+function closeLibrariesModal() {
+  const modal = document.getElementById('librariesModal');
+  if (!modal) return;
+  
+  modal.style.display = 'none';
+  modal.setAttribute('aria-hidden', 'true');
+  document.getElementById('libraryForm')?.reset();
+}
+
+function renderLibrariesList() {
+  const list = document.getElementById('librariesList');
+  if (!list) return;
+  
+  if (!attachedLibraries.length) {
+    list.innerHTML = '<li>No libraries attached yet. Paste a link to a shared Drive folder below.</li>';
+    return;
+  }
+  
+  list.innerHTML = attachedLibraries.map(l => `
+    <li data-library-id="${escapeAttribute(l.id)}">
+      <span>
+        <strong>${escapeHtml(l.name)}</strong>
+        <span class="library-mode">${l.mode === 'read-write' ? 'Read-write' : 'Read-only'}</span>
+        ${l.error ? `<br><span class="library-error">${escapeHtml(l.error)}</span>` : ''}
+      </span>
+      <button type="button" class="detach-library" aria-label="Detach library ${escapeAttribute(l.name)}">Detach</button>
+    </li>
+  `).join('');
+}
+
+function applyLibraryState(result) {
+  attachedLibraries = result.libraries || [];
+  libraryPrompts = result.libraryPrompts || {};
+  if (result.pending !== undefined) {
+    updatePendingCount(result.pending);
+  }
+  renderLibrariesList();
+  handleSearch();
+}
+
+async function submitLibraryForm() {
+  const driveId = document.getElementById('libraryDriveId')?.value.trim() || '';
+  const name = document.getElementById('libraryName')?.value.trim() || '';
+  const mode = document.getElementById('libraryMode')?.value || 'read-only';
+  const submitBtn = document.getElementById('librarySubmitBtn');
+  
+  if (!driveId) {
+    showToast('Enter a Drive folder or file ID');
+    return;
+  }
+  
+  if (submitBtn) submitBtn.disabled = true;
+  try {
+    applyLibraryState(await sendToBackground('attachLibrary', { library: { name, driveId, mode } }));
+    document.getElementById('libraryForm')?.reset();
+    showToast('Library attached');
+  } catch (error) {
+    console.error('Failed to attach library:', error);
+    showToast(`Failed to attach library: ${error.message}`);
+  } finally {
+    if (submitBtn) submitBtn.disabled = false;
+  }
+}
+
+async function librariesListClickHandler(e) {
+  const button = e.target.closest('.detach-library');
+  if (!button) return;
+  
+  const library = getLibrary(button.closest('li').dataset.libraryId);
+  if (!library || !confirm(`Detach "${library.name}"? Its prompts stay in Google Drive.`)) return;
+  
+  try {
+    applyLibraryState(await sendToBackground('detachLibrary', { libraryId: library.id }));
+    showToast('Library detached');
+  } catch (error) {
+    console.error('Failed to detach library:', error);
+    showToast('Failed to detach library');
+  }
+}
+
+function renderConflicts(conflicts) {
+  currentConflicts = conflicts || [];
+  const container = document.getElementById('conflicts');
+  if (!container) return;
+  
+  if (!currentConflicts.length) {
+    container.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+  
+  const describe = (record) => record.deleted
+    ? '<p class="conflict-deleted">Deleted</p>'
+    : `<pre>${escapeHtml(record.text)}</pre>`;
+  
+  container.innerHTML = `
+    <div class="conflicts-header">${currentConflicts.length} sync conflict${currentConflicts.length === 1 ? '' : 's'}</div>
+    ${currentConflicts.map(c => `
+      <div class="conflict" data-id="${escapeAttribute(String(c.id))}">
+        <div class="conflict-title">${escapeHtml((c.local.deleted ? c.remote.name : c.local.name) || 'Untitled prompt')}</div>
+        <details>
+          <summary>This device</summary>
+          ${describe(c.local)}
+        </details>
+        <details>
+          <summary>${escapeHtml(storageLabel)}</summary>
+          ${describe(c.remote)}
+        </details>
+        <div class="conflict-actions">
+          <button data-choice="local">Keep mine</button>
+          <button data-choice="remote">Keep theirs</button>
+          <button data-choice="both">Keep both</button>
+        </div>
+      </div>
+    `).join('')}
+  `;
+  container.style.display = 'block';
+}
+
+async function conflictsClickHandler(e) {
+  const button = e.target.closest('button[data-choice]');
+  const conflictEl = e.target.closest('.conflict');
+  if (!button || !conflictEl) return;
+  
+  const conflict = currentConflicts.find(c => String(c.id) === conflictEl.dataset.id);
+  if (!conflict) return;
+  
+  try {
+    const result = await sendToBackground('resolveConflict', {
+      promptId: conflict.id,
+      choice: button.dataset.choice
+    });
+    applySyncResult(result);
+    showToast(result.synced ? 'Conflict resolved' : `Conflict resolved locally. Sync with ${storageLabel} failed.`);
+  } catch (error) {
+    console.error('Failed to resolve conflict:', error);
+    showToast('Failed to resolve conflict');
+  }
+}
+
+async function listClickHandler(e) {
+  const card = e.target.closest('.card');
+  if (!card) return;
+  
+  const id = Number(card.dataset.id);
+  const libraryId = card.dataset.libraryId || null;
+  const prompt = getPromptList(libraryId).find(x => x.id === id);
+  if (!prompt) return;
+
+  // Handle expand/collapse click
+  if (e.target.closest('.card-expand')) {
+    return; // This is handled separately in renderList
+  }
+
+  // The shortcut picker and select mode checkboxes are handled by listChangeHandler
+  if (e.target.closest('.card-slot') || e.target.closest('.card-select')) {
+    return;
+  }
+  
+  if (e.target.closest('.card-favorite')) {
+    await toggleFavorite(prompt);
+    return;
+  }
 
   // Handle card header click to expand/collapse
   if (e.target.closest('.card-header') && !e.target.closest('.card-expand')) {
@@ -488,38 +2123,557 @@ async function listClickHandler(e) {
     return;
   }
 
-  if (e.target.classList.contains('copy')) {
-    await copyText(prompt.text);
-  } else if (e.target.classList.contains('insert')) {
-    await setPendingInsert(prompt.text);
-  } else if (e.target.classList.contains('delete')) {
-    if (confirm('Are you sure you want to delete this prompt?')) {
-      try {
-        // Remove from local storage first
-        currentPrompts = currentPrompts.filter(p => p.id !== id);
-        await saveToStorage(currentPrompts);
-        handleSearch();
-        
-        // Then remove from Google Drive if available
-        if (driveAPI) {
-          try {
-            await driveAPI.deletePrompt(id);
-            showToast('Prompt deleted from Google Drive');
-          } catch (driveError) {
-            console.error('Failed to delete from Google Drive:', driveError);
-            showToast('Prompt deleted locally. Google Drive sync failed.');
-          }
-        } else {
-          showToast('Prompt deleted locally. Google Drive not available.');
-        }
-      } catch (error) {
-        console.error('Error deleting prompt:', error);
-        showToast('Failed to delete prompt');
+  if (e.target.classList.contains('copy')) {
+    await usePrompt(prompt, 'copy');
+  } else if (e.target.classList.contains('insert')) {
+    // Shift-click also submits the message on chat apps with a site adapter
+    await usePrompt(prompt, e.shiftKey ? 'send' : 'insert');
+  } else if (e.target.classList.contains('edit')) {
+    openModal(prompt);
+  } else if (e.target.classList.contains('card-history')) {
+    await openHistoryModal(prompt);
+  } else if (e.target.classList.contains('delete')) {
+    if (confirm('Are you sure you want to delete this prompt?')) {
+      try {
+        // Remove from local storage first
+        setPromptList(libraryId, getPromptList(libraryId).filter(p => p.id !== id));
+        await savePromptList(libraryId);
+        if (!libraryId && getArmedSlot(id)) {
+          await setArmedSlot(id, 0);
+        }
+        handleSearch();
+        
+        // Then remove from Google Drive, queueing the change if it can't be reached
+        const synced = await pushToDrive({ type: 'delete', promptId: id, ...libraryOperation(libraryId) });
+        if (synced) {
+          showToast(`Prompt deleted from ${storageLabel}`);
+        } else if (synced === false) {
+          showToast(`Prompt deleted locally. It will sync when ${storageLabel} is reachable.`);
+        }
+      } catch (error) {
+        console.error('Error deleting prompt:', error);
+        showToast('Failed to delete prompt');
+      }
+    }
+  }
+}
+
+// Starring is saved like an edit, so favorites follow the prompt to other devices
+async function toggleFavorite(prompt) {
+  const favorite = !prompt.favorite;
+  prompt.favorite = favorite;
+  try {
+    await saveToStorage(currentPrompts);
+    handleSearch();
+  } catch (error) {
+    console.error('Failed to save favorite:', error);
+    showToast('Failed to save favorite');
+    return;
+  }
+  
+  if (await pushToDrive({ type: 'update', promptId: prompt.id, changes: { favorite } }) === false) {
+    showToast(`${favorite ? 'Added to' : 'Removed from'} favorites locally. It will sync when ${storageLabel} is reachable.`);
+  }
+}
+
+// Copy or insert a prompt, asking for its template variables first when it has any
+async function usePrompt(prompt, mode) {
+  if (!templateEngine.hasVariables(prompt.text)) {
+    await deliverPromptText(prompt, prompt.text, mode);
+    return;
+  }
+  
+  const builtInValues = await resolveBuiltInVariables(prompt.text);
+  const userVariables = templateEngine.getUserVariables(prompt.text);
+  
+  if (!userVariables.length) {
+    await deliverPromptText(prompt, templateEngine.render(prompt.text, builtInValues), mode);
+    return;
+  }
+  
+  openVariablesModal(prompt, userVariables, builtInValues, mode);
+}
+
+// mode is 'copy', 'insert' or 'send' (insert, then submit the chat message)
+// A use is only counted once the text was copied or inserted
+async function deliverPromptText(prompt, text, mode) {
+  if (mode === 'copy') {
+    if (await copyText(text)) {
+      await recordPromptUse(prompt);
+    }
+    return;
+  }
+
+  if (!await insertIntoActiveTab(text, { submit: mode === 'send' })) return;
+  await recordPromptUse(prompt);
+  if (userSettings.closeAfterInsert) {
+    window.close();
+  } else {
+    showToast('Prompt inserted');
+  }
+}
+
+// Fill {{clipboard}}, {{date}}, {{selection}} and {{url}} from the browser
+async function resolveBuiltInVariables(text) {
+  const values = {};
+  const builtIns = templateEngine.getBuiltInVariables(text);
+  if (!builtIns.length) return values;
+  
+  let tab = null;
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    tab = tabs && tabs[0];
+  } catch (error) {
+    console.error('Failed to query active tab:', error);
+  }
+  
+  for (const variable of builtIns) {
+    try {
+      switch (variable.name.toLowerCase()) {
+        case 'date':
+          values[variable.name] = new Date().toLocaleDateString();
+          break;
+        case 'url':
+          values[variable.name] = tab?.url || '';
+          break;
+        case 'clipboard':
+          values[variable.name] = navigator.clipboard && navigator.clipboard.readText
+            ? await navigator.clipboard.readText()
+            : '';
+          break;
+        case 'selection':
+          values[variable.name] = tab ? await getPageSelection(tab.id) : '';
+          break;
+      }
+    } catch (error) {
+      console.error(`Failed to resolve {{${variable.name}}}:`, error);
+      values[variable.name] = '';
+    }
+  }
+  
+  return values;
+}
+
+async function getPageSelection(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => {
+      // Selections inside inputs and textareas are not part of window.getSelection()
+      const el = document.activeElement;
+      if (el && 'value' in el && typeof el.selectionStart === 'number') {
+        return el.value.substring(el.selectionStart, el.selectionEnd);
+      }
+      return window.getSelection ? window.getSelection().toString() : '';
+    }
+  });
+  return (results && results[0] && results[0].result) || '';
+}
+
+// Names, choices and defaults come from the prompt text, so they're set as properties rather
+// than written into the markup
+function createVariableField(variable, index) {
+  const group = document.createElement('div');
+  group.className = 'form-group';
+
+  const label = document.createElement('label');
+  label.htmlFor = `var-${index}`;
+  label.textContent = variable.name;
+
+  let input;
+  if (variable.choices.length) {
+    input = document.createElement('select');
+    input.append(...variable.choices.map(choice => new Option(choice, choice)));
+  } else {
+    input = document.createElement('input');
+    input.type = 'text';
+    input.value = variable.defaultValue;
+  }
+  input.id = `var-${index}`;
+  input.dataset.name = variable.name;
+
+  group.append(label, input);
+  return group;
+}
+
+function openVariablesModal(prompt, variables, builtInValues, mode) {
+  const modal = document.getElementById('variablesModal');
+  const fields = document.getElementById('variablesFields');
+  if (!modal || !fields) return;
+  
+  pendingTemplate = { prompt, builtInValues, mode };
+  
+  const title = document.getElementById('variables-title');
+  if (title) title.textContent = prompt.name;
+  const submitBtn = document.getElementById('variablesSubmitBtn');
+  if (submitBtn) submitBtn.textContent = { copy: 'Copy', insert: 'Insert', send: 'Insert & Send' }[mode];
+  
+  fields.replaceChildren(...variables.map(createVariableField));
+  
+  modal.style.display = 'block';
+  modal.setAttribute('aria-hidden', 'false');
+  fields.querySelector('input, select')?.focus();
+}
+
+function closeVariablesModal() {
+  const modal = document.getElementById('variablesModal');
+  if (modal) {
+    modal.style.display = 'none';
+    modal.setAttribute('aria-hidden', 'true');
+  }
+  const fields = document.getElementById('variablesFields');
+  if (fields) {
+    fields.innerHTML = '';
+  }
+  pendingTemplate = null;
+}
+
+async function submitVariablesForm() {
+  if (!pendingTemplate) return;
+  
+  const { prompt, builtInValues, mode } = pendingTemplate;
+  const values = { ...builtInValues };
+  document.querySelectorAll('#variablesFields [data-name]').forEach(field => {
+    values[field.dataset.name] = field.value;
+  });
+  
+  closeVariablesModal();
+  await deliverPromptText(prompt, templateEngine.render(prompt.text, values), mode);
+}
+
+// The service worker batches uses and syncs them with the next sync
+async function recordPromptUse(prompt) {
+  try {
+    const result = await sendToBackground('recordUsage', { promptId: prompt.id, libraryId: prompt.libraryId || null });
+    usageState = result.usage;
+  } catch (error) {
+    console.error('Failed to record prompt usage:', error);
+  }
+}
+
+async function openHistoryModal(prompt) {
+  const modal = document.getElementById('historyModal');
+  if (!modal) return;
+  
+  // The saved revisions, plus the prompt as it is now if that was never recorded
+  const entries = [...await promptHistory.getRevisions(prompt.id)];
+  const current = promptHistory.createRevision(prompt);
+  if (!entries.length || !promptHistory.sameContent(entries[0], current)) {
+    entries.unshift(current);
+  }
+  entries[0] = { ...entries[0], current: true };
+  historyState = { prompt, entries };
+  
+  const title = document.getElementById('history-title');
+  if (title) title.textContent = `History: ${prompt.name}`;
+  
+  const options = entries.map((entry, index) =>
+    `<option value="${index}">${escapeHtml(formatRevisionLabel(entry))}</option>`
+  ).join('');
+  const fromSelect = document.getElementById('historyFrom');
+  const toSelect = document.getElementById('historyTo');
+  fromSelect.innerHTML = options;
+  toSelect.innerHTML = options;
+  // Start with what the last save changed
+  fromSelect.value = String(Math.min(1, entries.length - 1));
+  toSelect.value = '0';
+  
+  document.getElementById('historyList').innerHTML = entries.map((entry, index) => `
+    <li class="history-item">
+      <span>${escapeHtml(formatRevisionLabel(entry))}</span>
+      ${entry.current
+        ? '<span class="history-current">Current version</span>'
+        : `<button type="button" data-index="${index}">Restore</button>`}
+    </li>
+  `).join('');
+  
+  renderHistoryDiff();
+  modal.style.display = 'block';
+  modal.setAttribute('aria-hidden', 'false');
+}
+
+function closeHistoryModal() {
+  const modal = document.getElementById('historyModal');
+  if (modal) {
+    modal.style.display = 'none';
+    modal.setAttribute('aria-hidden', 'true');
+  }
+  historyState = null;
+}
+
+function formatRevisionLabel(entry) {
+  const date = new Date(entry.savedAt);
+  const when = isNaN(date) ? 'Unknown date' : date.toLocaleString();
+  return entry.current ? `${when} (current)` : when;
+}
+
+function renderHistoryDiff() {
+  const diffEl = document.getElementById('historyDiff');
+  if (!historyState || !diffEl) return;
+  
+  const from = historyState.entries[Number(document.getElementById('historyFrom').value)];
+  const to = historyState.entries[Number(document.getElementById('historyTo').value)];
+  
+  const lines = [];
+  if (from.name !== to.name) {
+    lines.push(`<span class="diff-meta">Name: ${escapeHtml(from.name)} → ${escapeHtml(to.name)}</span>`);
+  }
+  if ((from.tags || []).join(', ') !== (to.tags || []).join(', ')) {
+    lines.push(`<span class="diff-meta">Tags: ${escapeHtml((from.tags || []).join(', ') || 'none')} → ${escapeHtml((to.tags || []).join(', ') || 'none')}</span>`);
+  }
+  
+  const prefixes = { same: '  ', added: '+ ', removed: '- ' };
+  promptHistory.diffLines(from.text, to.text).forEach(({ type, line }) => {
+    lines.push(`<span class="diff-${type}">${prefixes[type]}${escapeHtml(line)}</span>`);
+  });
+  diffEl.innerHTML = lines.join('');
+}
+
+async function historyListClickHandler(e) {
+  const button = e.target.closest('button[data-index]');
+  if (!button || !historyState) return;
+  
+  const { prompt, entries } = historyState;
+  const revision = entries[Number(button.dataset.index)];
+  closeHistoryModal();
+  
+  // Restoring is a normal edit, so it gets its own revision and can be undone the same way
+  await updateExistingPrompt(prompt.id, {
+    name: revision.name,
+    text: revision.text,
+    tags: revision.tags || []
+  });
+}
+
+async function openBackupsModal() {
+  const modal = document.getElementById('backupsModal');
+  if (!modal) return;
+  
+  modal.style.display = 'block';
+  modal.setAttribute('aria-hidden', 'false');
+  await showBackupsList();
+}
+
+function closeBackupsModal() {
+  const modal = document.getElementById('backupsModal');
+  if (modal) {
+    modal.style.display = 'none';
+    modal.setAttribute('aria-hidden', 'true');
+  }
+  backupState = null;
+}
+
+async function showBackupsList() {
+  backupState = null;
+  document.getElementById('backupPreview').style.display = 'none';
+  document.getElementById('backupsBrowser').style.display = 'block';
+  
+  const list = document.getElementById('backupsList');
+  list.innerHTML = '<li class="history-item">Loading backups...</li>';
+  try {
+    const { backups, copiesError } = await sendToBackground('listBackups');
+    const items = backups.map(backup => `
+      <li class="history-item">
+        <span>
+          ${escapeHtml(formatBackupLabel(backup))}<br>
+          <span class="history-current">${escapeHtml(formatBackupDetails(backup))}</span>
+        </span>
+        <button type="button" data-source="${escapeAttribute(backup.source)}" data-backup-id="${escapeAttribute(String(backup.id))}">Preview</button>
+      </li>
+    `);
+    if (copiesError) {
+      items.push(`<li class="history-item library-error">Daily copies in ${escapeHtml(storageLabel)} couldn't be listed: ${escapeHtml(copiesError)}</li>`);
+    }
+    list.innerHTML = items.join('') || '<li class="history-item">No backups yet. One is saved after the next sync.</li>';
+  } catch (error) {
+    console.error('Failed to list backups:', error);
+    list.innerHTML = `<li class="history-item library-error">Failed to list backups: ${escapeHtml(error.message)}</li>`;
+  }
+}
+
+function formatBackupLabel(backup) {
+  const date = new Date(backup.createdAt);
+  if (isNaN(date)) return 'Unknown date';
+  // Daily copies only carry the day they were written
+  return backup.source === 'remote' ? date.toLocaleDateString(undefined, { timeZone: 'UTC' }) : date.toLocaleString();
+}
+
+function formatBackupDetails(backup) {
+  const where = backup.source === 'remote' ? `Daily copy in ${storageLabel}` : 'This browser';
+  if (backup.promptCount === undefined) return where;
+  return `${where} · ${backup.promptCount} prompt${backup.promptCount === 1 ? '' : 's'}` +
+    (backup.folderCount ? `, ${backup.folderCount} folder${backup.folderCount === 1 ? '' : 's'}` : '');
+}
+
+async function backupsListClickHandler(e) {
+  const button = e.target.closest('button[data-backup-id]');
+  if (!button) return;
+  
+  const { source, backupId } = button.dataset;
+  button.disabled = true;
+  try {
+    // Snapshot IDs are IndexedDB keys, copies are file names
+    const id = source === 'local' ? Number(backupId) : backupId;
+    const { backup } = await sendToBackground('getBackup', { source, backupId: id });
+    backupState = { source, id, backup: { ...backup, source } };
+    renderBackupPreview();
+  } catch (error) {
+    console.error('Failed to open backup:', error);
+    showToast(`Failed to open backup: ${error.message}`);
+    button.disabled = false;
+  }
+}
+
+// The prompts of the open backup, each compared with the prompt as it is now
+function renderBackupPreview() {
+  if (!backupState) return;
+  
+  const { backup } = backupState;
+  const current = new Map(currentPrompts.map(p => [String(p.id), p]));
+  const prompts = backup.records.filter(record => record.kind !== 'folder');
+  const backupIds = new Set(prompts.map(p => String(p.id)));
+  const addedSince = currentPrompts.filter(p => !backupIds.has(String(p.id))).length;
+  
+  document.getElementById('backupSummary').textContent =
+    `${formatBackupLabel(backup)}: ${formatBackupDetails(backup)}.` +
+    (addedSince ? ` Restoring everything deletes the ${addedSince} prompt${addedSince === 1 ? '' : 's'} added since.` : '');
+  
+  document.getElementById('backupPrompts').innerHTML = prompts.map(prompt => {
+    const now = current.get(String(prompt.id));
+    const unchanged = now && promptHistory.sameContent(now, prompt);
+    const status = !now ? 'Deleted since' : unchanged ? 'Same as now' : 'Changed since';
+    return `
+      <li class="import-item${now ? '' : ' duplicate'}">
+        <div>
+          <div class="import-item-name">${escapeHtml(prompt.name)}</div>
+          <div class="import-item-status">${status}</div>
+          <div class="card-snippet">${escapeHtml(prompt.text)}</div>
+        </div>
+        ${unchanged ? '' : `<button type="button" class="btn btn-secondary" data-prompt-id="${escapeAttribute(String(prompt.id))}">Restore</button>`}
+      </li>
+    `;
+  }).join('') || '<li class="import-item">This backup has no prompts.</li>';
+  
+  document.getElementById('backupsBrowser').style.display = 'none';
+  document.getElementById('backupPreview').style.display = 'block';
+}
+
+async function backupPromptsClickHandler(e) {
+  const button = e.target.closest('button[data-prompt-id]');
+  if (!button || !backupState) return;
+  
+  const prompt = backupState.backup.records.find(record => String(record.id) === button.dataset.promptId);
+  if (prompt) {
+    await restoreBackup([prompt.id]);
+  }
+}
+
+// Restore the open backup, or only the prompts with the given IDs
+async function restoreBackup(promptIds) {
+  if (!backupState) return;
+  if (!promptIds && !confirm('Replace all your prompts and folders with this backup? Prompts added since will be deleted.')) return;
+  
+  const buttons = document.querySelectorAll('#backupPreview button');
+  buttons.forEach(button => { button.disabled = true; });
+  try {
+    const result = await sendToBackground('restoreBackup', {
+      source: backupState.source,
+      backupId: backupState.id,
+      promptIds
+    });
+    applySyncResult(result);
+    if (promptIds) {
+      renderBackupPreview();
+      showToast('Prompt restored');
+    } else {
+      closeBackupsModal();
+      showToast('Backup restored');
+    }
+  } catch (error) {
+    console.error('Failed to restore backup:', error);
+    if (error.name === 'EncryptionLockedError') {
+      showEncryptionLocked();
+    }
+    showToast(`Failed to restore backup: ${error.message}`);
+  } finally {
+    buttons.forEach(button => { button.disabled = false; });
+  }
+}
+
+async function loadArmedPrompts() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.ARMED_PROMPTS]);
+  armedPrompts = result[STORAGE_KEYS.ARMED_PROMPTS] || {};
+  
+  // Show the keys the user actually bound in chrome://extensions/shortcuts
+  try {
+    const commands = await chrome.commands.getAll();
+    shortcutLabels = {};
+    commands.forEach(command => {
+      const slot = SHORTCUT_SLOTS[command.name];
+      if (slot) {
+        shortcutLabels[slot] = command.shortcut || '';
       }
+    });
+  } catch (error) {
+    console.error('Failed to read keyboard shortcuts:', error);
+  }
+}
+
+function getArmedSlot(promptId) {
+  const entry = Object.entries(armedPrompts).find(([, id]) => id === promptId);
+  return entry ? Number(entry[0]) : 0;
+}
+
+function renderSlotPicker(prompt) {
+  const armedSlot = getArmedSlot(prompt.id);
+  const options = Object.values(SHORTCUT_SLOTS).map(slot => {
+    const keys = shortcutLabels[slot] ? shortcutLabels[slot] : 'not set';
+    return `<option value="${slot}"${slot === armedSlot ? ' selected' : ''}>Shortcut ${slot} (${escapeHtml(keys)})</option>`;
+  }).join('');
+  
+  return `
+    <select class="card-slot" aria-label="Keyboard shortcut for this prompt" title="Insert this prompt with a keyboard shortcut">
+      <option value="0"${armedSlot ? '' : ' selected'}>No shortcut</option>
+      ${options}
+    </select>
+  `;
+}
+
+async function listChangeHandler(e) {
+  if (e.target.classList.contains('card-select')) {
+    setSelected(Number(e.target.closest('.card').dataset.id), e.target.checked);
+    return;
+  }
+  if (!e.target.classList.contains('card-slot')) return;
+  
+  const card = e.target.closest('.card');
+  if (!card) return;
+  
+  const id = Number(card.dataset.id);
+  const slot = Number(e.target.value);
+  
+  try {
+    await setArmedSlot(id, slot);
+    handleSearch();
+    
+    if (slot) {
+      const keys = shortcutLabels[slot];
+      showToast(keys ? `Press ${keys} to insert this prompt` : `Armed for shortcut ${slot}. Bind a key in chrome://extensions/shortcuts`);
+    } else {
+      showToast('Shortcut removed');
     }
+  } catch (error) {
+    console.error('Failed to arm prompt:', error);
+    showToast('Failed to set shortcut');
   }
 }
 
+// Arm a prompt for a shortcut slot (0 disarms it)
+async function setArmedSlot(promptId, slot) {
+  const result = await sendToBackground('armPrompt', { promptId, slot });
+  armedPrompts = result.armedPrompts;
+}
+
+// Resolves to whether the text was copied
 async function copyText(text) {
   try {
     if (navigator.clipboard && navigator.clipboard.writeText) {
@@ -537,157 +2691,175 @@ async function copyText(text) {
       ta.remove();
       showToast('Copied to clipboard (fallback)');
     }
+    return true;
   } catch (error) {
     console.error('Failed to copy text:', error);
     showToast('Failed to copy to clipboard');
+    return false;
   }
 }
 
-async function setPendingInsert(text) {
-  // Close the popup first
-  window.close();
-  
-  // Execute the insertion in the active tab
+// The service worker injects the text so it survives the popup closing. Resolves to whether the
+// text went into a field; a page without one gets it on the clipboard instead.
+async function insertIntoActiveTab(text, options = {}) {
   try {
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    const tab = tabs && tabs[0];
-    if (!tab) {
-      return;
+    const { inserted, method } = await sendToBackground('insertText', { text, options });
+    if (!inserted) {
+      showToast(method === 'clipboard' ? 'No text field found; prompt copied to clipboard' : 'Failed to insert prompt');
     }
-    
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: insertTextIntoPage,
-      args: [text]
-    });
+    return inserted;
   } catch (error) {
     console.error('Failed to insert prompt:', error);
     showToast('Failed to insert prompt');
-  }
-}
-
-// Function to be injected into the page
-function insertTextIntoPage(insertText) {
-  function tryInsert(targetEl) {
-    if (!targetEl) return false;
-    
-    // Handle contenteditable elements
-    if (targetEl.isContentEditable) {
-      targetEl.focus();
-      if (window.getSelection && window.getSelection().rangeCount > 0) {
-        const selection = window.getSelection();
-        const range = selection.getRangeAt(0);
-        range.deleteContents();
-        range.insertNode(document.createTextNode(insertText));
-        range.collapse(false);
-        selection.removeAllRanges();
-        selection.addRange(range);
-      } else {
-        targetEl.innerText = (targetEl.innerText || '') + insertText;
-      }
-      return true;
-    }
-    
-    // Handle input and textarea elements
-    if ('value' in targetEl) {
-      targetEl.focus();
-      const start = targetEl.selectionStart || 0;
-      const end = targetEl.selectionEnd || 0;
-      const currentValue = targetEl.value || '';
-      
-      const newValue = currentValue.substring(0, start) + insertText + currentValue.substring(end);
-      targetEl.value = newValue;
-      
-      targetEl.selectionStart = targetEl.selectionEnd = start + insertText.length;
-      
-      // Trigger input event for React/Vue components
-      targetEl.dispatchEvent(new Event('input', { bubbles: true }));
-      targetEl.dispatchEvent(new Event('change', { bubbles: true }));
-      return true;
-    }
-    
     return false;
   }
-  
-  // Try to insert into the currently focused element first
-  const activeElement = document.activeElement;
-  if (activeElement && tryInsert(activeElement)) {
-    return { success: true, method: 'active-element' };
-  }
-  
-  // Look for common input selectors
-  const selectors = [
-    'textarea[placeholder*="chat"], textarea[placeholder*="message"], textarea[placeholder*="prompt"]',
-    'div[contenteditable="true"][placeholder*="chat"], div[contenteditable="true"][placeholder*="message"]',
-    'input[placeholder*="chat"], input[placeholder*="message"], input[placeholder*="prompt"]',
-    'div[contenteditable="true"]',
-    'textarea',
-    'input[type="text"], input[type="search"]',
-    '[contenteditable="true"]'
-  ];
-  
-  for (const selector of selectors) {
-    const elements = document.querySelectorAll(selector);
-    for (const element of elements) {
-      if (element.offsetParent !== null && !element.disabled && !element.readOnly) {
-        if (tryInsert(element)) {
-          return { success: true, method: 'selector', selector };
-        }
-      }
-    }
-  }
-  
-  // Last resort: copy to clipboard
-  if (navigator.clipboard && navigator.clipboard.writeText) {
-    navigator.clipboard.writeText(insertText).then(() => {
-      const notification = document.createElement('div');
-      notification.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        background: #4CAF50;
-        color: white;
-        padding: 12px 20px;
-        border-radius: 4px;
-        z-index: 10000;
-        font-family: Arial, sans-serif;
-        font-size: 14px;
-        box-shadow: 0 2px 10px rgba(0,0,0,0.2);
-      `;
-      notification.textContent = 'Prompt copied to clipboard!';
-      document.body.appendChild(notification);
-      
-      setTimeout(() => {
-        if (notification.parentNode) {
-          notification.parentNode.removeChild(notification);
-        }
-      }, 3000);
-    }).catch(() => {
-      alert('Prompt copied to clipboard. Please paste it manually.');
-    });
-  } else {
-    alert('Prompt copied to clipboard. Please paste it manually.');
-  }
-  
-  return { success: false, method: 'clipboard' };
 }
 
 async function exportPrompts() {
+  downloadPrompts(currentPrompts, 'Prompts exported successfully');
+}
+
+function downloadPrompts(prompts, successMessage) {
   try {
-    const blob = new Blob([JSON.stringify(currentPrompts, null, 2)], { type: 'application/json' });
+    const blob = new Blob([JSON.stringify(prompts, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
     a.download = `prompts-${new Date().toISOString().split('T')[0]}.json`;
     a.click();
     URL.revokeObjectURL(url);
-    showToast('Prompts exported successfully');
+    showToast(successMessage);
   } catch (error) {
     console.error('Failed to export prompts:', error);
     showToast('Failed to export prompts');
   }
 }
 
+async function handleImportFile(e) {
+  const file = e.target.files && e.target.files[0];
+  // Reset so picking the same file again still fires a change event
+  e.target.value = '';
+  if (!file) return;
+  
+  try {
+    const candidates = importer.parse(await file.text(), file.name);
+    if (!candidates.length) {
+      showToast('No prompts found in that file');
+      return;
+    }
+    openImportModal(file.name, importer.analyze(candidates, currentPrompts));
+  } catch (error) {
+    console.error('Failed to read import file:', error);
+    showToast(`Import failed: ${error.message}`);
+  }
+}
+
+// Show what the import will do before anything is written
+function openImportModal(fileName, entries) {
+  const modal = document.getElementById('importModal');
+  const preview = document.getElementById('importPreview');
+  if (!modal || !preview) return;
+  
+  pendingImport = entries;
+  
+  const valid = entries.filter(entry => !entry.error);
+  const duplicates = valid.filter(entry => entry.duplicateOf);
+  const invalid = entries.length - valid.length;
+  
+  const summary = document.getElementById('importSummary');
+  if (summary) {
+    summary.textContent = `${fileName}: ${valid.length - duplicates.length} new, ${duplicates.length} duplicate${duplicates.length === 1 ? '' : 's'}` +
+      (invalid ? `, ${invalid} invalid (will be skipped)` : '');
+  }
+  const duplicateAll = document.getElementById('importDuplicateAll');
+  if (duplicateAll) duplicateAll.style.display = duplicates.length ? 'block' : 'none';
+  const duplicateMode = document.getElementById('importDuplicateMode');
+  if (duplicateMode) duplicateMode.value = 'skip';
+  const submitBtn = document.getElementById('importSubmitBtn');
+  if (submitBtn) submitBtn.disabled = valid.length === 0;
+  
+  preview.innerHTML = entries.map((entry, index) => {
+    const name = typeof entry.prompt.name === 'string' && entry.prompt.name ? entry.prompt.name : '(untitled)';
+    let status = 'New';
+    let stateClass = '';
+    if (entry.error) {
+      status = entry.error;
+      stateClass = ' invalid';
+    } else if (entry.duplicateOf) {
+      status = `Duplicate of "${entry.duplicateOf.name}"`;
+      stateClass = ' duplicate';
+    }
+    
+    return `
+      <li class="import-item${stateClass}">
+        <div>
+          <div class="import-item-name">${escapeHtml(name)}</div>
+          <div class="import-item-status">${escapeHtml(status)}</div>
+        </div>
+        ${entry.duplicateOf ? `
+          <select data-index="${index}" aria-label="What to do with ${escapeAttribute(name)}">
+            <option value="skip">Skip</option>
+            <option value="overwrite">Overwrite</option>
+            <option value="keep-both">Keep both</option>
+          </select>
+        ` : ''}
+      </li>
+    `;
+  }).join('');
+  
+  modal.style.display = 'block';
+  modal.setAttribute('aria-hidden', 'false');
+}
+
+function closeImportModal() {
+  const modal = document.getElementById('importModal');
+  if (modal) {
+    modal.style.display = 'none';
+    modal.setAttribute('aria-hidden', 'true');
+  }
+  const preview = document.getElementById('importPreview');
+  if (preview) {
+    preview.innerHTML = '';
+  }
+  pendingImport = null;
+}
+
+async function submitImport() {
+  if (!pendingImport) return;
+  
+  const decisions = {};
+  document.querySelectorAll('#importPreview select[data-index]').forEach(select => {
+    decisions[select.dataset.index] = select.value;
+  });
+  
+  const { prompts, summary } = importer.apply(pendingImport, decisions, currentPrompts);
+  closeImportModal();
+  
+  const message = `Imported ${summary.added} new, overwrote ${summary.overwritten}, skipped ${summary.skipped + summary.invalid}`;
+  if (summary.added + summary.overwritten === 0) {
+    showToast(message);
+    return;
+  }
+  
+  try {
+    currentPrompts = prompts;
+    await saveToStorage(currentPrompts);
+    handleSearch();
+    
+    // One sync pushes the whole batch to Google Drive in a single write
+    try {
+      await syncPrompts();
+      showToast(message);
+    } catch (error) {
+      console.error('Failed to sync imported prompts:', error);
+      showToast(`${message}. They will sync when ${storageLabel} is reachable.`);
+    }
+  } catch (error) {
+    console.error('Failed to import prompts:', error);
+    showToast('Failed to import prompts');
+  }
+}
+
 async function refreshPrompts() {
   // Clear search when refreshing
   const searchInput = document.getElementById('searchInput');
@@ -695,11 +2867,6 @@ async function refreshPrompts() {
     searchInput.value = '';
   }
   
-  if (!driveAPI) {
-    showToast('Google Drive not available. Using cached prompts.');
-    return;
-  }
-  
   await loadPrompts();
 }
 
@@ -730,3 +2897,8 @@ function escapeHtml(str) {
   div.textContent = str;
   return div.innerHTML;
 }
+
+// escapeHtml leaves quotes as they are, which is only safe between tags; use this inside attributes
+function escapeAttribute(str) {
+  return escapeHtml(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
@@ -0,0 +1,146 @@
+// schema.js - Versioned format of prompts.json, migrations from older versions and record validation
+'use strict';
+
+// Thrown when prompts.json was written by a newer version of the extension than this one
+class SchemaVersionError extends Error {
+  constructor(version, supportedVersion) {
+    super(`Your prompts were saved by a newer version of Prompt Stash (format ${version}). Update the extension to sync them.`);
+    this.name = 'SchemaVersionError';
+    this.version = version;
+    this.supportedVersion = supportedVersion;
+  }
+}
+
+// prompts.json is an envelope: { schemaVersion, lineage, prompts, quarantine }. Older files are
+// migrated one version at a time when they are read, and records that don't pass validation are
+// moved to the quarantine list instead of failing the whole file. lineage is a random ID given to
+// a file on its first write and kept by every write after it, so a sync can tell a file it synced
+// with before from a new one (see SyncEngine.baseApplies).
+class PromptSchema {
+  constructor(validator) {
+    // Anything with a validatePrompt(prompt, checkLimits) method, e.g. a StorageProvider
+    this.validator = validator;
+    this.CURRENT_VERSION = 2;
+    // Oldest entries are dropped first, so a client writing junk can't grow the file forever
+    this.MAX_QUARANTINE = 200;
+    // Each step turns a document of the keyed version into one of the next version
+    this.MIGRATIONS = {
+      // Version 1 was a bare array of records, with IDs sometimes saved as strings
+      1: records => this.createDocument(records.map(record => this.normalizeRecord(record)))
+    };
+  }
+
+  createDocument(records, quarantine = [], lineage = null) {
+    const document = { schemaVersion: this.CURRENT_VERSION };
+    if (lineage) document.lineage = lineage;
+    document.prompts = records;
+    document.quarantine = quarantine.slice(-this.MAX_QUARANTINE);
+    return document;
+  }
+
+  createLineage() {
+    return crypto.randomUUID();
+  }
+
+  // A bare array is version 1; anything else has to say which version it is
+  getVersion(content) {
+    if (Array.isArray(content)) return 1;
+    if (content && typeof content === 'object' && Number.isInteger(content.schemaVersion)) {
+      return content.schemaVersion;
+    }
+    throw new Error('prompts.json is not a Prompt Stash file');
+  }
+
+  // Bring a document to the current version and set invalid records aside. changed is true when
+  // the result differs from what was read and should be written back.
+  upgrade(content) {
+    let version = this.getVersion(content);
+    if (version > this.CURRENT_VERSION) {
+      throw new SchemaVersionError(version, this.CURRENT_VERSION);
+    }
+
+    let document = content;
+    while (version < this.CURRENT_VERSION) {
+      document = this.MIGRATIONS[version](document);
+      version = document.schemaVersion;
+    }
+
+    // Writing back an envelope without its records would empty the library
+    if (!Array.isArray(document.prompts)) {
+      throw new Error('prompts.json is damaged: it has no list of prompts');
+    }
+
+    const { records, invalid } = this.validate(document.prompts);
+    const quarantine = Array.isArray(document.quarantine) ? document.quarantine : [];
+    return {
+      records,
+      quarantine: [...quarantine, ...invalid].slice(-this.MAX_QUARANTINE),
+      lineage: typeof document.lineage === 'string' ? document.lineage : null,
+      changed: document !== content || invalid.length > 0
+    };
+  }
+
+  // Split records into the ones to keep and quarantine entries for the rest
+  validate(records) {
+    const seen = new Set();
+    const valid = [];
+    const invalid = [];
+    const quarantinedAt = new Date().toISOString();
+
+    records.forEach(record => {
+      let error = this.validateRecord(record);
+      if (!error && seen.has(String(record.id))) {
+        error = 'Another record has the same ID';
+      }
+
+      if (error) {
+        invalid.push({ record, error, quarantinedAt });
+      } else {
+        seen.add(String(record.id));
+        valid.push(record);
+      }
+    });
+    return { records: valid, invalid };
+  }
+
+  validateRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return 'Record must be an object';
+    }
+    // The extension creates numeric IDs and looks records up by number
+    if (typeof record.id !== 'number' || !Number.isFinite(record.id)) {
+      return 'Record ID must be a number';
+    }
+    // Tombstones only carry the ID of the deleted record
+    if (record.deleted) return null;
+
+    if (record.kind === 'folder') {
+      return typeof record.name === 'string' && record.name.trim() ? null : 'Folder name is required';
+    }
+    // Length limits are a setting and may have been lowered since the prompt was saved
+    return this.validator.validatePrompt(record, false);
+  }
+
+  // IDs written as numeric strings back to the numbers the extension creates, comma separated
+  // tags to a list
+  normalizeRecord(record) {
+    if (!record || typeof record !== 'object') return record;
+
+    const normalized = { ...record };
+    ['id', 'folderId', 'parentId'].forEach(key => {
+      if (typeof normalized[key] === 'string' && /^\d+$/.test(normalized[key])) {
+        normalized[key] = Number(normalized[key]);
+      }
+    });
+    if (typeof normalized.tags === 'string') {
+      normalized.tags = normalized.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    return normalized;
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.SchemaVersionError = SchemaVersionError;
+  self.PromptSchema = PromptSchema;
+}
@@ -0,0 +1,336 @@
+// search-index.js - Inverted index for ranked, typo-tolerant prompt search with query operators
+'use strict';
+
+class SearchIndex {
+  constructor() {
+    // A match in the name counts most, then tags, then the prompt text
+    this.FIELD_WEIGHTS = { name: 3, tags: 2, text: 1 };
+    this.FIELD_BITS = { name: 1, tags: 2, text: 4 };
+    // How good a match of a query word is, by kind
+    this.MATCH_QUALITY = { exact: 1, prefix: 0.8, typo: 0.6, typo2: 0.4 };
+    // Fuzzy candidates considered per query word, so a short word can't match half the vocabulary
+    this.MAX_FUZZY_CANDIDATES = 200;
+
+    this.docs = new Map();
+    // token -> Map(docKey -> bitmask of the fields it occurs in)
+    this.postings = new Map();
+    // trigram -> Set(token), to find tokens close to a misspelled word
+    this.trigrams = new Map();
+    // Sorted vocabulary for prefix lookups; rebuilt lazily after changes
+    this.vocabulary = null;
+  }
+
+  // Bring the index up to date with docs: [{ key, prompt, collections }]. Only prompts that are new
+  // or changed since the last call are tokenized again, so calling this on every keystroke is cheap.
+  update(docs) {
+    const seen = new Set();
+    docs.forEach(doc => {
+      seen.add(doc.key);
+      const current = this.docs.get(doc.key);
+      const collectionsKey = doc.collections.join('\u0000');
+      if (current && current.prompt === doc.prompt && current.collectionsKey === collectionsKey) return;
+
+      if (current) this.remove(doc.key);
+      this.add(doc, collectionsKey);
+    });
+
+    [...this.docs.keys()].filter(key => !seen.has(key)).forEach(key => this.remove(key));
+  }
+
+  add({ key, prompt, collections }, collectionsKey) {
+    const tags = (prompt.tags || []).map(tag => this.normalize(tag));
+    const entry = {
+      key,
+      prompt,
+      collectionsKey,
+      collections: collections.map(c => this.normalize(c)),
+      name: this.normalize(prompt.name),
+      text: this.normalize(prompt.text),
+      tags,
+      tokens: new Map()
+    };
+
+    [['name', entry.name], ['tags', tags.join(' ')], ['text', entry.text]].forEach(([field, value]) => {
+      this.tokenize(value).forEach(token => {
+        entry.tokens.set(token, (entry.tokens.get(token) || 0) | this.FIELD_BITS[field]);
+      });
+    });
+
+    entry.tokens.forEach((fields, token) => {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Map());
+        this.trigramsOf(token).forEach(gram => {
+          if (!this.trigrams.has(gram)) this.trigrams.set(gram, new Set());
+          this.trigrams.get(gram).add(token);
+        });
+        this.vocabulary = null;
+      }
+      this.postings.get(token).set(key, fields);
+    });
+    this.docs.set(key, entry);
+  }
+
+  remove(key) {
+    const entry = this.docs.get(key);
+    if (!entry) return;
+
+    entry.tokens.forEach((fields, token) => {
+      const docs = this.postings.get(token);
+      docs.delete(key);
+      if (docs.size) return;
+
+      // Last prompt with this word: drop it from the vocabulary
+      this.postings.delete(token);
+      this.trigramsOf(token).forEach(gram => {
+        const tokens = this.trigrams.get(gram);
+        tokens.delete(token);
+        if (!tokens.size) this.trigrams.delete(gram);
+      });
+      this.vocabulary = null;
+    });
+    this.docs.delete(key);
+  }
+
+  // Split a query into words, "exact phrases", tag:x, -tag:x, in:collection and -in:collection filters.
+  // Filter values with spaces can be quoted: in:"team prompts".
+  parseQuery(query) {
+    const parsed = { terms: [], phrases: [], tags: [], excludedTags: [], collections: [], excludedCollections: [] };
+    const pattern = /(-?)(tag|in):("([^"]*)"?|\S+)|"([^"]*)"?|(\S+)/gi;
+    let match;
+    while ((match = pattern.exec(query || '')) !== null) {
+      const [, negated, operator, rawValue, quotedValue, phrase, word] = match;
+      if (operator) {
+        const value = this.normalize(quotedValue !== undefined ? quotedValue : rawValue).trim();
+        if (!value) continue;
+        if (operator.toLowerCase() === 'in') {
+          (negated ? parsed.excludedCollections : parsed.collections).push(value);
+        } else {
+          (negated ? parsed.excludedTags : parsed.tags).push(value);
+        }
+      } else if (phrase !== undefined) {
+        const value = this.normalize(phrase).trim();
+        if (value) parsed.phrases.push(value);
+      } else {
+        parsed.terms.push(...this.tokenize(word));
+      }
+    }
+    return parsed;
+  }
+
+  isEmpty(parsed) {
+    return !parsed.terms.length && !parsed.phrases.length && !parsed.tags.length &&
+      !parsed.excludedTags.length && !parsed.collections.length && !parsed.excludedCollections.length;
+  }
+
+  // Prompts matching the query, best first: [{ prompt, score, needles }]. needles are the words and
+  // phrases that matched, for highlighting. Filter-only queries score every match 0.
+  search(query) {
+    const parsed = typeof query === 'string' ? this.parseQuery(query) : query;
+    if (this.isEmpty(parsed)) return [];
+
+    // Every query word has to match somewhere; start from the rarest so there's less to intersect
+    const termMatches = parsed.terms.map(term => this.matchTerm(term));
+    if (termMatches.some(matches => !matches.size)) return [];
+    termMatches.sort((a, b) => a.size - b.size);
+
+    const candidates = termMatches.length ? [...termMatches[0].keys()] : [...this.docs.keys()];
+    const results = [];
+    candidates.forEach(key => {
+      const entry = this.docs.get(key);
+      if (!this.passesFilters(entry, parsed)) return;
+
+      let score = 0;
+      const needles = [...parsed.phrases];
+      for (const matches of termMatches) {
+        const match = matches.get(key);
+        if (!match) return;
+        score += match.score;
+        needles.push(match.needle);
+      }
+      parsed.phrases.forEach(phrase => {
+        score += 1.5 * this.phraseWeight(entry, phrase);
+      });
+
+      // A query that is the name, or the start of it, beats the same words scattered around
+      const plain = parsed.terms.join(' ');
+      if (plain && entry.name === plain) {
+        score += 5;
+      } else if (plain && entry.name.startsWith(plain)) {
+        score += 2;
+      }
+      results.push({ prompt: entry.prompt, score, needles });
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  passesFilters(entry, parsed) {
+    return parsed.tags.every(tag => entry.tags.includes(tag)) &&
+      !parsed.excludedTags.some(tag => entry.tags.includes(tag)) &&
+      parsed.collections.every(value => this.inCollection(entry, value)) &&
+      !parsed.excludedCollections.some(value => this.inCollection(entry, value)) &&
+      parsed.phrases.every(phrase => this.phraseWeight(entry, phrase) > 0);
+  }
+
+  // Collection names match from the start, so in:work finds "Work projects"
+  inCollection(entry, value) {
+    return entry.collections.some(collection => collection.startsWith(value));
+  }
+
+  // Weight of the best field an exact phrase occurs in, 0 if it doesn't
+  phraseWeight(entry, phrase) {
+    if (entry.name.includes(phrase)) return this.FIELD_WEIGHTS.name;
+    if (entry.tags.some(tag => tag.includes(phrase))) return this.FIELD_WEIGHTS.tags;
+    if (entry.text.includes(phrase)) return this.FIELD_WEIGHTS.text;
+    return 0;
+  }
+
+  // Prompts containing a word equal to, starting with, or a typo or two away from term:
+  // Map(docKey -> { score, needle })
+  matchTerm(term) {
+    const matches = new Map();
+    const addToken = (token, quality, needle) => {
+      this.postings.get(token).forEach((fields, key) => {
+        const score = quality * this.bestFieldWeight(fields);
+        const current = matches.get(key);
+        if (!current || score > current.score) {
+          matches.set(key, { score, needle });
+        }
+      });
+    };
+
+    this.tokensWithPrefix(term).forEach(token => {
+      addToken(token, token === term ? this.MATCH_QUALITY.exact : this.MATCH_QUALITY.prefix, term);
+    });
+
+    // Very short words are too ambiguous to correct
+    if (term.length < 3) return matches;
+
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    this.fuzzyCandidates(term).forEach(token => {
+      if (token.startsWith(term) || Math.abs(token.length - term.length) > maxDistance) return;
+      const distance = this.editDistance(term, token, maxDistance);
+      if (distance > 0 && distance <= maxDistance) {
+        addToken(token, distance === 1 ? this.MATCH_QUALITY.typo : this.MATCH_QUALITY.typo2, token);
+      }
+    });
+    return matches;
+  }
+
+  bestFieldWeight(fields) {
+    if (fields & this.FIELD_BITS.name) return this.FIELD_WEIGHTS.name;
+    if (fields & this.FIELD_BITS.tags) return this.FIELD_WEIGHTS.tags;
+    return this.FIELD_WEIGHTS.text;
+  }
+
+  // Binary search in the sorted vocabulary
+  tokensWithPrefix(prefix) {
+    if (!this.vocabulary) {
+      this.vocabulary = [...this.postings.keys()].sort();
+    }
+
+    let low = 0;
+    let high = this.vocabulary.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.vocabulary[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const tokens = [];
+    for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(prefix); i++) {
+      tokens.push(this.vocabulary[i]);
+    }
+    return tokens;
+  }
+
+  // Tokens sharing the most trigrams with term
+  fuzzyCandidates(term) {
+    const shared = new Map();
+    this.trigramsOf(term).forEach(gram => {
+      (this.trigrams.get(gram) || []).forEach(token => {
+        shared.set(token, (shared.get(token) || 0) + 1);
+      });
+    });
+    return [...shared.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.MAX_FUZZY_CANDIDATES)
+      .map(([token]) => token);
+  }
+
+  trigramsOf(token) {
+    const padded = ` ${token} `;
+    const grams = new Set();
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+    return grams;
+  }
+
+  // Edit distance counting a swap of two neighbouring letters as one typo; stops early once
+  // every path is over max
+  editDistance(a, b, max) {
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+        if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previous2[j - 2] + 1);
+        }
+        row.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) return max + 1;
+      previous2 = previous;
+      previous = row;
+    }
+    return previous[b.length];
+  }
+
+  // Lower case without accents, so "cafe" finds "Café"
+  normalize(value) {
+    return String(value || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  tokenize(value) {
+    return this.normalize(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  // [start, end] ranges of text to highlight: words starting with a needle, and phrases anywhere
+  getRanges(text, needles) {
+    const lower = (text || '').toLowerCase();
+    const ranges = [];
+    needles.forEach(needle => {
+      if (!needle) return;
+      const isPhrase = /[^\p{L}\p{N}]/u.test(needle);
+      let index = lower.indexOf(needle);
+      while (index !== -1) {
+        if (isPhrase || index === 0 || !/[\p{L}\p{N}]/u.test(lower[index - 1])) {
+          ranges.push([index, index + needle.length]);
+        }
+        index = lower.indexOf(needle, index + needle.length);
+      }
+    });
+
+    // Merge overlapping ranges
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.SearchIndex = SearchIndex;
+}
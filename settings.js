@@ -0,0 +1,106 @@
+// settings.js - User settings from the options page, synced across browsers with chrome.storage.sync
+'use strict';
+
+class ExtensionSettings {
+  constructor() {
+    this.STORAGE_KEY = 'settings';
+    this.DEFAULTS = {
+      syncIntervalMinutes: 15,
+      maxPromptLength: 10000,
+      maxNameLength: 200,
+      driveFolderName: 'Prompt Stash',
+      fileName: 'prompts.json',
+      maxRetries: 3,
+      theme: 'system',
+      defaultAction: 'insert',
+      closeAfterInsert: true,
+      backupRetentionDays: 30
+    };
+    // Allowed range of each number setting
+    this.LIMITS = {
+      syncIntervalMinutes: [1, 1440],
+      maxPromptLength: [100, 100000],
+      maxNameLength: [10, 1000],
+      maxRetries: [1, 10],
+      backupRetentionDays: [1, 365]
+    };
+    this.CHOICES = {
+      theme: ['system', 'light', 'dark'],
+      defaultAction: ['insert', 'copy']
+    };
+    this.LABELS = {
+      syncIntervalMinutes: 'Sync interval',
+      maxPromptLength: 'Maximum prompt length',
+      maxNameLength: 'Maximum name length',
+      maxRetries: 'Retry count',
+      backupRetentionDays: 'Backup retention',
+      theme: 'Theme',
+      defaultAction: 'Default action'
+    };
+  }
+
+  // Stored settings on top of the defaults, so settings added later get their default
+  async load() {
+    const result = await chrome.storage.sync.get([this.STORAGE_KEY]);
+    return { ...this.DEFAULTS, ...result[this.STORAGE_KEY] };
+  }
+
+  async save(settings) {
+    const error = this.validate(settings);
+    if (error) {
+      throw new Error(error);
+    }
+    await chrome.storage.sync.set({ [this.STORAGE_KEY]: { ...this.DEFAULTS, ...settings } });
+  }
+
+  validate(settings) {
+    for (const [key, [min, max]] of Object.entries(this.LIMITS)) {
+      const value = settings[key];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return `${this.LABELS[key]} must be a whole number from ${min} to ${max}`;
+      }
+    }
+    for (const [key, choices] of Object.entries(this.CHOICES)) {
+      if (!choices.includes(settings[key])) {
+        return `${this.LABELS[key]} must be one of ${choices.join(', ')}`;
+      }
+    }
+    // The names end up in Drive search queries and URLs
+    if (!settings.driveFolderName || !settings.driveFolderName.trim()) {
+      return 'The Drive folder name cannot be empty';
+    }
+    if (/['\\]/.test(settings.driveFolderName)) {
+      return 'The Drive folder name cannot contain quotes or backslashes';
+    }
+    if (!/^[\w .-]+\.json$/.test(settings.fileName || '')) {
+      return 'The file name may only use letters, numbers, spaces, dots, dashes and underscores, and must end in .json';
+    }
+    return null;
+  }
+
+  // Call listener(newSettings, oldSettings) whenever the settings change, in any browser
+  onChange(listener) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[this.STORAGE_KEY];
+      if (areaName !== 'sync' || !change) return;
+      listener({ ...this.DEFAULTS, ...change.newValue }, { ...this.DEFAULTS, ...change.oldValue });
+    });
+  }
+
+  // Settings that change where the prompts are stored
+  movesStorage(settings, previous) {
+    return settings.driveFolderName !== previous.driveFolderName || settings.fileName !== previous.fileName;
+  }
+
+  // Set data-theme on the page to "light" or "dark"; "system" follows the OS
+  applyTheme(theme, doc = document) {
+    const prefersDark = typeof matchMedia === 'function' && matchMedia('(prefers-color-scheme: dark)').matches;
+    const resolved = theme === 'system' ? (prefersDark ? 'dark' : 'light') : theme;
+    doc.documentElement.dataset.theme = resolved;
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.ExtensionSettings = ExtensionSettings;
+}
@@ -0,0 +1,173 @@
+// site-adapters.js - Insertion adapters for AI chat apps, keyed by hostname
+// Injected into pages before insert-text.js. Adapters only take a document, so they can be
+// exercised against saved HTML fixtures as well as live pages.
+(() => {
+  'use strict';
+
+  // Injecting the file again must not reset the registry
+  if (self.PromptStashSiteAdapters) return;
+
+  const adapters = [];
+
+  // Add an adapter: { name, hosts, composerSelectors, submitSelectors, findComposer?, insert?, submit? }
+  function register(definition) {
+    if (!definition || !definition.name || !Array.isArray(definition.hosts) || !definition.hosts.length) {
+      throw new Error('Site adapter needs a name and at least one host');
+    }
+    if (!Array.isArray(definition.composerSelectors) || !definition.composerSelectors.length) {
+      throw new Error(`Site adapter "${definition.name}" needs composer selectors`);
+    }
+
+    const adapter = {
+      submitSelectors: [],
+      ...definition
+    };
+    adapter.findComposer = definition.findComposer || ((doc) => findVisible(doc, adapter.composerSelectors));
+    adapter.insert = definition.insert || ((doc, text) => {
+      const composer = adapter.findComposer(doc);
+      if (!composer) return false;
+      // ProseMirror, Lexical and Quill composers are contenteditables; the rest are React textareas
+      return composer.isContentEditable || composer.getAttribute('contenteditable') === 'true'
+        ? insertIntoRichEditor(composer, text)
+        : insertIntoTextarea(composer, text);
+    });
+    adapter.submit = definition.submit || ((doc) => {
+      const button = findVisible(doc, adapter.submitSelectors);
+      if (!button || button.disabled) return false;
+      button.click();
+      return true;
+    });
+
+    // Later registrations win, so a custom adapter can override a built-in one
+    adapters.unshift(adapter);
+    return adapter;
+  }
+
+  // Match the hostname itself or any of its subdomains
+  function find(hostname) {
+    const host = (hostname || '').toLowerCase();
+    return adapters.find(adapter =>
+      adapter.hosts.some(h => host === h || host.endsWith(`.${h}`))
+    ) || null;
+  }
+
+  function findVisible(doc, selectors) {
+    for (const selector of selectors) {
+      for (const element of doc.querySelectorAll(selector)) {
+        // Fixtures have no layout, so only skip elements that are explicitly hidden
+        if (!element.hidden && element.getAttribute('aria-hidden') !== 'true') {
+          return element;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Rich editors rebuild their state from paste/beforeinput events and ignore raw DOM edits
+  function insertIntoRichEditor(composer, text) {
+    const doc = composer.ownerDocument;
+    const view = doc.defaultView;
+    composer.focus();
+
+    // Keep the caret where the user left it, otherwise append to the end of the editor
+    const selection = view.getSelection();
+    if (!selection.rangeCount || !composer.contains(selection.anchorNode)) {
+      const range = doc.createRange();
+      range.selectNodeContents(composer);
+      range.collapse(false);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+
+    // A synthetic paste keeps line breaks as paragraphs in ProseMirror and Lexical
+    if (typeof view.DataTransfer === 'function' && typeof view.ClipboardEvent === 'function') {
+      const data = new view.DataTransfer();
+      data.setData('text/plain', text);
+      const pasteEvent = new view.ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true });
+      composer.dispatchEvent(pasteEvent);
+      if (pasteEvent.defaultPrevented) return true;
+    }
+
+    return typeof doc.execCommand === 'function' && doc.execCommand('insertText', false, text);
+  }
+
+  // React tracks textarea values itself, so the value has to go through the native setter
+  function insertIntoTextarea(textarea, text) {
+    const view = textarea.ownerDocument.defaultView;
+    const prototype = textarea.tagName === 'INPUT' ? view.HTMLInputElement.prototype : view.HTMLTextAreaElement.prototype;
+    const setValue = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+
+    textarea.focus();
+    const start = textarea.selectionStart || 0;
+    const end = textarea.selectionEnd || 0;
+    const value = textarea.value || '';
+
+    setValue.call(textarea, value.substring(0, start) + text + value.substring(end));
+    textarea.selectionStart = textarea.selectionEnd = start + text.length;
+
+    textarea.dispatchEvent(new view.Event('input', { bubbles: true }));
+    textarea.dispatchEvent(new view.Event('change', { bubbles: true }));
+    return true;
+  }
+
+  // Built-in adapters; selectors list the current markup first and older layouts after it
+  register({
+    name: 'chatgpt',
+    hosts: ['chatgpt.com', 'chat.openai.com'],
+    composerSelectors: ['#prompt-textarea[contenteditable="true"]', 'div.ProseMirror[contenteditable="true"]', 'textarea#prompt-textarea'],
+    submitSelectors: ['button[data-testid="send-button"]', 'button[aria-label="Send prompt"]']
+  });
+
+  register({
+    name: 'claude',
+    hosts: ['claude.ai'],
+    composerSelectors: ['div.ProseMirror[contenteditable="true"]', '[data-testid="chat-input"] [contenteditable="true"]'],
+    submitSelectors: ['button[aria-label="Send message"]', 'button[aria-label="Send Message"]']
+  });
+
+  register({
+    name: 'gemini',
+    hosts: ['gemini.google.com'],
+    composerSelectors: ['rich-textarea .ql-editor[contenteditable="true"]', '.ql-editor[contenteditable="true"]'],
+    submitSelectors: ['button.send-button', 'button[aria-label="Send message"]']
+  });
+
+  register({
+    name: 'perplexity',
+    hosts: ['perplexity.ai'],
+    composerSelectors: ['div[contenteditable="true"][data-lexical-editor="true"]', 'textarea[placeholder]'],
+    submitSelectors: ['button[aria-label="Submit"]', 'button[data-testid="submit-button"]']
+  });
+
+  register({
+    name: 'copilot',
+    hosts: ['copilot.microsoft.com'],
+    composerSelectors: ['textarea#userInput', 'textarea[data-testid="composer-input"]'],
+    submitSelectors: ['button[data-testid="submit-button"]', 'button[aria-label="Submit message"]']
+  });
+
+  // The DeepThink, Search and upload toggles are div buttons just like the send button, which is
+  // the last one in the box around the message field
+  const deepseekComposer = ['textarea#chat-input', 'textarea'];
+  register({
+    name: 'deepseek',
+    hosts: ['chat.deepseek.com'],
+    composerSelectors: deepseekComposer,
+    submitSelectors: ['div[role="button"]'],
+    submit: (doc) => {
+      const composer = findVisible(doc, deepseekComposer);
+      for (let box = composer && composer.parentElement; box; box = box.parentElement) {
+        const buttons = [...box.querySelectorAll('div[role="button"]')].filter(button => !button.hidden);
+        if (!buttons.length) continue;
+
+        const send = buttons[buttons.length - 1];
+        if (send.getAttribute('aria-disabled') === 'true') return false;
+        send.click();
+        return true;
+      }
+      return false;
+    }
+  });
+
+  self.PromptStashSiteAdapters = { register, find, adapters };
+})();
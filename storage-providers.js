@@ -0,0 +1,672 @@
+// storage-providers.js - Storage backends for the personal prompt collection
+'use strict';
+
+// Thrown by a conditional write when the document changed after it was read
+class RevisionMismatchError extends Error {
+  constructor(expectedRevision, actualRevision) {
+    super(`Document changed in storage (expected revision ${expectedRevision}, found ${actualRevision})`);
+    this.name = 'RevisionMismatchError';
+    this.expectedRevision = expectedRevision;
+    this.actualRevision = actualRevision;
+  }
+}
+
+// Base of the errors a backend throws for a failed request, so callers can tell what went wrong.
+// status is the HTTP status if there was a response, retryAfter the milliseconds the server asked
+// to wait, and transient says whether trying again later can help.
+class StorageError extends Error {
+  constructor(message, { status = null, retryAfter = null, transient = false } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.transient = transient;
+  }
+}
+
+// Signed out, or the token or credentials were rejected; only signing in again helps
+class AuthError extends StorageError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'AuthError';
+  }
+}
+
+// Offline, the server can't be reached, or it failed with a 5xx
+class NetworkError extends StorageError {
+  constructor(message, options = {}) {
+    super(message, { ...options, transient: true });
+    this.name = 'NetworkError';
+  }
+}
+
+// Too many requests (wait and retry), or out of storage space (retrying won't help)
+class QuotaError extends StorageError {
+  constructor(message, { rateLimited = false, ...options } = {}) {
+    super(message, { ...options, transient: rateLimited });
+    this.name = 'QuotaError';
+    this.rateLimited = rateLimited;
+  }
+}
+
+// A document or folder that should exist is gone
+class NotFoundError extends StorageError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+// A document was downloaded but isn't valid JSON
+class ParseError extends StorageError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'ParseError';
+  }
+}
+
+// A backend stores named JSON documents (prompts.json and history.json) and only has to implement
+// readDocument and writeDocument; everything the sync engine and outbox need is built on those two
+class StorageProvider {
+  constructor() {
+    this.FILE_NAME = 'prompts.json';
+    this.HISTORY_FILE_NAME = 'history.json';
+    this.readOnly = false;
+    this.maxRetries = 3;
+    this.retryDelay = 1000;
+    // A server asking to wait longer than this is left to the background's retry alarm
+    this.maxRetryAfter = 30000;
+    this.maxNameLength = 200;
+    this.maxPromptLength = 10000;
+    this.schema = new PromptSchema(this);
+  }
+
+  // Take the user's settings (see ExtensionSettings): file name, retries and prompt limits
+  applySettings(settings) {
+    this.FILE_NAME = settings.fileName;
+    this.maxRetries = settings.maxRetries;
+    this.maxNameLength = settings.maxNameLength;
+    this.maxPromptLength = settings.maxPromptLength;
+  }
+
+  // Resolves to { content, revision }; a document that doesn't exist yet reads as emptyValue
+  // with a null revision
+  async readDocument(name, emptyValue) {
+    throw new Error(`${this.constructor.name} does not implement readDocument`);
+  }
+
+  // Replace a document. With an expectedRevision the write throws RevisionMismatchError if the
+  // document changed since it was read (null: it must still not exist); undefined writes regardless
+  async writeDocument(name, content, expectedRevision) {
+    throw new Error(`${this.constructor.name} does not implement writeDocument`);
+  }
+
+  // Names of the documents whose names start with prefix, used for dated backups; null for a
+  // backend that can't list its documents
+  async listDocuments(prefix) {
+    return null;
+  }
+
+  async deleteDocument(name) {
+    throw new Error(`${this.constructor.name} does not implement deleteDocument`);
+  }
+
+  // Retry wrapper for network calls. Only transient failures are tried again, after the delay the
+  // server asked for or an exponential backoff.
+  async retryOperation(operation, retries = this.maxRetries) {
+    for (let i = 0; i < retries; i++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (i === retries - 1 || !error.transient || error.retryAfter > this.maxRetryAfter) throw error;
+
+        // Wait before retrying
+        await new Promise(resolve => setTimeout(resolve, error.retryAfter ?? this.retryDelay * 2 ** i));
+      }
+    }
+  }
+
+  // fetch, with a failure to connect turned into a NetworkError
+  async fetch(url, options = {}) {
+    try {
+      return await fetch(url, options);
+    } catch (error) {
+      throw new NetworkError(navigator.onLine === false ? 'You are offline' : `Could not reach the server: ${error.message}`);
+    }
+  }
+
+  // The typed error for a failed response. Google APIs put the reason of a 403 in the body: rate
+  // limits and a full Drive come back as 403 as well as missing access.
+  async createResponseError(response, message) {
+    const status = response.status;
+    const text = `${message}: HTTP ${status} ${response.statusText}`;
+    const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+    const body = await response.json().catch(() => null);
+    const reason = body && body.error && Array.isArray(body.error.errors) && body.error.errors[0]
+      ? body.error.errors[0].reason
+      : null;
+
+    if (status === 429 || ['rateLimitExceeded', 'userRateLimitExceeded'].includes(reason)) {
+      return new QuotaError(text, { status, retryAfter, rateLimited: true });
+    }
+    if (status === 507 || ['storageQuotaExceeded', 'quotaExceeded'].includes(reason)) {
+      return new QuotaError(text, { status });
+    }
+    if (status === 401 || (status === 403 && (!reason || ['authError', 'insufficientPermissions'].includes(reason)))) {
+      return new AuthError(text, { status });
+    }
+    if (status === 404 || status === 410) {
+      return new NotFoundError(text, { status });
+    }
+    if (status === 408 || status >= 500) {
+      return new NetworkError(text, { status, retryAfter });
+    }
+    return new StorageError(text, { status });
+  }
+
+  // Retry-After is either a number of seconds or an HTTP date; returns milliseconds or null
+  parseRetryAfter(value) {
+    if (!value) return null;
+    const delay = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    return Number.isFinite(delay) ? Math.max(delay, 0) : null;
+  }
+
+  // Content of a downloaded document; text that isn't JSON fails instead of reading as empty
+  parseDocument(text, name, emptyValue) {
+    if (!text) return emptyValue;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new ParseError(`${name} is damaged and could not be read: ${error.message}`);
+    }
+  }
+
+  // Get every record, including deletion tombstones
+  async getRecords() {
+    const { records } = await this.getRecordsWithRevision();
+    return records;
+  }
+
+  // Records plus the revision they were read at, for a conditional savePrompts, the records set
+  // aside as invalid and the file's lineage (null for a file that was never written with one). A
+  // file in an older format, or with newly invalid records, is written back upgraded right away
+  // and read again.
+  async getRecordsWithRevision(upgrade = true) {
+    const { content, revision } = await this.readDocument(this.FILE_NAME, this.schema.createDocument([]));
+    const { records, quarantine, lineage, changed } = this.schema.upgrade(content);
+
+    if (!changed || !upgrade || revision === null || this.readOnly) {
+      return { records, revision, quarantine, lineage };
+    }
+    try {
+      await this.savePrompts(records, revision, quarantine, lineage);
+    } catch (error) {
+      if (!(error instanceof RevisionMismatchError)) throw error;
+    }
+    return this.getRecordsWithRevision(false);
+  }
+
+  // Get the revision history of every prompt, keyed by prompt ID
+  async getHistory() {
+    const { history } = await this.getHistoryWithRevision();
+    return history;
+  }
+
+  async getHistoryWithRevision() {
+    const { content, revision } = await this.readDocument(this.HISTORY_FILE_NAME, {});
+    return { history: content, revision };
+  }
+
+  async saveHistory(history, expectedRevision) {
+    return this.writeDocument(this.HISTORY_FILE_NAME, history, expectedRevision);
+  }
+
+  // Failures are thrown, never read as an empty library: anything written after it would replace
+  // the real prompts
+  async getPrompts() {
+    const records = await this.getRecords();
+    // Folder records share the file with prompts
+    return records.filter(record => !record.deleted && record.kind !== 'folder');
+  }
+
+  // Save prompts (and tombstones); with expectedRevision the write only happens if nobody else
+  // has written the file since it was read. Pass on the quarantine and lineage that were read, or
+  // the quarantine is dropped and the file starts a new lineage. Resolves to the lineage written.
+  async savePrompts(prompts, expectedRevision, quarantine = [], lineage = null) {
+    if (!Array.isArray(prompts)) {
+      throw new Error('Prompts must be an array');
+    }
+
+    const writtenLineage = lineage || this.schema.createLineage();
+    await this.writeDocument(this.FILE_NAME, this.schema.createDocument(prompts, quarantine, writtenLineage), expectedRevision);
+    return writtenLineage;
+  }
+
+  // Read-modify-write of prompts.json: applyChange gets the current records and returns the new ones.
+  // If another device writes in between, the change is applied again on top of its version.
+  async updateRecords(applyChange) {
+    for (let attempt = 1; ; attempt++) {
+      const { records, revision, quarantine, lineage } = await this.getRecordsWithRevision();
+      const updated = applyChange(records);
+      if (!updated) return records;
+
+      try {
+        await this.savePrompts(updated, revision, quarantine, lineage);
+        return updated;
+      } catch (error) {
+        if (!(error instanceof RevisionMismatchError) || attempt >= this.maxRetries) throw error;
+        console.warn('prompts.json changed while saving, retrying:', error.message);
+      }
+    }
+  }
+
+  // Add a new prompt
+  async addPrompt(prompt) {
+    if (!prompt || typeof prompt !== 'object') {
+      throw new Error('Invalid prompt object');
+    }
+
+    if (!prompt.name || !prompt.text) {
+      throw new Error('Prompt must have name and text properties');
+    }
+
+    const records = await this.updateRecords(current => {
+      // Replace any record with the same ID so replayed adds don't create duplicates
+      const updated = current.filter(r => r.id !== prompt.id);
+      updated.unshift(prompt);
+      return updated;
+    });
+    return records.filter(record => !record.deleted && record.kind !== 'folder');
+  }
+
+  // Delete a prompt, leaving a tombstone so other devices drop it too
+  async deletePrompt(promptId) {
+    if (!promptId) {
+      throw new Error('Prompt ID is required');
+    }
+
+    const records = await this.updateRecords(current => {
+      const updated = current.filter(r => r.id !== promptId);
+      updated.push({ id: promptId, deleted: true, deletedAt: new Date().toISOString() });
+      return updated;
+    });
+    return records.filter(record => !record.deleted && record.kind !== 'folder');
+  }
+
+  // Delete several prompts in one write
+  async deletePrompts(promptIds) {
+    if (!Array.isArray(promptIds) || !promptIds.length) {
+      throw new Error('Prompt IDs are required');
+    }
+
+    const ids = new Set(promptIds);
+    const deletedAt = new Date().toISOString();
+    const records = await this.updateRecords(current => [
+      ...current.filter(r => !ids.has(r.id)),
+      ...promptIds.map(id => ({ id, deleted: true, deletedAt }))
+    ]);
+    return records.filter(record => !record.deleted && record.kind !== 'folder');
+  }
+
+  // Update a prompt
+  async updatePrompt(promptId, updatedPrompt) {
+    if (!promptId) {
+      throw new Error('Prompt ID is required');
+    }
+
+    if (!updatedPrompt || typeof updatedPrompt !== 'object') {
+      throw new Error('Invalid updated prompt object');
+    }
+
+    const records = await this.updateRecords(current => {
+      const index = current.findIndex(r => r.id === promptId && !r.deleted);
+      // Nothing to write if the prompt is gone
+      if (index === -1) return null;
+
+      const updated = [...current];
+      updated[index] = { ...updated[index], ...updatedPrompt, updatedAt: new Date().toISOString() };
+      return updated;
+    });
+    return records.filter(record => !record.deleted && record.kind !== 'folder');
+  }
+
+  // Update several prompts in one write: { [promptId]: changes }. Prompts that are gone are skipped.
+  async updatePrompts(updates) {
+    if (!updates || typeof updates !== 'object') {
+      throw new Error('Invalid prompt updates');
+    }
+
+    const records = await this.updateRecords(current => {
+      const updatedAt = new Date().toISOString();
+      let changed = false;
+      const updated = current.map(record => {
+        const changes = !record.deleted && updates[record.id];
+        if (!changes) return record;
+
+        changed = true;
+        return { ...record, ...changes, updatedAt };
+      });
+      return changed ? updated : null;
+    });
+    return records.filter(record => !record.deleted && record.kind !== 'folder');
+  }
+
+  // Write folder and order changes in one go. Folders are replaced whole, deleted ones leave a
+  // tombstone, and prompts get { [promptId]: { folderId, order } } where null removes the field.
+  // A move doesn't change a prompt's content, so its updatedAt stays.
+  async updateLayout({ folders = [], deletedFolderIds = [], prompts = {} }) {
+    const replaced = new Set([...folders.map(folder => folder.id), ...deletedFolderIds].map(String));
+    const deletedAt = new Date().toISOString();
+    const records = await this.updateRecords(current => [
+      ...current
+        .filter(record => !replaced.has(String(record.id)))
+        .map(record => {
+          const changes = !record.deleted && prompts[record.id];
+          if (!changes) return record;
+
+          const moved = { ...record };
+          Object.entries(changes).forEach(([field, value]) => {
+            if (value === null) {
+              delete moved[field];
+            } else {
+              moved[field] = value;
+            }
+          });
+          return moved;
+        }),
+      ...folders,
+      ...deletedFolderIds.map(id => ({ id, deleted: true, deletedAt }))
+    ]);
+    return records.filter(record => !record.deleted && record.kind !== 'folder');
+  }
+
+  // Validate prompt data; without checkLimits only its shape is checked
+  validatePrompt(prompt, checkLimits = true) {
+    if (!prompt || typeof prompt !== 'object') {
+      return 'Prompt must be an object';
+    }
+
+    if (!prompt.name || typeof prompt.name !== 'string' || prompt.name.trim().length === 0) {
+      return 'Prompt name is required and must be a non-empty string';
+    }
+
+    if (!prompt.text || typeof prompt.text !== 'string' || prompt.text.trim().length === 0) {
+      return 'Prompt text is required and must be a non-empty string';
+    }
+
+    if (checkLimits && prompt.name.length > this.maxNameLength) {
+      return `Prompt name must be less than ${this.maxNameLength} characters`;
+    }
+
+    if (checkLimits && prompt.text.length > this.maxPromptLength) {
+      return `Prompt text must be less than ${this.maxPromptLength.toLocaleString('en-US')} characters`;
+    }
+
+    if (prompt.tags && (!Array.isArray(prompt.tags) || prompt.tags.some(tag => typeof tag !== 'string'))) {
+      return 'Tags must be an array of strings';
+    }
+
+    if (prompt.folderId !== undefined && prompt.folderId !== null && typeof prompt.folderId !== 'number') {
+      return 'Folder ID must be a number';
+    }
+
+    if (prompt.shortcut !== undefined && (typeof prompt.shortcut !== 'string' || !/^[a-z0-9_-]{0,50}$/.test(prompt.shortcut))) {
+      return 'Shortcut must be up to 50 lowercase letters, numbers, dashes or underscores';
+    }
+
+    return null;
+  }
+
+  // Forget anything cached about where the documents live
+  clearCache() {}
+}
+
+// Keeps the documents in chrome.storage.local, for using the extension without any account.
+// Nothing leaves this browser.
+class LocalStorageProvider extends StorageProvider {
+  constructor() {
+    super();
+    this.STORAGE_KEY = 'localDocuments';
+  }
+
+  async readDocument(name, emptyValue) {
+    const documents = await this.load();
+    const document = documents[name];
+    return document
+      ? { content: document.content, revision: document.revision }
+      : { content: emptyValue, revision: null };
+  }
+
+  async writeDocument(name, content, expectedRevision) {
+    const documents = await this.load();
+    const currentRevision = documents[name] ? documents[name].revision : null;
+    if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+      throw new RevisionMismatchError(expectedRevision, currentRevision);
+    }
+
+    documents[name] = { content, revision: (currentRevision || 0) + 1 };
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: documents });
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return result[this.STORAGE_KEY] || {};
+  }
+}
+
+// Documents as JSON resources under a base URL, read with GET and written with PUT. The ETag is
+// the revision, and conditional writes use If-Match, or If-None-Match: * for a new document.
+class HttpStorageProvider extends StorageProvider {
+  constructor(url) {
+    super();
+    if (!url) {
+      throw new Error('A server URL is required');
+    }
+    // Document names resolve inside the URL, so it has to end with a slash
+    this.baseUrl = url.endsWith('/') ? url : `${url}/`;
+  }
+
+  documentUrl(name) {
+    return new URL(encodeURIComponent(name), this.baseUrl).href;
+  }
+
+  // Headers sent with every request, e.g. credentials
+  getHeaders() {
+    return {};
+  }
+
+  // Network errors, server errors and rate limits are retried; every other status is left to the caller
+  async request(url, options = {}) {
+    return this.retryOperation(async () => {
+      const response = await this.fetch(url, {
+        ...options,
+        cache: 'no-store',
+        headers: { ...this.getHeaders(), ...options.headers }
+      });
+      if (response.status >= 500 || response.status === 429) {
+        throw await this.createResponseError(response, 'Server error');
+      }
+      return response;
+    });
+  }
+
+  async readDocument(name, emptyValue) {
+    const response = await this.request(this.documentUrl(name), {
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (response.status === 404) {
+      return { content: emptyValue, revision: null };
+    }
+    if (!response.ok) {
+      throw await this.createResponseError(response, `Failed to read ${name}`);
+    }
+
+    const text = await response.text();
+    return {
+      content: this.parseDocument(text, name, emptyValue),
+      // Without an ETag the next write can't be conditional and simply goes through
+      revision: response.headers.get('ETag') ?? undefined
+    };
+  }
+
+  async writeDocument(name, content, expectedRevision) {
+    const response = await this.putDocument(name, content, expectedRevision);
+
+    if (response.status === 412) {
+      throw new RevisionMismatchError(expectedRevision, response.headers.get('ETag'));
+    }
+    if (!response.ok) {
+      throw await this.createResponseError(response, `Failed to write ${name}`);
+    }
+  }
+
+  async putDocument(name, content, expectedRevision) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (expectedRevision === null) {
+      headers['If-None-Match'] = '*';
+    } else if (expectedRevision !== undefined) {
+      headers['If-Match'] = expectedRevision;
+    }
+
+    return this.request(this.documentUrl(name), {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify(content, null, 2)
+    });
+  }
+}
+
+// A folder on a WebDAV server (Nextcloud, ownCloud, Apache mod_dav, ...), with basic authentication
+class WebDAVProvider extends HttpStorageProvider {
+  constructor({ url, username = '', password = '' } = {}) {
+    super(url);
+    this.username = username;
+    this.password = password;
+  }
+
+  getHeaders() {
+    if (!this.username) return {};
+    // btoa only takes Latin-1, so encode the credentials as UTF-8 first
+    const bytes = new TextEncoder().encode(`${this.username}:${this.password}`);
+    return { 'Authorization': `Basic ${btoa(String.fromCharCode(...bytes))}` };
+  }
+
+  // PUT fails with 409 while the folder doesn't exist; create it and write again
+  async putDocument(name, content, expectedRevision) {
+    const response = await super.putDocument(name, content, expectedRevision);
+    if (response.status !== 409) return response;
+
+    const created = await this.request(this.baseUrl, { method: 'MKCOL' });
+    // 405: the folder was created in the meantime
+    if (!created.ok && created.status !== 405) {
+      throw await this.createResponseError(created, 'Failed to create folder on WebDAV server');
+    }
+    return super.putDocument(name, content, expectedRevision);
+  }
+}
+
+// Any HTTP service that stores a JSON document per name: GET and PUT {url}/{name}, ETag on reads,
+// 412 when If-Match or If-None-Match fails. An optional token is sent as a bearer token.
+class RestProvider extends HttpStorageProvider {
+  constructor({ url, token = '' } = {}) {
+    super(url);
+    this.token = token;
+  }
+
+  getHeaders() {
+    return this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+  }
+}
+
+// The backend picked in settings, stored in chrome.storage.local so credentials stay on this device
+class StorageSettings {
+  constructor() {
+    this.STORAGE_KEY = 'storageBackend';
+    this.TYPES = {
+      drive: 'Google Drive',
+      local: 'This browser only',
+      webdav: 'WebDAV server',
+      rest: 'REST endpoint'
+    };
+    this.DEFAULT_CONFIG = { type: 'drive' };
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return { ...this.DEFAULT_CONFIG, ...result[this.STORAGE_KEY] };
+  }
+
+  // Saving the same settings again is skipped, since any change makes the next sync start over
+  async save(config) {
+    const error = this.validate(config);
+    if (error) {
+      throw new Error(error);
+    }
+    if (JSON.stringify(await this.load()) === JSON.stringify({ ...this.DEFAULT_CONFIG, ...config })) {
+      return false;
+    }
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: config });
+    return true;
+  }
+
+  validate(config) {
+    if (!config || !this.TYPES[config.type]) {
+      return 'Choose a storage backend';
+    }
+    if (config.type === 'webdav' || config.type === 'rest') {
+      const settings = config[config.type] || {};
+      let url;
+      try {
+        url = new URL(settings.url);
+      } catch (error) {
+        return 'Enter the full server URL, starting with https://';
+      }
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return 'The server URL must start with https:// or http://';
+      }
+    }
+    return null;
+  }
+
+  // Host permission pattern the extension needs to reach the configured server, if any
+  getOrigin(config) {
+    const settings = config[config.type];
+    return settings && settings.url ? `${new URL(settings.url).origin}/*` : null;
+  }
+
+  label(type) {
+    return this.TYPES[type] || this.TYPES.drive;
+  }
+
+  // Google Drive reuses the shared DriveAPI instance, which also serves shared libraries
+  create(config, driveAPI) {
+    switch (config.type) {
+      case 'local':
+        return new LocalStorageProvider();
+      case 'webdav':
+        return new WebDAVProvider(config.webdav);
+      case 'rest':
+        return new RestProvider(config.rest);
+      default:
+        return driveAPI;
+    }
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.RevisionMismatchError = RevisionMismatchError;
+  self.StorageError = StorageError;
+  self.AuthError = AuthError;
+  self.NetworkError = NetworkError;
+  self.QuotaError = QuotaError;
+  self.NotFoundError = NotFoundError;
+  self.ParseError = ParseError;
+  self.StorageProvider = StorageProvider;
+  self.LocalStorageProvider = LocalStorageProvider;
+  self.HttpStorageProvider = HttpStorageProvider;
+  self.WebDAVProvider = WebDAVProvider;
+  self.RestProvider = RestProvider;
+  self.StorageSettings = StorageSettings;
+}
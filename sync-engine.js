@@ -0,0 +1,360 @@
+// sync-engine.js - Three-way merge sync between the local cache and Google Drive
+'use strict';
+
+class SyncEngine {
+  constructor(storage) {
+    this.storage = storage;
+    this.STORAGE_KEYS = {
+      PROMPTS: 'prompts',
+      FOLDERS: 'folders',
+      TOMBSTONES: 'tombstones',
+      BASE: 'syncBase',
+      // Lineage of prompts.json when the base was taken (see PromptSchema)
+      BASE_LINEAGE: 'syncBaseLineage',
+      CONFLICTS: 'syncConflicts',
+      LAST_SYNC: 'lastSync'
+    };
+    // Tombstones only need to live long enough to reach every device
+    this.TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+    // Where a record sits in the folder tree and the list, as opposed to what it says
+    this.LAYOUT_FIELDS = ['folderId', 'parentId', 'order', 'favorite'];
+    // Only ever grow, so both sides' values merge without asking (see UsageTracker)
+    this.USAGE_FIELDS = ['useCount', 'lastUsedAt'];
+  }
+
+  // Pull the Drive copy, merge it with the local cache against the common base and push the result
+  async sync() {
+    const local = await this.loadLocalState();
+    const { records, conflicts, quarantine, lineage } = await this.mergeAndSave(local);
+
+    // Conflicts already waiting for a decision are replaced by newer ones for the same prompt
+    const newConflictIds = new Set(conflicts.map(c => c.id));
+    const allConflicts = [
+      ...local.conflicts.filter(c => !newConflictIds.has(c.id)),
+      ...conflicts
+    ];
+
+    const prompts = records.filter(r => !r.deleted && !this.isFolder(r));
+    const folders = records.filter(r => !r.deleted && this.isFolder(r));
+    await this.saveLocalState({
+      prompts,
+      folders,
+      tombstones: records.filter(r => r.deleted),
+      base: Object.fromEntries(records.map(r => [String(r.id), r])),
+      baseLineage: lineage,
+      conflicts: allConflicts
+    });
+
+    return {
+      prompts,
+      folders,
+      conflicts: allConflicts,
+      localEdits: this.findLocalEdits(prompts, local),
+      quarantined: quarantine.length
+    };
+  }
+
+  // The write only goes through if prompts.json is still at the revision that was merged;
+  // if another device wrote in between, merge again on top of its version
+  async mergeAndSave(local) {
+    for (let attempt = 1; ; attempt++) {
+      const remote = await this.storage.getRecordsWithRevision();
+      const { records: remoteRecords, revision, quarantine, lineage } = remote;
+      const base = this.baseApplies(local, remote) ? local.base : {};
+      const result = {
+        ...this.merge([...local.prompts, ...local.folders, ...local.tombstones], remoteRecords, base),
+        quarantine,
+        lineage
+      };
+
+      if (this.sameRecordSet(result.records, remoteRecords)) {
+        return result;
+      }
+
+      try {
+        result.lineage = await this.storage.savePrompts(result.records, revision, quarantine, lineage);
+        return result;
+      } catch (error) {
+        if (!(error instanceof RevisionMismatchError) || attempt >= this.storage.maxRetries) throw error;
+        console.warn('prompts.json changed during sync, merging again:', error.message);
+      }
+    }
+  }
+
+  // A record missing on one side since the base is only read as deleted if the base was taken
+  // from this same file. A file that doesn't exist yet, was created again, or belongs to another
+  // account has no lineage or another one, and is merged like a first sync: nothing is inferred
+  // as deleted and the local records are uploaded.
+  baseApplies(local, remote) {
+    if (remote.revision === null) return false;
+    if (local.baseLineage) return local.baseLineage === remote.lineage;
+    // A base synced before files had a lineage, with a file that still has none
+    return !remote.lineage;
+  }
+
+  // Prompts whose synced content came from this device since the last sync
+  findLocalEdits(prompts, local) {
+    const localMap = new Map(local.prompts.map(p => [String(p.id), p]));
+    return prompts.filter(prompt => {
+      const mine = localMap.get(String(prompt.id));
+      const before = local.base[String(prompt.id)];
+      return mine && this.contentEqual(mine, prompt) && (!before || before.deleted || !this.contentEqual(before, prompt));
+    });
+  }
+
+  // Merge local and remote records against the last synced base, one prompt at a time
+  merge(localRecords, remoteRecords, base = {}) {
+    const localMap = new Map(localRecords.map(r => [String(r.id), r]));
+    const remoteMap = new Map(remoteRecords.map(r => [String(r.id), r]));
+    const allIds = new Set([...localMap.keys(), ...remoteMap.keys(), ...Object.keys(base)]);
+
+    const records = [];
+    const conflicts = [];
+
+    for (const id of allIds) {
+      const baseRecord = base[id] || null;
+      // A prompt that vanished since the base was deleted by a client without tombstones
+      const local = localMap.get(id) || (baseRecord ? this.createTombstone(baseRecord.id) : null);
+      const remote = remoteMap.get(id) || (baseRecord ? this.createTombstone(baseRecord.id) : null);
+
+      let merged;
+      if (!local || !remote) {
+        merged = local || remote;
+      } else if (this.recordsEqual(local, remote)) {
+        merged = remote;
+      } else if (baseRecord && this.recordsEqual(local, baseRecord)) {
+        merged = remote;
+      } else if (baseRecord && this.recordsEqual(remote, baseRecord)) {
+        merged = local;
+      } else {
+        merged = this.mergeLayout(local, remote, baseRecord);
+        if (!merged) {
+          // Both sides changed: keep the Drive version and park the local one until the user decides
+          merged = remote;
+          conflicts.push({
+            id: remote.id,
+            local,
+            remote,
+            detectedAt: new Date().toISOString()
+          });
+        }
+      }
+
+      if (merged && local && remote && !merged.deleted) {
+        merged = this.withUsage(merged, local, remote);
+      }
+
+      if (merged && !this.isExpiredTombstone(merged)) {
+        records.push(merged);
+      }
+    }
+
+    // Sort by ID (which is timestamp-based) to maintain order
+    records.sort((a, b) => this.compareIds(a.id, b.id));
+    return { records, conflicts };
+  }
+
+  // Newest first; IDs that aren't numbers (e.g. from an import or another client) sort after the
+  // numeric ones, by their text, so the order is the same on every device
+  compareIds(a, b) {
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (Number.isNaN(numberA) || Number.isNaN(numberB)) {
+      return Number.isNaN(numberA) - Number.isNaN(numberB) || String(b).localeCompare(String(a));
+    }
+    return numberB - numberA;
+  }
+
+  // Both sides changed, but not in a way worth asking about: moves and reorders merge field by field,
+  // and folders only have a name, so Drive wins. Returns null when the user has to decide.
+  mergeLayout(local, remote, base) {
+    if (this.isFolder(local) || this.isFolder(remote)) return remote;
+    if (local.deleted || remote.deleted) return null;
+
+    if (this.contentEqual(local, remote)) {
+      // Moved or starred here while Drive only counted uses: keep the local layout
+      return base && !base.deleted && this.sameLayout(remote, base) ? this.withLayout(remote, local) : remote;
+    }
+    if (base && !base.deleted && this.contentEqual(local, base)) {
+      // Only moved here, edited on Drive: keep the edit and the move
+      return this.withLayout(remote, local);
+    }
+    if (base && !base.deleted && this.contentEqual(remote, base)) {
+      return this.withLayout(local, remote);
+    }
+    return null;
+  }
+
+  contentEqual(a, b) {
+    return this.fingerprint(this.omitLayout(a)) === this.fingerprint(this.omitLayout(b));
+  }
+
+  omitLayout(record) {
+    const content = { ...record };
+    [...this.LAYOUT_FIELDS, ...this.USAGE_FIELDS].forEach(field => delete content[field]);
+    return content;
+  }
+
+  sameLayout(a, b) {
+    return this.LAYOUT_FIELDS.every(field => a[field] === b[field]);
+  }
+
+  // The higher count and later use of the two sides
+  withUsage(record, local, remote) {
+    if (local.deleted || remote.deleted) return record;
+
+    const useCount = Math.max(local.useCount || 0, remote.useCount || 0);
+    const lastUsedAt = [local.lastUsedAt, remote.lastUsedAt].filter(Boolean).sort().pop();
+    if (!useCount && !lastUsedAt) return record;
+    return lastUsedAt ? { ...record, useCount, lastUsedAt } : { ...record, useCount };
+  }
+
+  // Copy of record placed where layoutSource is, including back at the top level
+  withLayout(record, layoutSource) {
+    const merged = { ...record };
+    this.LAYOUT_FIELDS.forEach(field => {
+      if (layoutSource[field] === undefined) {
+        delete merged[field];
+      } else {
+        merged[field] = layoutSource[field];
+      }
+    });
+    return merged;
+  }
+
+  isFolder(record) {
+    return record.kind === 'folder';
+  }
+
+  // Remember a local deletion so it reaches Drive and other devices
+  async recordDeletion(promptId) {
+    return this.recordDeletions([promptId]);
+  }
+
+  async recordDeletions(promptIds) {
+    const local = await this.loadLocalState();
+    const tombstones = local.tombstones.filter(t => !promptIds.includes(t.id));
+    tombstones.push(...promptIds.map(promptId => this.createTombstone(promptId)));
+    await this.saveLocalState({ tombstones });
+  }
+
+  async getConflicts() {
+    const local = await this.loadLocalState();
+    return local.conflicts;
+  }
+
+  // Apply the user's choice for a conflict: 'local', 'remote' or 'both'
+  async resolveConflict(promptId, choice) {
+    const local = await this.loadLocalState();
+    const conflict = local.conflicts.find(c => c.id === promptId);
+    if (!conflict) {
+      throw new Error('Conflict not found');
+    }
+
+    let prompts = local.prompts;
+    let tombstones = local.tombstones;
+    const now = new Date().toISOString();
+
+    if (choice === 'local' || (choice === 'both' && conflict.remote.deleted)) {
+      // Re-apply the local version as a fresh edit on top of what Drive has
+      prompts = prompts.filter(p => p.id !== promptId);
+      tombstones = tombstones.filter(t => t.id !== promptId);
+      if (conflict.local.deleted) {
+        tombstones.push(this.createTombstone(promptId));
+      } else {
+        prompts.unshift({ ...conflict.local, updatedAt: now });
+      }
+    } else if (choice === 'both' && !conflict.local.deleted) {
+      // Keep the Drive version and add the local one as a separate prompt
+      prompts.unshift({
+        ...conflict.local,
+        id: Date.now(),
+        name: `${conflict.local.name} (local copy)`,
+        createdAt: now,
+        updatedAt: now
+      });
+    } else if (choice !== 'remote' && choice !== 'both') {
+      throw new Error(`Unknown conflict resolution: ${choice}`);
+    }
+
+    await this.saveLocalState({
+      prompts,
+      tombstones,
+      conflicts: local.conflicts.filter(c => c.id !== promptId)
+    });
+
+    return prompts;
+  }
+
+  createTombstone(promptId) {
+    return { id: promptId, deleted: true, deletedAt: new Date().toISOString() };
+  }
+
+  isExpiredTombstone(record) {
+    return record.deleted && Date.now() - new Date(record.deletedAt).getTime() > this.TOMBSTONE_TTL;
+  }
+
+  // Compare records by content; timestamps alone don't make two versions different
+  recordsEqual(a, b) {
+    if (a.deleted || b.deleted) {
+      return Boolean(a.deleted) === Boolean(b.deleted);
+    }
+    return this.fingerprint(a) === this.fingerprint(b);
+  }
+
+  fingerprint(record) {
+    const { updatedAt, ...content } = record;
+    return this.stableStringify(content);
+  }
+
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  sameRecordSet(a, b) {
+    if (a.length !== b.length) return false;
+    const bMap = new Map(b.map(r => [String(r.id), r]));
+    return a.every(r => {
+      const other = bMap.get(String(r.id));
+      return other && this.stableStringify(r) === this.stableStringify(other);
+    });
+  }
+
+  async loadLocalState() {
+    const keys = Object.values(this.STORAGE_KEYS);
+    const result = await chrome.storage.local.get(keys);
+    return {
+      prompts: result[this.STORAGE_KEYS.PROMPTS] || [],
+      folders: result[this.STORAGE_KEYS.FOLDERS] || [],
+      tombstones: result[this.STORAGE_KEYS.TOMBSTONES] || [],
+      base: result[this.STORAGE_KEYS.BASE] || {},
+      baseLineage: result[this.STORAGE_KEYS.BASE_LINEAGE] || null,
+      conflicts: result[this.STORAGE_KEYS.CONFLICTS] || []
+    };
+  }
+
+  async saveLocalState({ prompts, folders, tombstones, base, baseLineage, conflicts }) {
+    const data = {};
+    if (prompts !== undefined) {
+      data[this.STORAGE_KEYS.PROMPTS] = prompts;
+      data[this.STORAGE_KEYS.LAST_SYNC] = Date.now();
+    }
+    if (folders !== undefined) data[this.STORAGE_KEYS.FOLDERS] = folders;
+    if (tombstones !== undefined) data[this.STORAGE_KEYS.TOMBSTONES] = tombstones;
+    if (base !== undefined) data[this.STORAGE_KEYS.BASE] = base;
+    if (baseLineage !== undefined) data[this.STORAGE_KEYS.BASE_LINEAGE] = baseLineage;
+    if (conflicts !== undefined) data[this.STORAGE_KEYS.CONFLICTS] = conflicts;
+    await chrome.storage.local.set(data);
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.SyncEngine = SyncEngine;
+}
@@ -0,0 +1,76 @@
+// template-engine.js - Template variable parsing and rendering
+'use strict';
+
+// Variables look like {{name}}, {{name:default}} or {{name:first|second|third}}
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*(?::([^}]*))?\}\}/g;
+
+class TemplateEngine {
+  constructor() {
+    // Built-ins are filled automatically instead of being asked for in the form
+    this.BUILT_INS = ['clipboard', 'date', 'selection', 'url'];
+  }
+
+  // Check whether a prompt text contains any variables at all
+  hasVariables(text) {
+    return this.parse(text).length > 0;
+  }
+
+  // Extract the unique variables of a text, in order of first appearance
+  parse(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const variables = new Map();
+    for (const match of text.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+      const name = match[1];
+      if (variables.has(name)) continue;
+
+      const rawDefault = match[2] !== undefined ? match[2].trim() : '';
+      const choices = rawDefault.includes('|')
+        ? rawDefault.split('|').map(choice => choice.trim()).filter(Boolean)
+        : [];
+
+      variables.set(name, {
+        name,
+        defaultValue: choices.length ? choices[0] : rawDefault,
+        choices,
+        builtIn: this.isBuiltIn(name)
+      });
+    }
+
+    return [...variables.values()];
+  }
+
+  // Variables the user has to fill in
+  getUserVariables(text) {
+    return this.parse(text).filter(variable => !variable.builtIn);
+  }
+
+  // Built-in variables used by the text
+  getBuiltInVariables(text) {
+    return this.parse(text).filter(variable => variable.builtIn);
+  }
+
+  isBuiltIn(name) {
+    return this.BUILT_INS.includes(name.toLowerCase());
+  }
+
+  // Replace every variable with its value, falling back to the declared default
+  render(text, values = {}) {
+    if (!text || typeof text !== 'string') return '';
+
+    return text.replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, name, rawDefault) => {
+      const value = values[name];
+      if (value !== undefined && value !== null && value !== '') {
+        return String(value);
+      }
+
+      const fallback = rawDefault !== undefined ? rawDefault.trim() : '';
+      return fallback.includes('|') ? fallback.split('|')[0].trim() : fallback;
+    });
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.TemplateEngine = TemplateEngine;
+}
@@ -0,0 +1,113 @@
+// encryption.test.js - Passphrase encryption of the synced files: unlocking, locking and key rotation
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, mockChromeStorage } = require('./helpers');
+
+loadScripts('schema.js', 'storage-providers.js', 'encryption.js');
+
+const prompt = (id, name) => ({
+  id,
+  name,
+  text: `Text of ${name}`,
+  tags: [],
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+});
+
+// Encryption over a backend kept in the mocked chrome.storage, with one prompt saved in plain text.
+// Few key derivation rounds, so the tests don't spend their time in PBKDF2.
+async function setup() {
+  mockChromeStorage();
+  const encryption = new PromptEncryption();
+  encryption.ITERATIONS = 1000;
+  const backend = new LocalStorageProvider();
+  const storage = new EncryptedStorageProvider(backend, encryption);
+  await storage.savePrompts([prompt(1, 'Secret')], null);
+  return { encryption, backend, storage };
+}
+
+const rawFile = async backend => (await backend.readDocument('prompts.json')).content;
+
+test('turning encryption on encrypts the file on the next read, and it still reads as plain', async () => {
+  const { encryption, backend, storage } = await setup();
+  await encryption.enable('correct horse');
+
+  assert.deepEqual((await storage.getPrompts()).map(p => p.name), ['Secret']);
+  const file = await rawFile(backend);
+  assert.equal(encryption.isEnvelope(file), true);
+  assert.equal(JSON.stringify(file).includes('Secret'), false);
+  assert.deepEqual(await encryption.getStatus(), { enabled: true, unlocked: true });
+});
+
+test('a locked session can neither read nor write the encrypted file', async () => {
+  const { encryption, storage } = await setup();
+  await encryption.enable('correct horse');
+  await storage.getPrompts();
+  await encryption.lock();
+
+  assert.deepEqual(await encryption.getStatus(), { enabled: true, unlocked: false });
+  await assert.rejects(storage.getPrompts(), EncryptionLockedError);
+  await assert.rejects(storage.savePrompts([], undefined), EncryptionLockedError);
+});
+
+test('a wrong passphrase doesn\'t unlock, online or offline, and the right one does', async () => {
+  const { encryption, storage } = await setup();
+  await encryption.enable('correct horse');
+  await storage.getPrompts();
+  await encryption.lock();
+  const envelope = await storage.getRemoteEnvelope();
+
+  await assert.rejects(encryption.unlock('wrong horse', envelope), /Wrong passphrase/);
+  await assert.rejects(encryption.unlock('wrong horse'), /Wrong passphrase/);
+  assert.equal((await encryption.getStatus()).unlocked, false);
+
+  await encryption.unlock('correct horse', envelope);
+  assert.deepEqual((await storage.getPrompts()).map(p => p.name), ['Secret']);
+});
+
+test('a file encrypted on another device stays locked until its passphrase is given', async () => {
+  const { encryption, backend, storage } = await setup();
+  await encryption.enable('correct horse');
+  await storage.getPrompts();
+
+  // Another device changed the passphrase and wrote the file with its new key
+  const other = new PromptEncryption();
+  other.ITERATIONS = 1000;
+  const kdf = other.createKdf();
+  const key = await other.deriveKey('other device', kdf);
+  const { revision } = await backend.readDocument('prompts.json');
+  const theirs = backend.schema.createDocument([prompt(2, 'Theirs')]);
+  await backend.writeDocument('prompts.json', await other.encrypt(theirs, key, kdf), revision);
+
+  await assert.rejects(storage.getPrompts(), EncryptionLockedError);
+  await encryption.unlock('other device', await storage.getRemoteEnvelope());
+  assert.deepEqual((await storage.getPrompts()).map(p => p.name), ['Theirs']);
+});
+
+test('changing the passphrase re-encrypts the file with a new key, and the old one stops working', async () => {
+  const { encryption, backend, storage } = await setup();
+  await encryption.enable('correct horse');
+  await storage.getPrompts();
+  const oldSalt = (await rawFile(backend)).kdf.salt;
+
+  await assert.rejects(encryption.changePassphrase('wrong horse', 'battery staple', await storage.getRemoteEnvelope()), /Wrong passphrase/);
+  await encryption.changePassphrase('correct horse', 'battery staple', await storage.getRemoteEnvelope());
+  // Reading a file written with the old key writes it again with the new one
+  assert.deepEqual((await storage.getPrompts()).map(p => p.name), ['Secret']);
+  const newSalt = (await rawFile(backend)).kdf.salt;
+  assert.notEqual(newSalt, oldSalt);
+
+  await encryption.lock();
+  await assert.rejects(encryption.unlock('correct horse', await storage.getRemoteEnvelope()), /Wrong passphrase/);
+  await encryption.unlock('battery staple', await storage.getRemoteEnvelope());
+  assert.deepEqual((await storage.getPrompts()).map(p => p.name), ['Secret']);
+});
+
+test('a short passphrase is refused', async () => {
+  const { encryption } = await setup();
+  await assert.rejects(encryption.enable('short'), /at least 8 characters/);
+  await assert.rejects(encryption.changePassphrase('correct horse', 'short'), /at least 8 characters/);
+  assert.equal((await encryption.getStatus()).enabled, false);
+});
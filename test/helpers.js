@@ -0,0 +1,119 @@
+// helpers.js - Loading extension scripts into tests, and a local server for the HTTP backends
+'use strict';
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// Run extension scripts in this context, the way the extension's pages load them; what they put
+// on self ends up on globalThis
+function loadScripts(...files) {
+  globalThis.self = globalThis;
+  for (const file of files) {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+  }
+}
+
+// chrome.storage.local and chrome.storage.session backed by plain objects; returns the local
+// one, which tests can look at
+function mockChromeStorage() {
+  const copy = value => (value === undefined ? undefined : structuredClone(value));
+  const createArea = (data) => ({
+    get: async (keys) => Object.fromEntries([].concat(keys).filter(key => key in data).map(key => [key, copy(data[key])])),
+    set: async (items) => { Object.assign(data, copy(items)); },
+    remove: async (keys) => { [].concat(keys).forEach(key => delete data[key]); }
+  });
+  const data = {};
+  globalThis.chrome = {
+    storage: {
+      local: createArea(data),
+      session: createArea({})
+    }
+  };
+  return data;
+}
+
+// A saved page from test/fixtures with extension scripts injected into it, like a content script
+function loadFixture(name, ...scripts) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.html`), 'utf8');
+  const dom = new JSDOM(html, { runScripts: 'outside-only', url: 'https://example.com/' });
+  for (const file of scripts) {
+    dom.window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+  }
+  return dom.window;
+}
+
+// Documents under /prompts/, with an ETag per version and If-Match / If-None-Match on PUT. With
+// webdav, PUT fails with 409 until the folder is created with MKCOL, like a WebDAV server. Every
+// request is kept in requests; respondWith lets a test answer the next request itself.
+async function startDocumentServer({ webdav = false } = {}) {
+  const documents = new Map();
+  const requests = [];
+  const overrides = [];
+  let folderExists = !webdav;
+  let version = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const override = overrides.shift();
+      if (override) {
+        res.writeHead(override.status, override.headers || {});
+        res.end(override.body || '');
+        return;
+      }
+
+      const name = decodeURIComponent(req.url.replace(/^\/prompts\//, ''));
+      const current = documents.get(name);
+
+      if (req.method === 'MKCOL') {
+        res.writeHead(folderExists ? 405 : 201).end();
+        folderExists = true;
+      } else if (req.method === 'GET') {
+        if (!current) {
+          res.writeHead(404).end();
+        } else {
+          res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': current.etag }).end(current.body);
+        }
+      } else if (req.method === 'PUT') {
+        const ifMatch = req.headers['if-match'];
+        const ifNoneMatch = req.headers['if-none-match'];
+        if (!folderExists) {
+          res.writeHead(409).end();
+        } else if ((ifNoneMatch === '*' && current) || (ifMatch && (!current || current.etag !== ifMatch))) {
+          res.writeHead(412, current ? { 'ETag': current.etag } : {}).end();
+        } else {
+          const etag = `"v${++version}"`;
+          documents.set(name, { body, etag });
+          res.writeHead(current ? 204 : 201, { 'ETag': etag }).end();
+        }
+      } else {
+        res.writeHead(405).end();
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/prompts/`,
+    documents,
+    requests,
+    // Answer the next request with this status instead of handling it
+    respondWith(status, headers, body) {
+      overrides.push({ status, headers, body });
+    },
+    // Store a document as if another client had written it
+    put(name, content) {
+      documents.set(name, { body: JSON.stringify(content), etag: `"v${++version}"` });
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { loadScripts, mockChromeStorage, loadFixture, startDocumentServer };
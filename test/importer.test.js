@@ -0,0 +1,114 @@
+// importer.test.js - Parsing JSON, CSV and Markdown files, and matching duplicates before import
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+loadScripts('importer.js');
+
+// Stands in for DriveAPI.validatePrompt
+const validator = {
+  validatePrompt: prompt => (!prompt.name ? 'Name is required' : !prompt.text ? 'Text is required' : null)
+};
+const importer = new PromptImporter(validator);
+
+test('JSON from Export, or wrapped in a prompts field, is read without tombstones', () => {
+  const exported = JSON.stringify([
+    { id: 1, name: ' Review ', text: 'Review this\n', tags: [' code ', ''] },
+    { id: 2, deleted: true }
+  ]);
+
+  assert.deepEqual(importer.parse(exported, 'prompts.json'), [{ id: 1, name: 'Review', text: 'Review this', tags: ['code'] }]);
+  assert.deepEqual(importer.parse('{"prompts": [{"name": "A", "text": "B"}]}', 'export.txt').map(p => p.name), ['A']);
+});
+
+test('JSON that is damaged or has no prompt list is refused', () => {
+  assert.throws(() => importer.parse('[{"name": ', 'prompts.json'), /Invalid JSON/);
+  assert.throws(() => importer.parse('{"name": "A"}', 'prompts.json'), /array of prompts/);
+});
+
+test('CSV cells may be quoted with commas, newlines and doubled quotes', () => {
+  const csv = 'Name,Text,Tags\r\n"Summarize, briefly","Line one\nLine ""two""","a; b, c"\r\nPlain,Just text,\r\n\r\n';
+
+  assert.deepEqual(importer.parse(csv, 'prompts.csv'), [
+    { name: 'Summarize, briefly', text: 'Line one\nLine "two"', tags: ['a', 'b', 'c'] },
+    { name: 'Plain', text: 'Just text', tags: [] }
+  ]);
+});
+
+test('CSV columns are found by their header, and name and text are required', () => {
+  assert.deepEqual(importer.parse('text,name\nHello,Greeting', 'prompts.csv'), [{ name: 'Greeting', text: 'Hello', tags: [] }]);
+  assert.throws(() => importer.parse('title,body\nA,B', 'prompts.csv'), /"name" and "text"/);
+});
+
+test('Markdown has a prompt per heading, with an optional tags line and fenced text', () => {
+  const markdown = [
+    '# My prompts',
+    '',
+    '## Review',
+    'Tags: code, review',
+    '',
+    'Review this code.',
+    '',
+    '## Template ##',
+    '```',
+    '# Not a heading',
+    'Fill in {{name}}',
+    '```',
+    '### Empty'
+  ].join('\n');
+
+  assert.deepEqual(importer.parse(markdown, 'prompts.md'), [
+    { name: 'Review', text: 'Review this code.', tags: ['code', 'review'] },
+    { name: 'Template', text: '# Not a heading\nFill in {{name}}', tags: [] }
+  ]);
+});
+
+test('the format is guessed from the content when the file name has no known extension', () => {
+  assert.equal(importer.detectFormat('  [{"name": "A"}]', 'prompts.txt'), 'json');
+  assert.equal(importer.detectFormat('## Review\nText', 'notes'), 'markdown');
+  assert.equal(importer.detectFormat('name,text\nA,B', ''), 'csv');
+  assert.throws(() => importer.parse('just some words', 'notes.txt'), /Unsupported file format/);
+});
+
+test('duplicates are matched by ID, name or text, and invalid prompts are flagged', () => {
+  const existing = [
+    { id: 1, name: 'Review', text: 'Review this code.' },
+    { id: 2, name: 'Summary', text: 'Summarize this.' }
+  ];
+  const entries = importer.analyze([
+    { id: 2, name: 'Other name', text: 'Other text' },
+    { name: 'review', text: 'New text' },
+    { name: 'New name', text: 'Summarize this.' },
+    { name: 'Fresh', text: 'Fresh text' },
+    { name: 'No text', text: '' }
+  ], existing);
+
+  assert.deepEqual(entries.map(entry => entry.duplicateOf && entry.duplicateOf.id), [2, 1, 2, null, null]);
+  assert.equal(entries[4].error, 'Text is required');
+});
+
+test('apply adds new prompts, and skips, overwrites or keeps both duplicates as decided', () => {
+  const existing = [{ id: 1, name: 'Review', text: 'Old text', tags: [], shortcut: 'rv' }];
+  const entries = importer.analyze([
+    { name: 'Review', text: 'New text', tags: ['code'], shortcut: 'rv' },
+    { name: 'Review', text: 'Skipped' },
+    { name: 'Review', text: 'Copy', shortcut: 'rv' },
+    { name: 'Fresh', text: 'Fresh text' },
+    { name: '', text: 'Invalid' }
+  ], existing);
+
+  const { prompts, summary } = importer.apply(entries, ['overwrite', 'skip', 'keep-both'], existing);
+
+  assert.deepEqual(summary, { added: 2, overwritten: 1, skipped: 1, invalid: 1 });
+  const overwritten = prompts.find(p => p.id === 1);
+  assert.deepEqual([overwritten.text, overwritten.tags, overwritten.shortcut], ['New text', ['code'], 'rv']);
+  // The copy can't take a shortcut that's already used
+  const copy = prompts.find(p => p.text === 'Copy');
+  assert.equal(copy.shortcut, undefined);
+  assert.notEqual(copy.id, 1);
+  assert.equal(new Set(prompts.map(p => p.id)).size, prompts.length);
+  // The list passed in is left alone
+  assert.equal(existing[0].text, 'Old text');
+});
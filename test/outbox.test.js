@@ -0,0 +1,151 @@
+// outbox.test.js - Replaying queued writes in order, and setting aside the ones that can't succeed
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, mockChromeStorage } = require('./helpers');
+
+loadScripts('outbox.js');
+
+// A backend that records every write, failing with whatever failures holds for a prompt ID
+function fakeStorage(failures = {}) {
+  const writes = [];
+  const write = async (type, promptId) => {
+    if (failures[promptId]) throw failures[promptId];
+    writes.push(`${type} ${promptId}`);
+  };
+  return {
+    writes,
+    addPrompt: prompt => write('add', prompt.id),
+    updatePrompt: promptId => write('update', promptId),
+    deletePrompt: promptId => write('delete', promptId)
+  };
+}
+
+const failure = (message, fields) => Object.assign(new Error(message), fields);
+
+async function setup(...operations) {
+  const data = mockChromeStorage();
+  const outbox = new Outbox();
+  for (const operation of operations) {
+    await outbox.enqueue(operation);
+  }
+  return { data, outbox };
+}
+
+const add = id => ({ type: 'add', promptId: id, prompt: { id, name: `Prompt ${id}`, text: 'Text' } });
+
+test('queued operations are sent in the order they were made', async () => {
+  const { outbox } = await setup(add(1), { type: 'update', promptId: 1, changes: { name: 'Renamed' } }, { type: 'delete', promptId: 1 });
+  const storage = fakeStorage();
+
+  assert.deepEqual(await outbox.replay(() => storage), { replayed: 3, remaining: 0, failed: 0 });
+  assert.deepEqual(storage.writes, ['add 1', 'update 1', 'delete 1']);
+  assert.equal(await outbox.count(), 0);
+});
+
+test('a failure that waiting can fix stops the replay and keeps the order', async () => {
+  const { outbox } = await setup(add(1), add(2), add(3));
+  const storage = fakeStorage({ 2: failure('You are offline', { name: 'NetworkError', transient: true }) });
+
+  assert.deepEqual(await outbox.replay(() => storage), { replayed: 1, remaining: 2, failed: 0 });
+  assert.deepEqual(storage.writes, ['add 1']);
+  const pending = await outbox.getPending();
+  assert.deepEqual(pending.map(operation => operation.promptId), [2, 3]);
+  assert.equal(pending[0].attempts, 1);
+  assert.equal(pending[0].lastError, 'You are offline');
+  assert.deepEqual(await outbox.getFailed(), []);
+});
+
+test('signing in, rate limits and timeouts are waited for, not set aside', async () => {
+  const errors = [
+    failure('Signed out', { name: 'AuthError', status: 401 }),
+    failure('Too many requests', { name: 'QuotaError', status: 429, rateLimited: true }),
+    failure('Timed out', { name: 'NetworkError', status: 408 }),
+    failure('Locked', { name: 'EncryptionLockedError' })
+  ];
+  for (const error of errors) {
+    const { outbox } = await setup(add(1));
+    await outbox.replay(() => fakeStorage({ 1: error }));
+    assert.equal(await outbox.count(), 1, error.name);
+  }
+});
+
+test('a failure that can never succeed is set aside and the rest still go out', async () => {
+  const { outbox } = await setup(add(1), add(2), add(3), add(4));
+  const storage = fakeStorage({
+    1: failure('prompts.json is damaged', { name: 'ParseError' }),
+    3: failure('HTTP 400 Bad Request', { name: 'StorageError', status: 400 })
+  });
+
+  assert.deepEqual(await outbox.replay(() => storage), { replayed: 2, remaining: 0, failed: 2 });
+  assert.deepEqual(storage.writes, ['add 2', 'add 4']);
+  const failed = await outbox.getFailed();
+  assert.deepEqual(failed.map(operation => [operation.promptId, operation.lastError]), [
+    [1, 'prompts.json is damaged'],
+    [3, 'HTTP 400 Bad Request']
+  ]);
+  assert.ok(failed.every(operation => operation.failedAt));
+});
+
+test('a full Drive and a detached library are set aside', async () => {
+  const { outbox } = await setup(add(1), { ...add(2), libraryId: 'gone' });
+  const storage = fakeStorage({ 1: failure('Drive is full', { name: 'QuotaError', status: 403 }) });
+  const resolveStorage = operation => {
+    if (operation.libraryId) throw failure('Library is no longer attached', { name: 'NotFoundError' });
+    return storage;
+  };
+
+  assert.deepEqual(await outbox.replay(resolveStorage), { replayed: 0, remaining: 0, failed: 2 });
+  assert.deepEqual((await outbox.getFailed()).map(operation => operation.promptId), [1, 2]);
+});
+
+test('failed operations can be queued again after the pending ones, or discarded', async () => {
+  const { outbox } = await setup(add(1));
+  await outbox.replay(() => fakeStorage({ 1: failure('damaged', { name: 'ParseError' }) }));
+  await outbox.enqueue(add(2));
+
+  assert.equal(await outbox.retryFailed(), 2);
+  const pending = await outbox.getPending();
+  assert.deepEqual(pending.map(operation => operation.promptId), [2, 1]);
+  assert.equal(pending[1].attempts, 0);
+  assert.equal('failedAt' in pending[1], false);
+  assert.deepEqual(await outbox.getFailed(), []);
+
+  await outbox.replay(() => fakeStorage({ 1: failure('damaged', { name: 'ParseError' }) }));
+  await outbox.discardFailed();
+  assert.deepEqual(await outbox.getFailed(), []);
+  assert.equal(await outbox.count(), 0);
+});
+
+test('an operation queued while a replay runs is kept and sent by the same replay', async () => {
+  const { outbox } = await setup(add(1));
+  const storage = fakeStorage();
+  const addPrompt = storage.addPrompt;
+  storage.addPrompt = async (prompt) => {
+    if (prompt.id === 1) await outbox.enqueue(add(2));
+    return addPrompt(prompt);
+  };
+
+  // A second replay started meanwhile shares the first one instead of sending anything twice
+  const [first, second] = await Promise.all([outbox.replay(() => storage), outbox.replay(() => storage)]);
+  assert.equal(first, second);
+  assert.deepEqual(storage.writes, ['add 1', 'add 2']);
+  assert.equal(await outbox.count(), 0);
+});
+
+test('discard drops the queued and failed operations it matches', async () => {
+  const { outbox } = await setup({ ...add(1), libraryId: 'team' });
+  await outbox.replay(() => fakeStorage({ 1: failure('damaged', { name: 'ParseError' }) }));
+  await outbox.enqueue({ ...add(2), libraryId: 'team' });
+  await outbox.enqueue(add(3));
+
+  await outbox.discard(operation => operation.libraryId === 'team');
+  assert.deepEqual((await outbox.getPending()).map(operation => operation.promptId), [3]);
+  assert.deepEqual(await outbox.getFailed(), []);
+});
+
+test('an unknown operation type is refused when it is queued', async () => {
+  const { outbox } = await setup();
+  await assert.rejects(outbox.enqueue({ type: 'rename', promptId: 1 }), /Invalid outbox operation/);
+});
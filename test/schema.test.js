@@ -0,0 +1,98 @@
+// schema.test.js - Migrating older prompts.json files and quarantining invalid records
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, mockChromeStorage } = require('./helpers');
+
+loadScripts('schema.js', 'storage-providers.js');
+
+const prompt = (id, name) => ({
+  id,
+  name,
+  text: `Text of ${name}`,
+  tags: [],
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+});
+
+const schema = new StorageProvider().schema;
+
+test('a version 1 array is migrated, with numeric string IDs and comma separated tags fixed', () => {
+  const { records, quarantine, lineage, changed } = schema.upgrade([
+    { ...prompt('17', 'Review'), folderId: '3', tags: 'code, review,' },
+    { id: '3', kind: 'folder', name: 'Work' },
+    { id: 9, deleted: true, deletedAt: '2026-01-02T00:00:00.000Z' }
+  ]);
+
+  assert.equal(changed, true);
+  assert.deepEqual(records.map(r => [r.id, r.folderId]), [[17, 3], [3, undefined], [9, undefined]]);
+  assert.deepEqual(records[0].tags, ['code', 'review']);
+  assert.deepEqual(quarantine, []);
+  assert.equal(lineage, null);
+});
+
+test('a current document that is valid needs no write', () => {
+  const document = schema.createDocument([prompt(1, 'First')], [], 'lineage-1');
+
+  const { records, lineage, changed } = schema.upgrade(document);
+  assert.equal(changed, false);
+  assert.deepEqual(records, [prompt(1, 'First')]);
+  assert.equal(lineage, 'lineage-1');
+});
+
+test('invalid records are quarantined with the reason and the rest are kept', () => {
+  const { records, quarantine, changed } = schema.upgrade(schema.createDocument([
+    prompt(1, 'First'),
+    { ...prompt(2, 'No text'), text: '' },
+    prompt('abc', 'Text ID'),
+    { ...prompt(1, 'Same ID') },
+    { id: 4, kind: 'folder', name: ' ' },
+    'not a record',
+    { id: 5, deleted: true }
+  ], [{ record: { id: 'old' }, error: 'Earlier', quarantinedAt: '2026-01-01T00:00:00.000Z' }]));
+
+  assert.equal(changed, true);
+  assert.deepEqual(records.map(r => r.id), [1, 5]);
+  assert.deepEqual(quarantine.map(entry => entry.error), [
+    'Earlier',
+    'Prompt text is required and must be a non-empty string',
+    'Record ID must be a number',
+    'Another record has the same ID',
+    'Folder name is required',
+    'Record must be an object'
+  ]);
+  assert.ok(quarantine.slice(1).every(entry => entry.quarantinedAt));
+});
+
+test('the quarantine keeps only the newest entries', () => {
+  const old = Array.from({ length: schema.MAX_QUARANTINE }, (_, i) => ({ record: { id: `old-${i}` }, error: 'Old' }));
+  const { quarantine } = schema.upgrade(schema.createDocument([{ id: 'new' }], old));
+
+  assert.equal(quarantine.length, schema.MAX_QUARANTINE);
+  assert.equal(quarantine[0].record.id, 'old-1');
+  assert.equal(quarantine.at(-1).record.id, 'new');
+});
+
+test('a newer format stops with SchemaVersionError, and a file that is not ours is refused', () => {
+  assert.throws(() => schema.upgrade({ schemaVersion: 3, prompts: [] }), SchemaVersionError);
+  assert.throws(() => schema.upgrade({ name: 'something else' }), /not a Prompt Stash file/);
+  assert.throws(() => schema.upgrade({ schemaVersion: 2 }), /no list of prompts/);
+});
+
+test('reading an old file writes it back upgraded, keeping the quarantined records in it', async () => {
+  mockChromeStorage();
+  const storage = new LocalStorageProvider();
+  await storage.writeDocument('prompts.json', [prompt('1', 'First'), { ...prompt(2, 'No text'), text: '' }]);
+
+  const { records, revision, quarantine } = await storage.getRecordsWithRevision();
+  assert.deepEqual(records.map(r => r.id), [1]);
+  assert.equal(quarantine.length, 1);
+  assert.equal(revision, 2);
+
+  const { content } = await storage.readDocument('prompts.json');
+  assert.equal(content.schemaVersion, schema.CURRENT_VERSION);
+  assert.equal(typeof content.lineage, 'string');
+  assert.deepEqual(content.prompts.map(r => r.id), [1]);
+  assert.equal(content.quarantine[0].record.name, 'No text');
+});
@@ -0,0 +1,109 @@
+// search-index.test.js - Ranking, typo matching and query operators of the prompt search
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+loadScripts('search-index.js');
+
+const prompts = [
+  { id: 1, name: 'Code review', text: 'Review this pull request for bugs.', tags: ['engineering'] },
+  { id: 2, name: 'Meeting notes', text: 'Turn these notes into a summary with action items.', tags: ['writing', 'review'] },
+  { id: 3, name: 'Release summary', text: 'Write a changelog entry. Include a code review checklist.', tags: ['engineering', 'writing'] },
+  { id: 4, name: 'Café menu', text: 'Describe the dishes on this menu.', tags: ['food'] },
+  { id: 5, name: 'Translate', text: 'Translate into French.', tags: ['language'], libraryId: 'team' }
+];
+
+// Personal prompts are in "My prompts", the library prompt in "Team library"
+function createIndex() {
+  const index = new SearchIndex();
+  index.update(prompts.map(prompt => ({
+    key: String(prompt.id),
+    prompt,
+    collections: [prompt.libraryId ? 'Team library' : 'My prompts']
+  })));
+  return index;
+}
+
+const ids = results => results.map(result => result.prompt.id);
+
+test('a match in the name ranks above tags, and tags above the text', () => {
+  assert.deepEqual(ids(createIndex().search('review')), [1, 2, 3]);
+});
+
+test('a query that is the whole name beats the same words spread over the text', () => {
+  assert.deepEqual(ids(createIndex().search('code review')), [1, 3]);
+});
+
+test('every word has to match, as a word or the start of one', () => {
+  const index = createIndex();
+  assert.deepEqual(ids(index.search('summ notes')), [2]);
+  assert.deepEqual(ids(index.search('review french')), []);
+});
+
+test('a typo or a swapped pair of letters still finds the word, below exact matches', () => {
+  const index = createIndex();
+  assert.deepEqual(ids(index.search('reveiw')), [1, 2, 3]);
+  assert.deepEqual(ids(index.search('meating')), [2]);
+  // Long words allow two typos, short ones only one
+  assert.deepEqual(ids(index.search('changlogg')), [3]);
+  assert.deepEqual(ids(index.search('summray')), [3, 2]);
+  assert.deepEqual(ids(index.search('summxxy')), []);
+
+  const [exact] = index.search('notes');
+  const [typo] = index.search('nites');
+  assert.ok(exact.score > typo.score);
+});
+
+test('words of one or two letters are not corrected', () => {
+  assert.deepEqual(ids(createIndex().search('xo')), []);
+});
+
+test('accents and case are ignored', () => {
+  assert.deepEqual(ids(createIndex().search('CAFE')), [4]);
+});
+
+test('a quoted phrase must appear as written', () => {
+  const index = createIndex();
+  assert.deepEqual(ids(index.search('"action items"')), [2]);
+  assert.deepEqual(ids(index.search('"items action"')), []);
+});
+
+test('tag: and in: filter, and a leading minus excludes', () => {
+  const index = createIndex();
+  assert.deepEqual(ids(index.search('tag:engineering')).sort(), [1, 3]);
+  assert.deepEqual(ids(index.search('review -tag:writing')), [1]);
+  assert.deepEqual(ids(index.search('in:team')), [5]);
+  assert.deepEqual(ids(index.search('-in:"my prompts"')), [5]);
+  assert.deepEqual(ids(index.search('tag:writing tag:engineering summary')), [3]);
+});
+
+test('the query is split into its operators', () => {
+  assert.deepEqual(createIndex().parseQuery('Fix "exact Phrase" tag:a -tag:B in:"team prompts" -in:x bugs'), {
+    terms: ['fix', 'bugs'],
+    phrases: ['exact phrase'],
+    tags: ['a'],
+    excludedTags: ['b'],
+    collections: ['team prompts'],
+    excludedCollections: ['x']
+  });
+});
+
+test('updating the index picks up changed and removed prompts', () => {
+  const index = createIndex();
+  index.update([
+    { key: '1', prompt: { ...prompts[0], name: 'Bug hunt' }, collections: ['My prompts'] },
+    { key: '2', prompt: prompts[1], collections: ['My prompts'] }
+  ]);
+
+  assert.deepEqual(ids(index.search('hunt')), [1]);
+  assert.deepEqual(ids(index.search('code')), []);
+  assert.deepEqual(ids(index.search('translate')), []);
+});
+
+test('highlight ranges cover words starting with a needle and phrases anywhere, merged', () => {
+  const index = createIndex();
+  assert.deepEqual(index.getRanges('Review the preview', ['review']), [[0, 6]]);
+  assert.deepEqual(index.getRanges('Code review', ['code', 'code review']), [[0, 11]]);
+});
@@ -0,0 +1,106 @@
+// site-adapters.test.js - Built-in adapters against saved markup of each chat app
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers');
+
+const SITES = {
+  chatgpt: { host: 'chatgpt.com', composer: '#prompt-textarea', submit: '[data-testid="send-button"]' },
+  claude: { host: 'claude.ai', composer: '.ProseMirror', submit: 'button[aria-label="Send message"]' },
+  gemini: { host: 'gemini.google.com', composer: '.ql-editor', submit: 'button.send-button' },
+  perplexity: { host: 'www.perplexity.ai', composer: '#ask-input', submit: 'button[aria-label="Submit"]' },
+  copilot: { host: 'copilot.microsoft.com', composer: '#userInput', submit: '[data-testid="submit-button"]' },
+  deepseek: { host: 'chat.deepseek.com', composer: '#chat-input', submit: '.send-button' }
+};
+
+const TEXT = 'Summarize this:\nfirst line';
+
+// jsdom has no clipboard events; these are just enough for the synthetic paste
+function addClipboardEvents(window) {
+  window.DataTransfer = class {
+    constructor() { this.data = {}; }
+    setData(type, value) { this.data[type] = value; }
+    getData(type) { return this.data[type] || ''; }
+  };
+  window.ClipboardEvent = class extends window.Event {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.clipboardData = init.clipboardData || null;
+    }
+  };
+}
+
+// Rich editors handle the paste themselves and turn each line into a paragraph
+function emulateRichEditor(composer) {
+  composer.addEventListener('paste', event => {
+    event.preventDefault();
+    const doc = composer.ownerDocument;
+    composer.replaceChildren(...event.clipboardData.getData('text/plain').split('\n').map(line => {
+      const paragraph = doc.createElement('p');
+      paragraph.textContent = line;
+      return paragraph;
+    }));
+  });
+}
+
+for (const [name, site] of Object.entries(SITES)) {
+  test(`${name} adapter finds the composer, inserts and submits`, () => {
+    const window = loadFixture(name, 'site-adapters.js');
+    const { document } = window;
+    addClipboardEvents(window);
+
+    const adapter = window.PromptStashSiteAdapters.find(site.host);
+    assert.equal(adapter && adapter.name, name);
+
+    const composer = adapter.findComposer(document);
+    assert.equal(composer, document.querySelector(site.composer));
+
+    const rich = composer.getAttribute('contenteditable') === 'true';
+    const inputs = [];
+    if (rich) {
+      emulateRichEditor(composer);
+    } else {
+      composer.addEventListener('input', () => inputs.push(composer.value));
+    }
+
+    assert.equal(adapter.insert(document, TEXT), true);
+    if (rich) {
+      assert.deepEqual([...composer.querySelectorAll('p')].map(p => p.textContent), TEXT.split('\n'));
+    } else {
+      assert.equal(composer.value, TEXT);
+      assert.deepEqual(inputs, [TEXT]);
+    }
+
+    let clicked = null;
+    document.addEventListener('click', event => { clicked = event.target; });
+    assert.equal(adapter.submit(document), true);
+    assert.equal(clicked, document.querySelector(site.submit));
+  });
+}
+
+test('adapters leave a disabled send button alone', () => {
+  const window = loadFixture('chatgpt', 'site-adapters.js');
+  const button = window.document.querySelector('[data-testid="send-button"]');
+  button.disabled = true;
+
+  assert.equal(window.PromptStashSiteAdapters.find('chatgpt.com').submit(window.document), false);
+});
+
+test('the deepseek adapter never clicks a mode toggle instead of a disabled send button', () => {
+  const window = loadFixture('deepseek', 'site-adapters.js');
+  const { document } = window;
+  document.querySelector('.send-button').setAttribute('aria-disabled', 'true');
+  let clicked = null;
+  document.addEventListener('click', event => { clicked = event.target; });
+
+  assert.equal(window.PromptStashSiteAdapters.find('chat.deepseek.com').submit(document), false);
+  assert.equal(clicked, null);
+});
+
+test('unknown hosts have no adapter', () => {
+  const window = loadFixture('chatgpt', 'site-adapters.js');
+
+  assert.equal(window.PromptStashSiteAdapters.find('example.com'), null);
+  assert.equal(window.PromptStashSiteAdapters.find('notchatgpt.com'), null);
+});
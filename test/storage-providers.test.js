@@ -0,0 +1,171 @@
+// storage-providers.test.js - HTTP backends against a local server: revisions, conflicts, missing files
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, startDocumentServer } = require('./helpers');
+
+loadScripts('schema.js', 'storage-providers.js');
+
+const prompt = (id, name) => ({
+  id,
+  name,
+  text: `Text of ${name}`,
+  tags: [],
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+});
+
+// A provider pointed at a fresh server, without waiting between retries
+async function setup(Provider, options = {}, serverOptions = {}) {
+  const server = await startDocumentServer(serverOptions);
+  const provider = new Provider({ url: server.url, ...options });
+  provider.retryDelay = 0;
+  return { server, provider };
+}
+
+test('a document that does not exist reads as empty with no revision', async (t) => {
+  const { server, provider } = await setup(RestProvider);
+  t.after(server.close);
+
+  assert.deepEqual(await provider.readDocument('history.json', {}), { content: {}, revision: null });
+
+  const { records, revision } = await provider.getRecordsWithRevision();
+  assert.deepEqual(records, []);
+  assert.equal(revision, null);
+  // Reading never writes
+  assert.deepEqual(server.requests.map(r => r.method), ['GET', 'GET']);
+});
+
+test('the first write creates the document with If-None-Match and reads back its ETag', async (t) => {
+  const { server, provider } = await setup(RestProvider);
+  t.after(server.close);
+
+  await provider.savePrompts([prompt(1, 'First')], null);
+
+  const put = server.requests.find(r => r.method === 'PUT');
+  assert.equal(put.headers['if-none-match'], '*');
+  assert.equal(put.headers['if-match'], undefined);
+
+  const { records, revision, lineage } = await provider.getRecordsWithRevision();
+  assert.deepEqual(records.map(r => r.name), ['First']);
+  assert.equal(revision, server.documents.get('prompts.json').etag);
+  assert.equal(typeof lineage, 'string');
+});
+
+test('creating a document someone else just created is a conflict', async (t) => {
+  const { server, provider } = await setup(RestProvider);
+  t.after(server.close);
+  server.put('prompts.json', { schemaVersion: 2, prompts: [], quarantine: [] });
+
+  await assert.rejects(provider.savePrompts([prompt(1, 'First')], null), RevisionMismatchError);
+});
+
+test('a write at an old revision is rejected with 412 and leaves the document alone', async (t) => {
+  const { server, provider } = await setup(RestProvider);
+  t.after(server.close);
+  await provider.savePrompts([prompt(1, 'First')], null);
+  const { revision } = await provider.getRecordsWithRevision();
+
+  server.put('prompts.json', { schemaVersion: 2, prompts: [prompt(2, 'Other device')], quarantine: [] });
+  const stored = server.documents.get('prompts.json');
+
+  await assert.rejects(provider.savePrompts([prompt(1, 'Changed')], revision), (error) => {
+    assert.ok(error instanceof RevisionMismatchError);
+    assert.equal(error.actualRevision, stored.etag);
+    return true;
+  });
+  assert.equal(server.requests.at(-1).headers['if-match'], revision);
+  assert.equal(server.documents.get('prompts.json'), stored);
+});
+
+test('updateRecords applies the change again on top of a concurrent write', async (t) => {
+  const { server, provider } = await setup(RestProvider);
+  t.after(server.close);
+  await provider.savePrompts([prompt(1, 'First')], null);
+
+  let calls = 0;
+  await provider.updateRecords(records => {
+    if (calls++ === 0) {
+      // Another device writes between this read and the write
+      server.put('prompts.json', { schemaVersion: 2, prompts: [...records, prompt(2, 'Other device')], quarantine: [] });
+    }
+    return [...records, prompt(3, 'This device')];
+  });
+
+  assert.equal(calls, 2);
+  const { records } = await provider.getRecordsWithRevision();
+  assert.deepEqual(records.map(r => r.name).sort(), ['First', 'Other device', 'This device']);
+});
+
+test('updateLayout moves prompts and replaces or deletes folders in one write', async (t) => {
+  const { server, provider } = await setup(RestProvider);
+  t.after(server.close);
+  const folder = (id, name) => ({ id, kind: 'folder', name, parentId: null, createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z' });
+  await provider.savePrompts([{ ...prompt(1, 'First'), folderId: 10, order: 0 }, prompt(2, 'Second'), folder(10, 'Old'), folder(11, 'Gone')], null);
+  const writes = server.requests.length;
+
+  await provider.updateLayout({
+    folders: [folder(10, 'Renamed'), folder(12, 'New')],
+    deletedFolderIds: [11],
+    prompts: { 1: { folderId: null, order: null }, 2: { folderId: 12, order: 3 } }
+  });
+
+  assert.deepEqual(server.requests.slice(writes).map(r => r.method), ['GET', 'PUT']);
+  const byId = new Map((await provider.getRecords()).map(r => [r.id, r]));
+  assert.equal(byId.get(1).folderId, undefined);
+  assert.equal('order' in byId.get(1), false);
+  assert.equal(byId.get(1).updatedAt, '2026-01-01T00:00:00.000Z');
+  assert.deepEqual([byId.get(2).folderId, byId.get(2).order], [12, 3]);
+  assert.equal(byId.get(10).name, 'Renamed');
+  assert.equal(byId.get(11).deleted, true);
+  assert.equal(byId.get(12).name, 'New');
+});
+
+test('a write without a known revision goes through without conditions', async (t) => {
+  const { server, provider } = await setup(RestProvider);
+  t.after(server.close);
+
+  await provider.writeDocument('history.json', { 1: [] }, undefined);
+  const put = server.requests.at(-1);
+  assert.equal(put.headers['if-match'], undefined);
+  assert.equal(put.headers['if-none-match'], undefined);
+});
+
+test('failed responses become typed errors, and server errors are retried', async (t) => {
+  const { server, provider } = await setup(RestProvider);
+  t.after(server.close);
+
+  server.respondWith(401);
+  await assert.rejects(provider.readDocument('prompts.json', []), AuthError);
+
+  server.respondWith(503);
+  server.respondWith(503);
+  server.respondWith(503);
+  await assert.rejects(provider.readDocument('prompts.json', []), NetworkError);
+  assert.equal(server.requests.length, 1 + provider.maxRetries);
+
+  server.respondWith(200, {}, 'not json');
+  await assert.rejects(provider.readDocument('prompts.json', []), ParseError);
+});
+
+test('RestProvider sends its token as a bearer token', async (t) => {
+  const { server, provider } = await setup(RestProvider, { token: 'secret' });
+  t.after(server.close);
+
+  await provider.readDocument('prompts.json', []);
+  assert.equal(server.requests[0].headers.authorization, 'Bearer secret');
+});
+
+test('WebDAVProvider sends basic credentials and creates a missing folder', async (t) => {
+  const { server, provider } = await setup(WebDAVProvider, { username: 'jörg', password: 'pw' }, { webdav: true });
+  t.after(server.close);
+
+  await provider.savePrompts([prompt(1, 'First')], null);
+
+  assert.deepEqual(server.requests.map(r => r.method), ['PUT', 'MKCOL', 'PUT']);
+  assert.equal(server.requests[1].url, '/prompts/');
+  const credentials = Buffer.from(server.requests[0].headers.authorization.replace(/^Basic /, ''), 'base64').toString('utf8');
+  assert.equal(credentials, 'jörg:pw');
+  assert.ok(server.documents.has('prompts.json'));
+});
@@ -0,0 +1,73 @@
+// sync-engine.test.js - Three-way merge against the last synced state
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, mockChromeStorage } = require('./helpers');
+
+loadScripts('schema.js', 'storage-providers.js', 'sync-engine.js');
+
+const prompt = (id, name) => ({
+  id,
+  name,
+  text: `Text of ${name}`,
+  tags: [],
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+});
+
+// A sync engine over a backend kept in the mocked chrome.storage, with two prompts synced
+async function setup() {
+  const data = mockChromeStorage();
+  const storage = new LocalStorageProvider();
+  const engine = new SyncEngine(storage);
+  await chrome.storage.local.set({ prompts: [prompt(2, 'Second'), prompt(1, 'First')] });
+  await engine.sync();
+  return { data, storage, engine };
+}
+
+const names = records => records.filter(r => !r.deleted).map(r => r.name);
+
+test('a prompt deleted on another device is deleted here', async () => {
+  const { storage, engine } = await setup();
+  await storage.updateRecords(records => records.filter(r => r.id !== 1));
+
+  const { prompts } = await engine.sync();
+  assert.deepEqual(names(prompts), ['Second']);
+});
+
+test('a prompts.json created again uploads the local prompts instead of deleting them', async () => {
+  const { data, storage, engine } = await setup();
+  // The file was deleted on the server and a new one was created, e.g. after a 404
+  delete data.localDocuments;
+  await storage.writeDocument(storage.FILE_NAME, storage.schema.createDocument([], [], storage.schema.createLineage()), null);
+
+  const { prompts } = await engine.sync();
+  assert.deepEqual(names(prompts), ['Second', 'First']);
+  assert.deepEqual(names((await storage.getRecordsWithRevision()).records), ['Second', 'First']);
+});
+
+test('a backend that reads as empty is merged like a first sync', async () => {
+  const { data, storage, engine } = await setup();
+  delete data.localDocuments;
+
+  const { prompts } = await engine.sync();
+  assert.deepEqual(names(prompts), ['Second', 'First']);
+  assert.deepEqual(names((await storage.getRecordsWithRevision()).records), ['Second', 'First']);
+});
+
+test('a file without a lineage still takes deletions for a base synced before lineages', async () => {
+  const { data, storage, engine } = await setup();
+  // Written by an older version: no lineage in the file or the saved base
+  delete data.syncBaseLineage;
+  await storage.writeDocument(storage.FILE_NAME, { schemaVersion: 2, prompts: [prompt(2, 'Second')], quarantine: [] });
+
+  const { prompts } = await engine.sync();
+  assert.deepEqual(names(prompts), ['Second']);
+});
+
+test('records are sorted newest first, whatever their IDs look like', () => {
+  const engine = new SyncEngine(null);
+  const { records } = engine.merge([prompt(3, 'c'), prompt('imported-b', 'b'), prompt(10, 'd'), prompt('imported-a', 'a')], [], {});
+  assert.deepEqual(records.map(r => r.id), [10, 3, 'imported-b', 'imported-a']);
+});
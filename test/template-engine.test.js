@@ -0,0 +1,52 @@
+// template-engine.test.js - Parsing and filling in {{variables}}
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+loadScripts('template-engine.js');
+
+const engine = new TemplateEngine();
+
+test('variables are found once each, in order, with their defaults and choices', () => {
+  const variables = engine.parse('Write a {{tone:formal|casual}} email to {{ name }} about {{topic:the launch}}. Thanks, {{name}}');
+
+  assert.deepEqual(variables, [
+    { name: 'tone', defaultValue: 'formal', choices: ['formal', 'casual'], builtIn: false },
+    { name: 'name', defaultValue: '', choices: [], builtIn: false },
+    { name: 'topic', defaultValue: 'the launch', choices: [], builtIn: false }
+  ]);
+});
+
+test('text without variables, or that only looks like them, has none', () => {
+  assert.equal(engine.hasVariables('Plain text'), false);
+  assert.equal(engine.hasVariables('{{}} {{1st}} { {name} } {name}'), false);
+  assert.equal(engine.hasVariables(''), false);
+  assert.equal(engine.hasVariables(null), false);
+  assert.equal(engine.hasVariables('Hi {{name}}'), true);
+});
+
+test('built-ins are told apart from the variables the user fills in, whatever their case', () => {
+  const text = 'Summarize {{Selection}} from {{url}} on {{date}} for {{audience}}';
+
+  assert.deepEqual(engine.getBuiltInVariables(text).map(v => v.name), ['Selection', 'url', 'date']);
+  assert.deepEqual(engine.getUserVariables(text).map(v => v.name), ['audience']);
+});
+
+test('render fills in values and falls back to the default or first choice', () => {
+  const text = 'Dear {{name}}, a {{tone:formal|casual}} note on {{topic:the launch}} {{missing}}.';
+
+  assert.equal(engine.render(text, { name: 'Ada', topic: 'pricing' }), 'Dear Ada, a formal note on pricing .');
+  // An empty value counts as not filled in
+  assert.equal(engine.render(text, { name: 'Ada', tone: 'casual', topic: '' }), 'Dear Ada, a casual note on the launch .');
+  assert.equal(engine.render('{{count}} items', { count: 0 }), '0 items');
+});
+
+test('every occurrence of a variable gets the same value', () => {
+  assert.equal(engine.render('{{name}} and {{ name }} again', { name: 'Ada' }), 'Ada and Ada again');
+});
+
+test('values are inserted as they are, not read as patterns or variables', () => {
+  assert.equal(engine.render('Say {{text}}', { text: '$& {{other}} $1' }), 'Say $& {{other}} $1');
+});
@@ -0,0 +1,123 @@
+// usage.js - Use counts of prompts, batched locally and synced to prompts.json in one write per sync
+'use strict';
+
+class UsageTracker {
+  constructor() {
+    this.STORAGE_KEYS = {
+      // Uses of personal prompts since the last sync: { [promptId]: { count, lastUsedAt } }
+      PENDING: 'usagePending',
+      // Uses of library prompts stay in this browser: { [libraryId]: { [promptId]: { useCount, lastUsedAt } } }
+      LIBRARIES: 'libraryUsage'
+    };
+    // Popup and service worker messages can arrive together; changes are applied one at a time
+    this.queue = Promise.resolve();
+  }
+
+  // Count a copy or insert of a prompt
+  async record(promptId, libraryId = null) {
+    const usedAt = new Date().toISOString();
+    return this.update(state => {
+      if (libraryId) {
+        const uses = state.libraries[libraryId] || (state.libraries[libraryId] = {});
+        const entry = uses[promptId] || { useCount: 0, lastUsedAt: null };
+        uses[promptId] = { useCount: entry.useCount + 1, lastUsedAt: usedAt };
+      } else {
+        const entry = state.pending[promptId] || { count: 0, lastUsedAt: null };
+        state.pending[promptId] = { count: entry.count + 1, lastUsedAt: usedAt };
+      }
+    });
+  }
+
+  // Add the pending counts to prompts.json. Counts are added to whatever the file holds, so uses
+  // on several devices all count, and one write covers every use since the last sync.
+  async flush(storage) {
+    const { pending } = await this.load();
+    const flushed = Object.entries(pending);
+    if (!flushed.length || storage.readOnly) return 0;
+
+    await storage.updateRecords(records => {
+      let changed = false;
+      const updated = records.map(record => {
+        const uses = pending[record.id];
+        if (!uses || record.deleted || record.kind === 'folder') return record;
+
+        changed = true;
+        return {
+          ...record,
+          useCount: (record.useCount || 0) + uses.count,
+          lastUsedAt: this.latest(record.lastUsedAt, uses.lastUsedAt)
+        };
+      });
+      return changed ? updated : null;
+    });
+
+    // Uses recorded while the write was running stay pending; uses of deleted prompts are dropped
+    await this.update(state => {
+      flushed.forEach(([promptId, uses]) => {
+        const current = state.pending[promptId];
+        if (!current) return;
+
+        const count = current.count - uses.count;
+        if (count > 0) {
+          state.pending[promptId] = { ...current, count };
+        } else {
+          delete state.pending[promptId];
+        }
+      });
+    });
+    return flushed.length;
+  }
+
+  // Library usage is only kept while the library is attached
+  async forgetLibrary(libraryId) {
+    return this.update(state => {
+      delete state.libraries[libraryId];
+    });
+  }
+
+  // Uses of a prompt: the synced count plus the uses this browser hasn't synced yet
+  getUsage(prompt, state) {
+    if (prompt.libraryId) {
+      return state.libraries[prompt.libraryId]?.[prompt.id] || { useCount: 0, lastUsedAt: null };
+    }
+
+    const pending = state.pending[prompt.id];
+    return {
+      useCount: (prompt.useCount || 0) + (pending ? pending.count : 0),
+      lastUsedAt: this.latest(prompt.lastUsedAt, pending && pending.lastUsedAt)
+    };
+  }
+
+  latest(a, b) {
+    if (!a || !b) return a || b || null;
+    return new Date(a) >= new Date(b) ? a : b;
+  }
+
+  async update(change) {
+    const run = this.queue.then(async () => {
+      const state = await this.load();
+      change(state);
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.PENDING]: state.pending,
+        [this.STORAGE_KEYS.LIBRARIES]: state.libraries
+      });
+      return state;
+    });
+    // A failed change mustn't block the ones after it
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEYS.PENDING, this.STORAGE_KEYS.LIBRARIES]);
+    return {
+      pending: result[this.STORAGE_KEYS.PENDING] || {},
+      libraries: result[this.STORAGE_KEYS.LIBRARIES] || {}
+    };
+  }
+}
+
+// Export for use in other files (popup window and background service worker)
+if (typeof self !== 'undefined') {
+  self.UsageTracker = UsageTracker;
+}